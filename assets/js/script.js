@@ -1,9 +1,186 @@
 'use strict';
 
+/* -------------------------------------------------------------------------- */
+/*  Page lifecycle (initialisers re-run after in-place page transitions)      */
+/* -------------------------------------------------------------------------- */
+const pageInitializers = [];
+let pageLifecycleController = new AbortController();
+
+/**
+ * Register a component initialiser that binds to the swappable page content
+ * and run it straight away. The signal aborts when the content is replaced, so
+ * window/document listeners should pass it along.
+ *
+ * @param {function({signal: AbortSignal}): void} init
+ */
+const registerPageInitializer = function (init) {
+  pageInitializers.push(init);
+
+  try {
+    init({ signal: pageLifecycleController.signal });
+  } catch (error) {
+    console.warn("Unable to initialise page component", error);
+  }
+};
+
+/**
+ * Tear down the previous page's components and re-run every initialiser on
+ * the current DOM. Errors propagate so the router can fall back to a full load.
+ */
+const runPageInitializers = function () {
+  pageLifecycleController.abort();
+  pageLifecycleController = new AbortController();
+
+  const signal = pageLifecycleController.signal;
+  pageInitializers.forEach((init) => init({ signal }));
+};
+
+/** Post template pages render the Markdown post named by `?post=<slug>`. */
+const POST_TEMPLATE_SELECTOR = "[data-post-template]";
+const POST_QUERY_PARAM = "post";
+
+/**
+ * Whether the page still holds the post template's placeholder copy because
+ * the post in the URL has not been rendered yet. Initialisers that measure,
+ * decorate or report on sections wait for the rendered page, which re-runs them.
+ *
+ * @returns {boolean}
+ */
+const isPostTemplatePending = function () {
+  const article = document.querySelector(POST_TEMPLATE_SELECTOR);
+  const slug = new URLSearchParams(window.location.search).get(POST_QUERY_PARAM);
+  return Boolean(article && slug && article.dataset.postSlug !== slug);
+};
+
+/* -------------------------------------------------------------------------- */
+/*  Lazy images (responsive sources, blurred placeholder, error fallback)     */
+/*                                                                            */
+/*  <img data-lazy-img data-src="…" data-srcset="…" data-sizes="…"            */
+/*       data-placeholder="tiny-preview.jpg" alt="…">                         */
+/*  data-srcset, data-sizes and data-placeholder are optional.                */
+/* -------------------------------------------------------------------------- */
+const LAZY_IMAGE_SELECTOR = "img[data-lazy-img]";
+const LAZY_IMAGE_FALLBACK_SRC = "./assets/images/core/IMAGE_PLACEHOLDER.png";
+const LAZY_IMAGE_ROOT_MARGIN = "200px 0px";
+let lazyImageObserver = null;
+
+/**
+ * Whether the loader has not yet given an image its real source. Code that
+ * swaps sources (e.g. theme logos) should update the data attributes instead.
+ *
+ * @param {HTMLImageElement} image
+ * @returns {boolean}
+ */
+const isLazyImagePending = function (image) {
+  return "lazyImg" in image.dataset && image.dataset.lazyState === "pending";
+};
+
+/**
+ * Copy the responsive sources from the data attributes onto the image.
+ *
+ * @param {HTMLImageElement} image
+ */
+const loadLazyImage = function (image) {
+  if (!isLazyImagePending(image)) { return; }
+
+  const { src, srcset, sizes } = image.dataset;
+  if (!src && !srcset) {
+    image.dataset.lazyState = "error";
+    image.src = LAZY_IMAGE_FALLBACK_SRC;
+    return;
+  }
+
+  image.dataset.lazyState = "loading";
+  if (sizes) { image.sizes = sizes; }
+  if (srcset) { image.srcset = srcset; }
+  if (src) { image.src = src; }
+};
+
+/**
+ * Drop the placeholder once the real image has decoded.
+ *
+ * @param {Event} event
+ */
+const handleLazyImageLoad = function (event) {
+  const image = event.currentTarget;
+  if (image.dataset.lazyState === "pending") { return; }
+
+  const isFallback = image.getAttribute("src") === LAZY_IMAGE_FALLBACK_SRC;
+  const decoded = typeof image.decode === "function" ? image.decode() : Promise.resolve();
+
+  decoded.catch(() => {}).then(() => {
+    image.dataset.lazyState = isFallback ? "error" : "loaded";
+  });
+};
+
+/**
+ * Swap a broken image for the site placeholder instead of showing the browser's icon.
+ *
+ * @param {Event} event
+ */
+const handleLazyImageError = function (event) {
+  const image = event.currentTarget;
+  if (image.dataset.lazyState === "pending") { return; }
+  if (image.getAttribute("src") === LAZY_IMAGE_FALLBACK_SRC) {
+    image.dataset.lazyState = "error";
+    return;
+  }
+
+  image.removeAttribute("srcset");
+  image.removeAttribute("sizes");
+  image.src = LAZY_IMAGE_FALLBACK_SRC;
+};
+
+/**
+ * Prepare lazy images inside a container and start watching them. Safe to call
+ * again for cards rendered after the page initialised.
+ *
+ * @param {ParentNode} [root=document]
+ */
+const observeLazyImages = function (root = document) {
+  root.querySelectorAll(LAZY_IMAGE_SELECTOR).forEach((image) => {
+    if (image.dataset.lazyState) { return; }
+
+    image.dataset.lazyState = "pending";
+    image.addEventListener("load", handleLazyImageLoad);
+    image.addEventListener("error", handleLazyImageError);
+    if (image.dataset.placeholder) {
+      image.src = image.dataset.placeholder;
+    }
+
+    if (lazyImageObserver) {
+      lazyImageObserver.observe(image);
+    } else {
+      loadLazyImage(image);
+    }
+  });
+};
+
+registerPageInitializer(function initLazyImages({ signal }) {
+  if ("IntersectionObserver" in window) {
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) { return; }
+        observer.unobserve(entry.target);
+        loadLazyImage(entry.target);
+      });
+    }, { rootMargin: LAZY_IMAGE_ROOT_MARGIN });
+
+    lazyImageObserver = observer;
+    signal.addEventListener("abort", () => {
+      observer.disconnect();
+      if (lazyImageObserver === observer) { lazyImageObserver = null; }
+    });
+  }
+
+  observeLazyImages();
+});
+
 /* -------------------------------------------------------------------------- */
 /*  Theme-dependent client logos                                              */
 /* -------------------------------------------------------------------------- */
 const CLIENT_LOGO_SELECTOR = "[data-logo-light][data-logo-dark]";
+const THEME_CHANGE_EVENT = "themechange";
 
 /**
  * Swap client logo sources based on the active theme.
@@ -17,8 +194,13 @@ const updateClientLogos = function (mode) {
   logoNodes.forEach((node) => {
     if (!(node instanceof HTMLImageElement)) { return; }
 
+    // Lazy logos that have not loaded yet only get their pending sources updated.
+    const isPending = isLazyImagePending(node);
+
     const nextSrc = normalizedMode === "dark" ? node.dataset.logoDark : node.dataset.logoLight;
-    if (nextSrc && node.getAttribute("src") !== nextSrc) {
+    if (isPending) {
+      if (nextSrc) { node.dataset.src = nextSrc; }
+    } else if (nextSrc && node.getAttribute("src") !== nextSrc) {
       node.setAttribute("src", nextSrc);
     }
 
@@ -27,7 +209,9 @@ const updateClientLogos = function (mode) {
     const nextSrcset = normalizedMode === "dark" ? darkSrcset : lightSrcset;
 
     if (nextSrcset !== undefined) {
-      if (nextSrcset) {
+      if (isPending) {
+        node.dataset.srcset = nextSrcset;
+      } else if (nextSrcset) {
         node.setAttribute("srcset", nextSrcset);
       } else {
         node.removeAttribute("srcset");
@@ -36,8 +220,16 @@ const updateClientLogos = function (mode) {
   });
 };
 
+document.addEventListener(THEME_CHANGE_EVENT, function (event) {
+  updateClientLogos(event.detail && event.detail.mode);
+});
+
+registerPageInitializer(function initClientLogos() {
+  updateClientLogos(document.body.classList.contains("dark-mode") ? "dark" : "light");
+});
+
 /* -------------------------------------------------------------------------- */
-/*  Color mode toggle                                                         */
+/*  Color mode toggle (light → dark → follow system)                          */
 /* -------------------------------------------------------------------------- */
 (function initColorModeToggle() {
   const body = document.body;
@@ -46,6 +238,8 @@ const updateClientLogos = function (mode) {
 
   const STORAGE_KEY = "preferred-color-mode";
   const DEFAULT_MODE = body.classList.contains("light-mode") ? "light" : "dark";
+  const PREFERENCE_CYCLE = ["light", "dark", "system"];
+  const PREFERENCE_LABELS = { light: "light mode", dark: "dark mode", system: "system theme" };
 
   const storage = (function () {
     try {
@@ -58,68 +252,141 @@ const updateClientLogos = function (mode) {
     }
   })();
 
+  const darkSchemeQuery = typeof window.matchMedia === "function"
+    ? window.matchMedia("(prefers-color-scheme: dark)")
+    : null;
+  const lightSchemeQuery = typeof window.matchMedia === "function"
+    ? window.matchMedia("(prefers-color-scheme: light)")
+    : null;
+
+  let currentPreference = "system";
+
   const normalizeMode = function (value) {
     return value === "light" ? "light" : "dark";
   };
 
-  const updateToggleAccessibility = function (mode) {
-    const nextTarget = mode === "dark" ? "light" : "dark";
+  /**
+   * @param {string|null} value
+   * @returns {"light"|"dark"|"system"}
+   */
+  const normalizePreference = function (value) {
+    return value === "light" || value === "dark" ? value : "system";
+  };
+
+  /**
+   * Resolve the OS colour scheme, falling back to the page default.
+   *
+   * @returns {"light"|"dark"}
+   */
+  const getSystemMode = function () {
+    if (darkSchemeQuery && darkSchemeQuery.matches) { return "dark"; }
+    if (lightSchemeQuery && lightSchemeQuery.matches) { return "light"; }
+    return DEFAULT_MODE;
+  };
+
+  /**
+   * @param {"light"|"dark"|"system"} preference
+   * @returns {"light"|"dark"}
+   */
+  const resolveMode = function (preference) {
+    return preference === "system" ? getSystemMode() : normalizeMode(preference);
+  };
+
+  const updateToggleAccessibility = function (mode, preference) {
+    const nextPreference = PREFERENCE_CYCLE[(PREFERENCE_CYCLE.indexOf(preference) + 1) % PREFERENCE_CYCLE.length];
+    const currentLabel = preference === "system" ? `System theme (${mode})` : `${mode.charAt(0).toUpperCase()}${mode.slice(1)} mode`;
+    const label = `${currentLabel}. Switch to ${PREFERENCE_LABELS[nextPreference]}`;
+
     toggle.setAttribute("aria-pressed", mode === "light" ? "true" : "false");
     toggle.setAttribute("data-theme-state", mode);
-    toggle.setAttribute("aria-label", `Switch to ${nextTarget} mode`);
-    toggle.setAttribute("title", `Switch to ${nextTarget} mode`);
+    toggle.setAttribute("data-theme-preference", preference);
+    toggle.setAttribute("aria-label", label);
+    toggle.setAttribute("title", label);
   };
 
-  const applyMode = function (mode) {
-    const normalized = normalizeMode(mode);
+  /**
+   * Apply a preference to the page and announce the resulting theme.
+   *
+   * @param {"light"|"dark"|"system"} preference
+   * @returns {"light"|"dark"}
+   */
+  const applyMode = function (preference) {
+    const previousMode = body.classList.contains("dark-mode") ? "dark" : "light";
+    const normalized = resolveMode(preference);
+
+    currentPreference = preference;
     body.classList.remove("light-mode", "dark-mode");
     body.classList.add(`${normalized}-mode`);
-    updateToggleAccessibility(normalized);
-    updateClientLogos(normalized);
+    updateToggleAccessibility(normalized, preference);
+
+    document.dispatchEvent(new CustomEvent(THEME_CHANGE_EVENT, {
+      detail: { mode: normalized, preference, previousMode }
+    }));
+
     return normalized;
   };
 
-  const getStoredMode = function () {
-    if (storage) {
-      const stored = storage.getItem(STORAGE_KEY);
-      if (stored === "light" || stored === "dark") {
-        return stored;
-      }
+  const getStoredPreference = function () {
+    if (!storage) { return "system"; }
+    try {
+      return normalizePreference(storage.getItem(STORAGE_KEY));
+    } catch (error) {
+      return "system";
     }
+  };
 
-    if (window.matchMedia && typeof window.matchMedia === "function") {
-      const prefersLight = window.matchMedia("(prefers-color-scheme: light)").matches;
-      if (prefersLight && DEFAULT_MODE !== "light") {
-        return "light";
+  /**
+   * Persist an explicit choice. "system" clears the key so the OS stays in charge.
+   *
+   * @param {"light"|"dark"|"system"} preference
+   */
+  const storePreference = function (preference) {
+    if (!storage) { return; }
+    try {
+      if (preference === "system") {
+        storage.removeItem(STORAGE_KEY);
+      } else {
+        storage.setItem(STORAGE_KEY, preference);
       }
+    } catch (error) {
+      // Ignore storage write failures.
     }
-
-    return DEFAULT_MODE;
   };
 
   if (!body.classList.contains("light-mode") && !body.classList.contains("dark-mode")) {
     body.classList.add(`${DEFAULT_MODE}-mode`);
   }
 
-  const initialMode = applyMode(getStoredMode());
+  applyMode(getStoredPreference());
 
-  if (storage) {
-    try {
-      storage.setItem(STORAGE_KEY, initialMode);
-    } catch (error) {
-      // Silently ignore storage errors.
+  toggle.addEventListener("click", function () {
+    const nextPreference = PREFERENCE_CYCLE[(PREFERENCE_CYCLE.indexOf(currentPreference) + 1) % PREFERENCE_CYCLE.length];
+    applyMode(nextPreference);
+    storePreference(nextPreference);
+  });
+
+  /**
+   * Follow OS theme changes while the visitor has not picked a mode.
+   */
+  const handleSystemSchemeChange = function () {
+    if (currentPreference === "system") {
+      applyMode("system");
+    }
+  };
+
+  if (darkSchemeQuery) {
+    if (typeof darkSchemeQuery.addEventListener === "function") {
+      darkSchemeQuery.addEventListener("change", handleSystemSchemeChange);
+    } else if (typeof darkSchemeQuery.addListener === "function") {
+      darkSchemeQuery.addListener(handleSystemSchemeChange);
     }
   }
 
-  toggle.addEventListener("click", function () {
-    const nextMode = body.classList.contains("dark-mode") ? "light" : "dark";
-    const applied = applyMode(nextMode);
-    if (storage) {
-      try {
-        storage.setItem(STORAGE_KEY, applied);
-      } catch (error) {
-        // Ignore storage write failures.
-      }
+  window.addEventListener("storage", function (event) {
+    if (event.key !== STORAGE_KEY && event.key !== null) { return; }
+    const nextPreference = normalizePreference(event.key === null ? null : event.newValue);
+    if (nextPreference !== currentPreference || nextPreference === "system") {
+      applyMode(nextPreference);
     }
   });
 
@@ -140,7 +407,7 @@ const updateClientLogos = function (mode) {
 /* -------------------------------------------------------------------------- */
 /*  Floating page-up button (scroll-depth reveal + reduced-motion fallback)   */
 /* -------------------------------------------------------------------------- */
-(function initFloatingScrollTop() {
+registerPageInitializer(function initFloatingScrollTop({ signal }) {
   const scrollTopBtn = document.querySelector("[data-scroll-top-btn]");
   if (!scrollTopBtn) { return; }
 
@@ -176,9 +443,103 @@ const updateClientLogos = function (mode) {
   };
 
   toggleVisibility();
-  window.addEventListener("scroll", toggleVisibility, { passive: true });
-  scrollTopBtn.addEventListener("click", scrollToTop);
-})();
+  window.addEventListener("scroll", toggleVisibility, { passive: true, signal });
+  scrollTopBtn.addEventListener("click", scrollToTop, { signal });
+});
+
+/* -------------------------------------------------------------------------- */
+/*  Floating quick actions (CTA cluster + back button)                        */
+/* -------------------------------------------------------------------------- */
+const FLOATING_CTA_DELAY = 7000;
+const FLOATING_CTA_HIDE_OFFSET = 120;
+const FLOATING_CTA_SHOW_OFFSET = 160;
+
+registerPageInitializer(function initFloatingCta({ signal }) {
+  const floatingCta = document.querySelector("[data-floating-cta]");
+  if (!floatingCta) { return; }
+
+  let hasActivated = false;
+  let isVisible = !floatingCta.hidden;
+  let lastScrollY = window.scrollY;
+  let activateTimeoutId = null;
+
+  /**
+   * @param {boolean} shouldShow
+   */
+  const setVisible = function (shouldShow) {
+    if (shouldShow === isVisible) { return; }
+
+    floatingCta.classList.toggle("is-visible", shouldShow);
+    floatingCta.hidden = !shouldShow;
+    isVisible = shouldShow;
+  };
+
+  /**
+   * Show the cluster for the first time; from then on it follows scrolling.
+   */
+  const activate = function () {
+    hasActivated = true;
+    window.clearTimeout(activateTimeoutId);
+    setVisible(true);
+  };
+
+  /**
+   * Hide the cluster near the top of the page and bring it back further down.
+   */
+  const handleScroll = function () {
+    const currentScrollY = window.scrollY;
+
+    if (!hasActivated && currentScrollY > 0) {
+      activate();
+    }
+
+    if (hasActivated) {
+      if (currentScrollY < lastScrollY && currentScrollY <= FLOATING_CTA_HIDE_OFFSET) {
+        setVisible(false);
+      } else if (currentScrollY > FLOATING_CTA_SHOW_OFFSET) {
+        setVisible(true);
+      }
+    }
+
+    lastScrollY = currentScrollY;
+  };
+
+  // Appear after a short delay or on the first scroll, whichever comes first.
+  activateTimeoutId = window.setTimeout(activate, FLOATING_CTA_DELAY);
+  window.addEventListener("scroll", handleScroll, { passive: true, signal });
+  signal.addEventListener("abort", () => window.clearTimeout(activateTimeoutId));
+
+  // The destination page opens on the CTA's panel, scrolled to the top.
+  floatingCta.querySelectorAll("a[href]").forEach((link) => {
+    link.addEventListener("click", function () {
+      const navTarget = normalizePageName(link.dataset.navTarget);
+      if (navTarget) {
+        sessionStorageController.set(ACTIVE_PAGE_KEY, navTarget);
+      } else {
+        sessionStorageController.remove(ACTIVE_PAGE_KEY);
+      }
+
+      sessionStorageController.set(SKIP_SCROLL_RESTORE_KEY, "true");
+      sessionStorageController.remove(SCROLL_POSITION_KEY);
+    }, { signal });
+  });
+});
+
+registerPageInitializer(function initFloatingBackButton({ signal }) {
+  const floatingBackBtn = document.querySelector("[data-floating-back-btn]");
+  if (!floatingBackBtn) { return; }
+
+  floatingBackBtn.addEventListener("click", function () {
+    if (window.history.length > 1) {
+      window.history.back();
+      return;
+    }
+
+    // Opened directly: go to the listing this page belongs to.
+    const activeNavLink = document.querySelector("[data-nav-link].active");
+    window.location.href = activeNavLink ? activeNavLink.href : "index.html";
+  }, { signal });
+});
 
 /* -------------------------------------------------------------------------- */
 /*  Utility helpers                                                           */
@@ -195,6 +556,51 @@ const elementToggleFunc = function (elem) {
   elem.classList.toggle("active");
 };
 
+/**
+ * Lower-case, hyphen-separated version of a label, for ids and URL params.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const slugify = function (text) {
+  return String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+};
+
+/**
+ * Decode a URL component, returning it unchanged when it holds a stray `%`
+ * or another malformed escape.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const safeDecodeURIComponent = function (value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Replace a card list's contents with a one-line status message, for lists
+ * rendered from data that failed to load or came back empty.
+ *
+ * @param {HTMLElement} list
+ * @param {string} message
+ */
+const showListStatus = function (list, message) {
+  const item = document.createElement("li");
+  item.className = "list-status";
+  item.setAttribute("role", "status");
+  item.textContent = message;
+  list.replaceChildren(item);
+};
+
 /**
  * Prevent navigation for links that point to unavailable destinations.
  *
@@ -244,1647 +650,8064 @@ const enableInteractiveLink = function (link, href, options) {
   link.removeEventListener("click", preventNavigation);
 };
 
+/**
+ * Safe localStorage wrapper that stores JSON and degrades to a no-op when
+ * storage is blocked (private browsing, disabled cookies).
+ */
+const localStorageController = (function createLocalStorageController() {
+  try {
+    const testKey = "__local_state__";
+    window.localStorage.setItem(testKey, testKey);
+    window.localStorage.removeItem(testKey);
 
+    return {
+      get(key) {
+        try {
+          const value = window.localStorage.getItem(key);
+          return value === null ? null : JSON.parse(value);
+        } catch (error) {
+          console.warn("Unable to read from localStorage.", error);
+          return null;
+        }
+      },
+      set(key, value) {
+        try {
+          window.localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+          console.warn("Unable to write to localStorage.", error);
+        }
+      },
+      remove(key) {
+        try {
+          window.localStorage.removeItem(key);
+        } catch (error) {
+          console.warn("Unable to remove from localStorage.", error);
+        }
+      }
+    };
+  } catch (error) {
+    console.warn("Local storage is not available. Saved state will not persist.", error);
+    return {
+      get() { return null; },
+      set() {},
+      remove() {}
+    };
+  }
+})();
 
-/* -------------------------------------------------------------------------- */
-/*  Sidebar interaction (profile drawer toggle)                              */
-/* -------------------------------------------------------------------------- */
-const sidebar = document.querySelector("[data-sidebar]");
-const sidebarBtn = document.querySelector("[data-sidebar-btn]");
+const TOAST_DURATION = 2600;
+let toastElement = null;
+let toastTimeoutId = null;
 
-if (sidebar && sidebarBtn) {
-  /**
-   * Apply a temporary max-height value to drive CSS transitions.
-   *
-   * @param {string|null} value - CSS length value or `null` to reset.
-   */
-  const setSidebarMaxHeight = function (value) {
-    if (value === null) {
-      sidebar.style.removeProperty("max-height");
-      return;
-    }
+/**
+ * Show a short confirmation message in a shared live region.
+ *
+ * @param {string} message
+ */
+const showToast = function (message) {
+  if (!toastElement) {
+    toastElement = document.createElement("div");
+    toastElement.className = "site-toast";
+    toastElement.setAttribute("role", "status");
+    toastElement.setAttribute("aria-live", "polite");
+    document.body.append(toastElement);
+  }
 
-    sidebar.style.setProperty("max-height", value);
-  };
+  toastElement.textContent = message;
+  toastElement.classList.add("is-visible");
 
-  /**
-   * Synchronize the aria-expanded attribute with active state.
-   *
-   * @param {boolean} isExpanded
-   */
-  const updateAriaExpanded = function (isExpanded) {
-    sidebarBtn.setAttribute("aria-expanded", String(Boolean(isExpanded)));
-  };
+  window.clearTimeout(toastTimeoutId);
+  toastTimeoutId = window.setTimeout(() => {
+    toastElement.classList.remove("is-visible");
+  }, TOAST_DURATION);
+};
 
-  /**
-   * Reset inline height once the expand animation completes.
-   *
-   * @param {TransitionEvent} event
-   */
-  const handleExpandTransitionEnd = function (event) {
-    if (event.propertyName !== "max-height") { return; }
-    setSidebarMaxHeight("none");
-    sidebar.removeEventListener("transitionend", handleExpandTransitionEnd);
-  };
-
-  updateAriaExpanded(sidebar.classList.contains("active"));
-
-  sidebarBtn.addEventListener("click", function () {
-    const isOpening = !sidebar.classList.contains("active");
-
-    if (isOpening) {
-      sidebar.classList.add("active");
-      updateAriaExpanded(true);
-      sidebar.removeEventListener("transitionend", handleExpandTransitionEnd);
-
-      setSidebarMaxHeight(`${sidebar.scrollHeight}px`);
-      sidebar.addEventListener("transitionend", handleExpandTransitionEnd);
-      return;
+/**
+ * Copy text to the clipboard, falling back to a temporary textarea where the
+ * async Clipboard API is missing or blocked (http:, older Safari).
+ *
+ * @param {string} text
+ * @returns {Promise<boolean>} Whether the copy succeeded.
+ */
+const copyTextToClipboard = async function (text) {
+  if (navigator.clipboard && typeof navigator.clipboard.writeText === "function") {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (error) {
+      console.warn("Unable to use the Clipboard API, trying the fallback.", error);
     }
+  }
 
-    sidebar.removeEventListener("transitionend", handleExpandTransitionEnd);
+  const field = document.createElement("textarea");
+  field.value = text;
+  field.setAttribute("readonly", "");
+  field.style.position = "fixed";
+  field.style.opacity = "0";
+  document.body.append(field);
+  field.select();
 
-    const currentHeight = sidebar.scrollHeight;
-    setSidebarMaxHeight(`${currentHeight}px`);
+  try {
+    return document.execCommand("copy");
+  } catch (error) {
+    console.warn("Unable to copy to the clipboard.", error);
+    return false;
+  } finally {
+    field.remove();
+  }
+};
 
-    void sidebar.offsetHeight;
-    sidebar.classList.remove("active");
-    updateAriaExpanded(false);
 
-    const collapseCleanup = function () {
-      setSidebarMaxHeight(null);
-    };
 
-    if (typeof window.requestAnimationFrame === "function") {
-      window.requestAnimationFrame(collapseCleanup);
-    } else {
-      collapseCleanup();
-    }
-  });
-}
 /* -------------------------------------------------------------------------- */
-/*  Testimonials modal                                                        */
+/*  Accessible dialog controller (focus trap, inert background, stacking)     */
 /* -------------------------------------------------------------------------- */
-const testimonialsItems = document.querySelectorAll("[data-testimonials-item]");
-const modalContainer = document.querySelector("[data-modal-container]");
-const modalCloseBtn = document.querySelector("[data-modal-close-btn]");
-const overlay = document.querySelector("[data-overlay]");
-
-const modalImg = document.querySelector("[data-modal-img]");
-const modalTitle = document.querySelector("[data-modal-title]");
-const modalText = document.querySelector("[data-modal-text]");
+const DIALOG_FOCUSABLE_SELECTOR = [
+  "a[href]",
+  "area[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type='hidden'])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "iframe",
+  "[contenteditable='true']",
+  "[tabindex]:not([tabindex='-1'])"
+].join(",");
+
+/** @type {Array<ReturnType<typeof createDialogController>>} */
+const dialogStack = [];
+
+/** Elements this controller made inert, with their previous attribute values. */
+const dialogInertRecords = new Map();
 
 /**
- * Toggle the testimonial modal and overlay visibility.
+ * Return the visible, focusable descendants of a dialog panel.
  *
- * @param {boolean} shouldOpen
+ * @param {HTMLElement} panel
+ * @returns {HTMLElement[]}
  */
-const setTestimonialsModalState = function (shouldOpen) {
-  if (!modalContainer || !overlay) { return; }
-  modalContainer.classList.toggle("active", Boolean(shouldOpen));
-  overlay.classList.toggle("active", Boolean(shouldOpen));
+const getDialogFocusableElements = function (panel) {
+  return Array.from(panel.querySelectorAll(DIALOG_FOCUSABLE_SELECTOR)).filter((element) => {
+    if (!(element instanceof HTMLElement)) { return false; }
+    if (element.hidden || element.closest("[hidden]")) { return false; }
+    return element.getClientRects().length > 0 || element === document.activeElement;
+  });
 };
 
 /**
- * Populate modal content from the selected testimonial card.
- *
- * @param {Element} item - Testimonial card element.
+ * Restore every element previously hidden from assistive tech.
  */
-const openTestimonialsModal = function (item) {
-  if (!item) { return; }
-
-  const avatar = item.querySelector("[data-testimonials-avatar]");
-  const title = item.querySelector("[data-testimonials-title]");
-  const text = item.querySelector("[data-testimonials-text]");
+const releaseDialogBackground = function () {
+  dialogInertRecords.forEach((record, element) => {
+    if (record.ariaHidden === null) {
+      element.removeAttribute("aria-hidden");
+    } else {
+      element.setAttribute("aria-hidden", record.ariaHidden);
+    }
+    element.inert = record.inert;
+  });
+  dialogInertRecords.clear();
+};
 
-  if (modalImg && avatar) {
-    modalImg.src = avatar.src;
-    modalImg.alt = avatar.alt;
-  }
+/**
+ * Make everything outside the topmost dialog inert by walking from the dialog
+ * root up to `<body>` and isolating each level's siblings.
+ */
+const isolateTopDialog = function () {
+  releaseDialogBackground();
+
+  const top = dialogStack[dialogStack.length - 1];
+  if (!top) { return; }
+
+  let node = top.root;
+  while (node && node.parentElement) {
+    const parent = node.parentElement;
+    Array.from(parent.children).forEach((sibling) => {
+      if (sibling === node || !(sibling instanceof HTMLElement)) { return; }
+      if (sibling.tagName === "SCRIPT" || sibling.tagName === "STYLE") { return; }
+      if (dialogInertRecords.has(sibling)) { return; }
+
+      dialogInertRecords.set(sibling, {
+        ariaHidden: sibling.getAttribute("aria-hidden"),
+        inert: Boolean(sibling.inert)
+      });
+      sibling.setAttribute("aria-hidden", "true");
+      sibling.inert = true;
+    });
 
-  if (modalTitle && title) {
-    modalTitle.innerHTML = title.innerHTML;
+    if (parent === document.body) { break; }
+    node = parent;
   }
+};
 
-  if (modalText && text) {
-    modalText.innerHTML = text.innerHTML;
+/**
+ * Lock or release page scrolling while any dialog is open.
+ *
+ * @param {boolean} shouldLock
+ */
+const setDialogScrollLock = function (shouldLock) {
+  const root = document.documentElement;
+  if (shouldLock) {
+    const scrollbarWidth = window.innerWidth - root.clientWidth;
+    root.style.setProperty("--dialog-scrollbar-width", `${Math.max(scrollbarWidth, 0)}px`);
+    document.body.classList.add("dialog-open");
+  } else {
+    document.body.classList.remove("dialog-open");
+    root.style.removeProperty("--dialog-scrollbar-width");
   }
-
-  setTestimonialsModalState(true);
 };
 
-for (let i = 0; i < testimonialsItems.length; i++) {
-  const item = testimonialsItems[i];
-  const itemAvatar = item.querySelector("[data-testimonials-avatar]");
+/**
+ * Create a controller that gives any overlay modal dialog behaviour.
+ *
+ * The component keeps ownership of its own visuals (classes, content) and
+ * calls `open`/`close`; the controller handles focus, Escape, backdrop clicks,
+ * background isolation, scroll locking and stacking.
+ *
+ * @param {HTMLElement} root - Outermost overlay element (stays interactive).
+ * @param {{
+ *   panel?: HTMLElement,
+ *   backdrop?: Iterable<Element>,
+ *   initialFocus?: () => (HTMLElement|null),
+ *   onRequestClose?: () => void
+ * }} [options]
+ */
+const createDialogController = function (root, options = {}) {
+  const { panel = root, backdrop = [], initialFocus = null, onRequestClose = null } = options;
+  let returnFocusTarget = null;
+
+  const controller = {
+    root,
+    panel,
+
+    /**
+     * @returns {boolean}
+     */
+    isOpen() {
+      return dialogStack.includes(controller);
+    },
+
+    /**
+     * @returns {boolean}
+     */
+    isTop() {
+      return dialogStack[dialogStack.length - 1] === controller;
+    },
+
+    /**
+     * Register the dialog as open and move focus into it.
+     *
+     * @param {HTMLElement|null} [trigger] - Element to refocus on close.
+     */
+    open(trigger) {
+      if (controller.isOpen()) { return; }
+
+      const activeElement = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+      returnFocusTarget = trigger instanceof HTMLElement ? trigger : activeElement;
+
+      dialogStack.push(controller);
+      isolateTopDialog();
+      setDialogScrollLock(true);
+
+      window.requestAnimationFrame(() => {
+        if (!controller.isTop()) { return; }
+        const target = (typeof initialFocus === "function" && initialFocus())
+          || getDialogFocusableElements(panel)[0]
+          || panel;
+        if (target && typeof target.focus === "function") {
+          target.focus({ preventScroll: true });
+        }
+      });
+    },
+
+    /**
+     * Unregister the dialog and hand focus back to whoever opened it.
+     *
+     * @param {{returnFocusTo?: HTMLElement|null}} [closeOptions]
+     */
+    close(closeOptions = {}) {
+      const index = dialogStack.indexOf(controller);
+      if (index === -1) { return; }
+
+      dialogStack.splice(index, 1);
+      isolateTopDialog();
+      setDialogScrollLock(dialogStack.length > 0);
+
+      const focusTarget = closeOptions.returnFocusTo || returnFocusTarget;
+      returnFocusTarget = null;
+      if (focusTarget && focusTarget.isConnected && typeof focusTarget.focus === "function") {
+        focusTarget.focus({ preventScroll: true });
+      }
+    },
+
+    /**
+     * Close through the component so it can tidy up its own state first.
+     */
+    requestClose() {
+      if (typeof onRequestClose === "function") {
+        onRequestClose();
+      } else {
+        controller.close();
+      }
+    }
+  };
 
-  if (itemAvatar) {
-    itemAvatar.dataset.lightboxDisabled = "true";
+  if (!panel.hasAttribute("tabindex")) {
+    panel.setAttribute("tabindex", "-1");
   }
-  item.setAttribute("tabindex", item.getAttribute("tabindex") || "0");
-  item.setAttribute("role", item.getAttribute("role") || "button");
 
-  item.addEventListener("click", function () {
-    openTestimonialsModal(item);
+  Array.from(backdrop).forEach((element) => {
+    element.addEventListener("click", function () {
+      if (controller.isTop()) {
+        controller.requestClose();
+      }
+    });
   });
 
-  item.addEventListener("keydown", function (event) {
-    const key = event.key;
-    if (key === "Enter" || key === " ") {
-      event.preventDefault();
-      openTestimonialsModal(item);
-    }
-  });
-}
+  return controller;
+};
 
-if (modalCloseBtn) {
-  modalCloseBtn.addEventListener("click", function () {
-    setTestimonialsModalState(false);
-  });
-}
+document.addEventListener("keydown", function (event) {
+  const top = dialogStack[dialogStack.length - 1];
+  if (!top) { return; }
 
-if (overlay) {
-  overlay.addEventListener("click", function () {
-    setTestimonialsModalState(false);
-  });
-}
+  if (event.key === "Escape") {
+    event.preventDefault();
+    event.stopPropagation();
+    top.requestClose();
+    return;
+  }
 
+  if (event.key !== "Tab") { return; }
 
+  const focusable = getDialogFocusableElements(top.panel);
+  if (focusable.length === 0) {
+    event.preventDefault();
+    top.panel.focus({ preventScroll: true });
+    return;
+  }
 
-/* -------------------------------------------------------------------------- */
-/*  Project modal constants                                                   */
-/* -------------------------------------------------------------------------- */
-const PROJECT_TEMPLATE_PATH = "project_template.html";
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+  const isInside = active instanceof Node && top.panel.contains(active);
 
+  if (event.shiftKey && (active === first || !isInside || active === top.panel)) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && (active === last || !isInside)) {
+    event.preventDefault();
+    first.focus();
+  }
+}, true);
 
 /* -------------------------------------------------------------------------- */
-/*  Blog cards & redirects                                                    */
+/*  Consent manager (GA4 + Clarity load only after opt-in)                    */
 /* -------------------------------------------------------------------------- */
-const isBlogPage = window.location.pathname.endsWith("blog.html");
-
-const blogItems = document.querySelectorAll("[data-blog-item]");
-const BLOG_POST_CLICK_EVENT = "blog_post_click";
+const CONSENT_STORAGE_KEY = "analytics-consent";
+const CONSENT_VERSION = 1;
+const CONSENT_CHANGE_EVENT = "consentchange";
+const GTAG_SCRIPT_URL = "https://www.googletagmanager.com/gtag/js?id=";
+const CLARITY_SCRIPT_URL = "https://www.clarity.ms/tag/";
+const ANALYTICS_COOKIE_PATTERN = /^(_ga|_gid|_gat|_clck|_clsk|CLID)/;
 
 /**
- * Send GA4 event when a blog card is clicked.
- *
- * @param {HTMLAnchorElement} link
- * @param {HTMLElement} container
+ * Declared in each page's `<head>`: `ga4Id`, `clarityId` and an optional
+ * `collectorEndpoint` for the first-party beacon collector.
  */
-const trackBlogPostClick = function (link, container) {
-  if (typeof window.gtag !== "function") { return; }
-
-  const titleElement = container.querySelector("[data-blog-title]");
-  const categoryElement = container.querySelector("[data-blog-category]");
-  const dateElement = container.querySelector("[data-blog-date]");
+const analyticsConfig = window.siteAnalyticsConfig || {};
 
-  const postTitle = titleElement ? titleElement.textContent.trim() : "";
-  const postCategory = categoryElement ? categoryElement.textContent.trim() : "";
-  const postDate = dateElement ? dateElement.getAttribute("datetime") || dateElement.textContent.trim() : "";
-  const postUrl = link.dataset.blogTarget || link.dataset.externalUrl || link.getAttribute("href") || "";
-  const linkTarget = link.getAttribute("target") || "_self";
-  const isExternal = linkTarget === "_blank" || Boolean(link.dataset.externalUrl);
+let analyticsVendorsLoaded = false;
+let analyticsQueueDropped = false;
 
-  try {
-    window.gtag("event", BLOG_POST_CLICK_EVENT, {
-      event_category: "blog",
-      event_label: postTitle || postUrl,
-      post_title: postTitle,
-      post_category: postCategory,
-      post_date: postDate,
-      post_url: postUrl,
-      link_target: linkTarget,
-      is_external: isExternal,
-      transport_type: "beacon",
-      page_location: window.location.href,
-      page_path: window.location.pathname
-    });
-  } catch (error) {
-    console.warn("Failed to send blog post click event to GA4.", error);
-  }
+/**
+ * Whether the browser asks not to be tracked (Do Not Track or Global Privacy Control).
+ *
+ * @returns {boolean}
+ */
+const hasPrivacySignal = function () {
+  const doNotTrack = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+  return doNotTrack === "1" || doNotTrack === "yes" || navigator.globalPrivacyControl === true;
 };
 
-blogItems.forEach((item) => {
-  const blogLink = item.querySelector("[data-blog-link]");
-  const blogImage = item.querySelector("[data-blog-img]");
-
-  if (!blogLink) { return; }
+/**
+ * Read the stored choice, ignoring entries from an older consent version.
+ *
+ * @returns {{analytics: boolean, decidedAt: number}|null}
+ */
+const readStoredConsent = function () {
+  const stored = localStorageController.get(CONSENT_STORAGE_KEY);
+  if (!stored || stored.version !== CONSENT_VERSION || typeof stored.analytics !== "boolean") { return null; }
+  return stored;
+};
 
-  blogLink.addEventListener("click", function () {
-    trackBlogPostClick(blogLink, item);
-  });
+/**
+ * Current analytics consent. Privacy signals count as a refusal until the
+ * visitor explicitly opts in through the preferences panel.
+ *
+ * @returns {"granted"|"denied"|"pending"}
+ */
+const getAnalyticsConsent = function () {
+  const stored = readStoredConsent();
+  if (stored) { return stored.analytics ? "granted" : "denied"; }
+  return hasPrivacySignal() ? "denied" : "pending";
+};
 
-  if (isBlogPage) {
-    const targetUrl = blogLink.dataset.blogTarget || blogLink.getAttribute("href");
+/**
+ * Inject a vendor script once.
+ *
+ * @param {string} src
+ */
+const appendAnalyticsScript = function (src) {
+  const script = document.createElement("script");
+  script.async = true;
+  script.src = src;
+  document.head.appendChild(script);
+};
 
-    if (!targetUrl) {
-      disableInteractiveLink(blogLink);
-    } else {
-      enableInteractiveLink(blogLink, targetUrl);
+/**
+ * Load GA4 and Clarity. gtag.js replays everything already queued in
+ * `window.dataLayer`, so events captured before consent are not lost.
+ */
+const loadAnalyticsVendors = function () {
+  if (analyticsConfig.ga4Id) {
+    window[`ga-disable-${analyticsConfig.ga4Id}`] = false;
+
+    if (analyticsQueueDropped) {
+      window.gtag = function () { window.dataLayer.push(arguments); };
+      window.gtag("js", new Date());
+      window.gtag("config", analyticsConfig.ga4Id);
+      analyticsQueueDropped = false;
     }
-
-    return;
   }
 
-  const blogExternalUrl = blogLink.dataset.externalUrl;
-
-  if (blogExternalUrl) {
-    const existingTarget = isBlogPage ? "_self" : blogLink.getAttribute("target") || "_blank";
-    const existingRel = isBlogPage
-      ? null
-      : blogLink.getAttribute("rel") || "noopener noreferrer";
-    enableInteractiveLink(blogLink, blogExternalUrl, {
-      target: existingTarget,
-      rel: existingRel
-    });
-  } else {
-    enableInteractiveLink(blogLink, PROJECT_TEMPLATE_PATH);
-    blogLink.addEventListener("click", function (event) {
-      event.preventDefault();
-      window.location.href = PROJECT_TEMPLATE_PATH;
-    });
+  if (analyticsConfig.clarityId && typeof window.clarity !== "function") {
+    window.clarity = function () { (window.clarity.q = window.clarity.q || []).push(arguments); };
   }
 
-  if (blogImage) {
-    blogImage.setAttribute("data-lightbox-disabled", "true");
-    blogImage.classList.remove("media-lightbox__trigger");
-    blogImage.removeAttribute("tabindex");
-    blogImage.removeAttribute("role");
-    blogImage.removeAttribute("aria-haspopup");
-    blogImage.removeAttribute("aria-expanded");
+  if (!analyticsVendorsLoaded) {
+    analyticsVendorsLoaded = true;
+    if (analyticsConfig.ga4Id) {
+      appendAnalyticsScript(`${GTAG_SCRIPT_URL}${encodeURIComponent(analyticsConfig.ga4Id)}`);
+    }
+    if (analyticsConfig.clarityId) {
+      appendAnalyticsScript(`${CLARITY_SCRIPT_URL}${encodeURIComponent(analyticsConfig.clarityId)}`);
+    }
   }
 
-});
-
-/* -------------------------------------------------------------------------- */
-/*  Learning hub resource redirects                                           */
-/* -------------------------------------------------------------------------- */
-const learningResourceLinks = document.querySelectorAll(".resource-card");
-const LEARNING_RESOURCE_CLICK_EVENT = "learning_hub_resource_click";
+  if (typeof window.clarity === "function") {
+    window.clarity("consent");
+  }
+};
 
 /**
- * Send GA4 event when a learning hub resource card is clicked.
- *
- * @param {HTMLAnchorElement} link
+ * Remove first-party analytics cookies for this host and its parent domain.
  */
-const trackLearningResourceClick = function (link) {
-  if (typeof window.gtag !== "function") { return; }
+const clearAnalyticsCookies = function () {
+  const hostParts = window.location.hostname.split(".");
+  const domains = ["", window.location.hostname, `.${hostParts.slice(-2).join(".")}`];
 
-  const resourceItem = link.closest("[data-learning-filter-item]") || link.closest(".resource-item");
-  const titleElement = resourceItem ? resourceItem.querySelector(".resource-title") : null;
-  const categoryElement = resourceItem ? resourceItem.querySelector(".resource-category") : null;
-
-  const resourceTitle = titleElement ? titleElement.textContent.trim() : "";
-  const resourceCategory = categoryElement
-    ? categoryElement.textContent.trim()
-    : resourceItem && resourceItem.dataset.learningCategory
-      ? resourceItem.dataset.learningCategory.trim()
-      : "";
-  const resourceUrl = link.dataset.externalUrl || link.getAttribute("href") || "";
-  const linkTarget = link.getAttribute("target") || "_self";
-  const isExternal = linkTarget === "_blank" || Boolean(link.dataset.externalUrl);
+  document.cookie.split(";").forEach((cookie) => {
+    const name = cookie.split("=")[0].trim();
+    if (!ANALYTICS_COOKIE_PATTERN.test(name)) { return; }
 
-  try {
-    window.gtag("event", LEARNING_RESOURCE_CLICK_EVENT, {
-      event_category: "learning_hub",
-      event_label: resourceTitle || resourceUrl,
-      resource_title: resourceTitle,
-      resource_category: resourceCategory,
-      resource_url: resourceUrl,
-      link_target: linkTarget,
-      is_external: isExternal,
-      transport_type: "beacon",
-      page_location: window.location.href,
-      page_path: window.location.pathname
+    domains.forEach((domain) => {
+      const domainPart = domain ? `; domain=${domain}` : "";
+      document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domainPart}`;
     });
-  } catch (error) {
-    console.warn("Failed to send learning resource click event to GA4.", error);
-  }
+  });
 };
 
-learningResourceLinks.forEach((link) => {
-  const isBlogCard = Boolean(link.closest("[data-blog-item]"));
-  const blogTarget = link.dataset.blogTarget || link.getAttribute("href");
-
-  link.addEventListener("click", function () {
-    trackLearningResourceClick(link);
-  });
+/**
+ * Drop queued events and silence both vendors. If they were already running
+ * (consent revoked), tell them to stop and clear their cookies.
+ */
+const disableAnalyticsVendors = function () {
+  if (analyticsConfig.ga4Id) {
+    window[`ga-disable-${analyticsConfig.ga4Id}`] = true;
+  }
 
-  if (isBlogPage && isBlogCard) {
-    if (!blogTarget) {
-      disableInteractiveLink(link);
-      return;
+  if (analyticsVendorsLoaded) {
+    if (typeof window.gtag === "function") {
+      window.gtag("consent", "update", { analytics_storage: "denied" });
+    }
+    if (typeof window.clarity === "function") {
+      window.clarity("consent", false);
+    }
+    clearAnalyticsCookies();
+  } else {
+    if (Array.isArray(window.dataLayer)) {
+      window.dataLayer.length = 0;
+    }
+    if (typeof window.clarity === "function" && Array.isArray(window.clarity.q)) {
+      window.clarity.q.length = 0;
     }
-
-    enableInteractiveLink(link, blogTarget);
-    return;
   }
 
-  const externalUrl = link.dataset.externalUrl;
+  window.gtag = function () {};
+  analyticsQueueDropped = true;
+};
 
-  if (externalUrl) {
-    const externalTarget = link.getAttribute("target") || "_blank";
-    const externalRel = link.getAttribute("rel") || "noopener noreferrer";
-    enableInteractiveLink(link, externalUrl, {
-      target: externalTarget,
-      rel: externalRel
-    });
-    return;
+/**
+ * Apply a consent state to the vendors and announce it.
+ *
+ * @param {"granted"|"denied"|"pending"} state
+ */
+const applyAnalyticsConsent = function (state) {
+  if (state === "granted") {
+    loadAnalyticsVendors();
+  } else if (state === "denied") {
+    disableAnalyticsVendors();
   }
 
-  enableInteractiveLink(link, PROJECT_TEMPLATE_PATH);
-  link.addEventListener("click", function (event) {
-    event.preventDefault();
-    window.location.href = PROJECT_TEMPLATE_PATH;
-  });
-});
-
-/* -------------------------------------------------------------------------- */
-/*  Media lightbox (images zoom + pan)                                        */
-/* -------------------------------------------------------------------------- */
-const mediaLightbox = (function ensureMediaLightbox() {
-  let lightbox = document.querySelector("#mediaLightbox");
+  document.documentElement.dataset.analyticsConsent = state;
+  document.dispatchEvent(new CustomEvent(CONSENT_CHANGE_EVENT, { detail: { analytics: state } }));
+};
 
-  if (!lightbox) {
-    const wrapper = document.createElement("div");
-    wrapper.innerHTML = `
-      <div class="media-lightbox" id="mediaLightbox" aria-hidden="true">
-        <div class="media-lightbox__backdrop" data-lightbox-close></div>
-        <div
-          class="media-lightbox__dialog"
-          role="dialog"
-          aria-modal="true"
-          aria-label="Enlarged media preview"
-          tabindex="-1"
-        >
-          <button class="media-lightbox__close" type="button" data-lightbox-close aria-label="Close preview">
-            &times;
-          </button>
-          <div class="media-lightbox__controls" aria-hidden="false">
-            <button class="media-lightbox__zoom" type="button" data-zoom="out" aria-label="Zoom out">
-              &minus;
-            </button>
-            <span class="media-lightbox__zoom-level" aria-live="polite">100%</span>
-            <button class="media-lightbox__zoom" type="button" data-zoom="in" aria-label="Zoom in">
-              +
-            </button>
-          </div>
-          <div class="media-lightbox__content">
-            <img src="" alt="">
-          </div>
+const consentUi = (function ensureConsentUi() {
+  if (!document.body || (!analyticsConfig.ga4Id && !analyticsConfig.clarityId)) { return null; }
+
+  const wrapper = document.createElement("div");
+  wrapper.innerHTML = `
+    <div class="consent-banner" data-consent-banner role="region" aria-label="Analytics consent" hidden>
+      <p class="consent-banner__text">
+        This site can use Google Analytics and Microsoft Clarity to learn which pages are useful.
+        They stay off unless you allow them.
+      </p>
+      <div class="consent-banner__actions">
+        <button type="button" class="consent-btn" data-consent-action="decline">Decline</button>
+        <button type="button" class="consent-btn" data-consent-action="preferences">Preferences</button>
+        <button type="button" class="consent-btn consent-btn--primary" data-consent-action="accept">Allow analytics</button>
+      </div>
+    </div>
+    <div class="consent-panel" id="consentPanel" aria-hidden="true">
+      <div class="consent-panel__backdrop" data-consent-close></div>
+      <div class="consent-panel__dialog" role="dialog" aria-modal="true" aria-labelledby="consentPanelTitle">
+        <h2 class="h3 consent-panel__title" id="consentPanelTitle">Privacy preferences</h2>
+        <p class="consent-panel__signal" data-consent-signal hidden>
+          Your browser sends a Do Not Track or Global Privacy Control signal, so analytics stay off
+          unless you switch them on here.
+        </p>
+        <ul class="consent-panel__list">
+          <li class="consent-option">
+            <div class="consent-option__text">
+              <h3 class="h5">Essential</h3>
+              <p>Remembers your theme, filters and form drafts on this device. Always on.</p>
+            </div>
+            <input type="checkbox" class="consent-option__toggle" checked disabled aria-label="Essential storage, always on">
+          </li>
+          <li class="consent-option">
+            <label class="consent-option__text" for="consentAnalytics">
+              <span class="h5">Analytics</span>
+              <span>Google Analytics 4 and Microsoft Clarity: page views, clicks and anonymous session recordings.</span>
+            </label>
+            <input type="checkbox" class="consent-option__toggle" id="consentAnalytics" data-consent-analytics>
+          </li>
+        </ul>
+        <div class="consent-panel__actions">
+          <button type="button" class="consent-btn" data-consent-close>Cancel</button>
+          <button type="button" class="consent-btn consent-btn--primary" data-consent-save>Save preferences</button>
         </div>
       </div>
-    `.trim();
-
-    lightbox = wrapper.firstElementChild;
-    document.body.appendChild(lightbox);
+    </div>
+  `.trim();
+
+  const banner = wrapper.querySelector("[data-consent-banner]");
+  const panel = wrapper.querySelector("#consentPanel");
+  document.body.append(banner, panel);
+
+  const sidebarMore = document.querySelector(".sidebar-info_more");
+  if (sidebarMore) {
+    const settingsButton = document.createElement("button");
+    settingsButton.type = "button";
+    settingsButton.className = "sidebar-privacy-btn";
+    settingsButton.dataset.consentOpen = "";
+    settingsButton.textContent = "Privacy settings";
+    sidebarMore.appendChild(settingsButton);
   }
 
-  return lightbox;
+  return { banner, panel };
 })();
-const mediaLightboxImage = mediaLightbox ? mediaLightbox.querySelector(".media-lightbox__content img") : null;
 
-if (mediaLightbox && mediaLightboxImage) {
-  const mediaLightboxDialog = mediaLightbox.querySelector(".media-lightbox__dialog");
-  const mediaLightboxContent = mediaLightbox.querySelector(".media-lightbox__content");
-  const zoomButtons = mediaLightbox.querySelectorAll("[data-zoom]");
-  const zoomLevelDisplay = mediaLightbox.querySelector(".media-lightbox__zoom-level");
-  const closeTriggers = mediaLightbox.querySelectorAll("[data-lightbox-close]");
+if (consentUi) {
+  const { banner: consentBanner, panel: consentPanel } = consentUi;
+  const consentDialogPanel = consentPanel.querySelector(".consent-panel__dialog");
+  const consentAnalyticsToggle = consentPanel.querySelector("[data-consent-analytics]");
+  const consentSignalNotice = consentPanel.querySelector("[data-consent-signal]");
 
   /**
-   * Clamp a numeric value between two bounds.
+   * Store a choice, hide the banner and apply it.
    *
-   * @param {number} value
-   * @param {number} min
-   * @param {number} max
-   * @returns {number}
+   * @param {boolean} allowAnalytics
    */
-  const clamp = function (value, min, max) {
-    return Math.min(Math.max(value, min), max);
+  const saveAnalyticsConsent = function (allowAnalytics) {
+    localStorageController.set(CONSENT_STORAGE_KEY, {
+      version: CONSENT_VERSION,
+      analytics: allowAnalytics,
+      decidedAt: Date.now()
+    });
+    consentBanner.hidden = true;
+    applyAnalyticsConsent(allowAnalytics ? "granted" : "denied");
   };
 
-  const MIN_SCALE = 1;
-  const MAX_SCALE = 4;
-  const SCALE_STEP = 0.25;
-  const SCALE_PRECISION = 100;
-  const ZOOMED_CLASS = "media-lightbox--zoomed";
+  /**
+   * Hide the preferences panel.
+   */
+  function closeConsentPanel() {
+    if (!consentPanel.classList.contains("active")) { return; }
+    consentPanel.classList.remove("active");
+    consentPanel.setAttribute("aria-hidden", "true");
+    consentDialog.close();
+  }
 
-  let currentScale = MIN_SCALE;
-  let activeTrigger = null;
-  let lastFocusedElement = null;
-  let isDragging = false;
-  let lastPointerPosition = { x: 0, y: 0 };
-  let translate = { x: 0, y: 0 };
+  const consentDialog = createDialogController(consentPanel, {
+    panel: consentDialogPanel,
+    backdrop: consentPanel.querySelectorAll(".consent-panel__backdrop"),
+    initialFocus: () => consentAnalyticsToggle,
+    onRequestClose: closeConsentPanel
+  });
 
   /**
-   * Apply translation and scale transforms to the lightbox image.
+   * Show the preferences panel reflecting the current choice.
+   *
+   * @param {HTMLElement} [trigger] - Element to refocus when the panel closes.
    */
-  const applyTransform = function () {
-    clampTranslate();
-    mediaLightboxImage.style.transform = `translate(${translate.x}px, ${translate.y}px) scale(${currentScale})`;
+  const openConsentPanel = function (trigger) {
+    consentAnalyticsToggle.checked = getAnalyticsConsent() === "granted";
+    consentSignalNotice.hidden = !hasPrivacySignal();
+    consentPanel.classList.add("active");
+    consentPanel.setAttribute("aria-hidden", "false");
+    consentDialog.open(trigger);
   };
 
-  /**
-   * Prevent the image from being dragged outside the viewport.
-   */
-  const clampTranslate = function () {
-    if (!mediaLightboxImage) { return; }
-    if (currentScale <= MIN_SCALE) {
-      translate = { x: 0, y: 0 };
-      return;
+  consentBanner.addEventListener("click", function (event) {
+    const button = event.target instanceof Element ? event.target.closest("[data-consent-action]") : null;
+    if (!button) { return; }
+
+    const action = button.dataset.consentAction;
+    if (action === "accept") {
+      saveAnalyticsConsent(true);
+    } else if (action === "decline") {
+      saveAnalyticsConsent(false);
+    } else if (action === "preferences") {
+      openConsentPanel(button);
     }
+  });
 
-    const baseWidth = mediaLightboxImage.offsetWidth || 0;
-    const baseHeight = mediaLightboxImage.offsetHeight || 0;
+  consentPanel.querySelectorAll("[data-consent-close]").forEach((button) => {
+    if (button.classList.contains("consent-panel__backdrop")) { return; }
+    button.addEventListener("click", closeConsentPanel);
+  });
 
-    if (!baseWidth || !baseHeight) { return; }
+  consentPanel.querySelector("[data-consent-save]").addEventListener("click", function () {
+    saveAnalyticsConsent(consentAnalyticsToggle.checked);
+    closeConsentPanel();
+  });
 
-    const maxX = (baseWidth * (currentScale - 1)) / 2;
-    const maxY = (baseHeight * (currentScale - 1)) / 2;
+  document.addEventListener("click", function (event) {
+    const trigger = event.target instanceof Element ? event.target.closest("[data-consent-open]") : null;
+    if (!trigger) { return; }
+    event.preventDefault();
+    openConsentPanel(trigger);
+  });
 
-    translate.x = clamp(translate.x, -maxX, maxX);
-    translate.y = clamp(translate.y, -maxY, maxY);
-  };
+  window.addEventListener("storage", function (event) {
+    if (event.key !== CONSENT_STORAGE_KEY) { return; }
+    const state = getAnalyticsConsent();
+    consentBanner.hidden = state !== "pending";
+    applyAnalyticsConsent(state);
+  });
+
+  const initialConsent = getAnalyticsConsent();
+  consentBanner.hidden = initialConsent !== "pending";
+  applyAnalyticsConsent(initialConsent);
+}
+
+/* -------------------------------------------------------------------------- */
+/*  Analytics (shared event schema + GA4 / beacon / debug adapters)           */
+/* -------------------------------------------------------------------------- */
+const ANALYTICS_DEBUG_PARAM = "analytics";
+const ANALYTICS_DEBUG_STORAGE_KEY = "analytics-debug";
+const ANALYTICS_DEBUG_LOG_LIMIT = 50;
+
+/**
+ * @typedef {Object} AnalyticsEvent
+ * @property {string} name - snake_case event name, e.g. `blog_post_click`.
+ * @property {string} category - Feature area, sent to GA4 as `event_category`.
+ * @property {string} label - Human-readable summary, sent as `event_label`.
+ * @property {Object<string, string|number|boolean>} params - Event-specific fields.
+ * @property {string} pageLocation
+ * @property {string} pagePath
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} AnalyticsAdapter
+ * @property {string} name
+ * @property {(event: AnalyticsEvent) => void} send
+ */
+
+const analytics = (function createAnalytics() {
+  /** @type {AnalyticsAdapter[]} */
+  const adapters = [];
+  /** @type {AnalyticsEvent[]} */
+  const debugLog = [];
+  /** @type {AnalyticsEvent[]} */
+  let pendingBeaconEvents = [];
+  let debugList = null;
 
   /**
-   * Update zoom indicator text and controls.
+   * `?analytics=debug` turns the debug sink on for the rest of the session;
+   * `?analytics=off` turns it back off.
+   *
+   * @returns {boolean}
    */
-  const updateZoomUi = function () {
-    if (zoomLevelDisplay) {
-      const percentage = Math.round(currentScale * 100);
-      zoomLevelDisplay.textContent = `${percentage}%`;
-    }
-
-    mediaLightbox.classList.toggle(ZOOMED_CLASS, currentScale > MIN_SCALE + 0.01);
+  const readDebugMode = function () {
+    const param = new URLSearchParams(window.location.search).get(ANALYTICS_DEBUG_PARAM);
 
-    zoomButtons.forEach((button) => {
-      const direction = button.dataset.zoom;
-      if (direction === "in") {
-        button.disabled = currentScale >= MAX_SCALE - 0.001;
-      } else if (direction === "out") {
-        button.disabled = currentScale <= MIN_SCALE + 0.001;
+    try {
+      if (param === "debug") {
+        sessionStorage.setItem(ANALYTICS_DEBUG_STORAGE_KEY, "true");
+      } else if (param === "off") {
+        sessionStorage.removeItem(ANALYTICS_DEBUG_STORAGE_KEY);
       }
-    });
+      return sessionStorage.getItem(ANALYTICS_DEBUG_STORAGE_KEY) === "true";
+    } catch (error) {
+      return param === "debug";
+    }
   };
 
+  const isDebugEnabled = readDebugMode();
+
   /**
-   * Apply an exact zoom level while keeping translations in bounds.
+   * GA4 adapter. Consent is enforced upstream: before a choice `gtag` queues
+   * into `dataLayer`, after a refusal it is a no-op.
    *
-   * @param {number} scale
+   * @type {AnalyticsAdapter}
    */
-  const setScale = function (scale) {
-    const nextScale = Math.round(clamp(scale, MIN_SCALE, MAX_SCALE) * SCALE_PRECISION) / SCALE_PRECISION;
-    currentScale = nextScale;
-    if (currentScale <= MIN_SCALE) {
-      translate = { x: 0, y: 0 };
+  const ga4Adapter = {
+    name: "ga4",
+    send(event) {
+      if (typeof window.gtag !== "function") { return; }
+
+      window.gtag("event", event.name, Object.assign({
+        event_category: event.category,
+        event_label: event.label
+      }, event.params, {
+        transport_type: "beacon",
+        page_location: event.pageLocation,
+        page_path: event.pagePath
+      }));
     }
-    applyTransform();
-    updateZoomUi();
   };
 
   /**
-   * Increment or decrement the zoom level.
+   * Post one event to the first-party collector.
    *
-   * @param {number} direction
+   * @param {string} endpoint
+   * @param {AnalyticsEvent} event
    */
-  const applyZoomChange = function (direction) {
-    setScale(currentScale + direction * SCALE_STEP);
+  const postBeacon = function (endpoint, event) {
+    const body = JSON.stringify(event);
+
+    if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: "application/json" }))) {
+      return;
+    }
+
+    fetch(endpoint, {
+      method: "POST",
+      keepalive: true,
+      headers: { "Content-Type": "application/json" },
+      body
+    }).catch(() => {});
   };
 
   /**
-   * Reset zoom and translation to their default state.
+   * `navigator.sendBeacon` collector, enabled by `collectorEndpoint` in
+   * `window.siteAnalyticsConfig`. Follows the same consent rules as GA4.
+   *
+   * @type {AnalyticsAdapter}
    */
-  const resetZoom = function () {
-    setScale(MIN_SCALE);
-    translate = { x: 0, y: 0 };
-    applyTransform();
+  const beaconAdapter = {
+    name: "beacon",
+    send(event) {
+      const endpoint = analyticsConfig.collectorEndpoint;
+      if (!endpoint) { return; }
+
+      const consent = getAnalyticsConsent();
+      if (consent === "granted") {
+        postBeacon(endpoint, event);
+      } else if (consent === "pending") {
+        pendingBeaconEvents.push(event);
+      }
+    }
   };
 
   /**
-   * Start panning mode when the user drags on the zoomed image.
+   * Build the on-page overlay listing recent events.
    *
-   * @param {{x: number, y: number}} point
+   * @returns {HTMLOListElement|null}
    */
-  const startPan = function (point) {
-    if (!mediaLightboxContent || currentScale <= MIN_SCALE + 0.01) { return; }
+  const ensureDebugOverlay = function () {
+    if (debugList || !document.body) { return debugList; }
+
+    const overlay = document.createElement("section");
+    overlay.className = "analytics-debug";
+    overlay.setAttribute("aria-label", "Analytics debug log");
+    overlay.innerHTML = `
+      <header class="analytics-debug__header">
+        <strong>Analytics debug</strong>
+        <button type="button" class="analytics-debug__close" aria-label="Hide analytics debug log">&times;</button>
+      </header>
+      <ol class="analytics-debug__list" reversed></ol>
+    `.trim();
 
-    isDragging = true;
-    lastPointerPosition = { x: point.x, y: point.y };
-    mediaLightboxContent.classList.add("is-panning");
+    overlay.querySelector(".analytics-debug__close").addEventListener("click", function () {
+      overlay.hidden = true;
+    });
+
+    document.body.appendChild(overlay);
+    debugList = overlay.querySelector(".analytics-debug__list");
+    return debugList;
   };
 
   /**
-   * Continue panning the image while the pointer moves.
+   * Console + overlay sink for checking events without a network.
    *
-   * @param {{x: number, y: number}} point
+   * @type {AnalyticsAdapter}
    */
-  const movePan = function (point) {
-    if (!isDragging || !mediaLightboxContent) { return; }
+  const debugAdapter = {
+    name: "debug",
+    send(event) {
+      debugLog.push(event);
+      if (debugLog.length > ANALYTICS_DEBUG_LOG_LIMIT) {
+        debugLog.shift();
+      }
 
-    const deltaX = point.x - lastPointerPosition.x;
-    const deltaY = point.y - lastPointerPosition.y;
+      console.info(`[analytics] ${event.name}`, event);
 
-    translate.x += deltaX;
-    translate.y += deltaY;
-    applyTransform();
+      const list = ensureDebugOverlay();
+      if (!list) { return; }
 
-    lastPointerPosition = { x: point.x, y: point.y };
+      const item = document.createElement("li");
+      const name = document.createElement("strong");
+      const detail = document.createElement("code");
+      name.textContent = event.name;
+      detail.textContent = JSON.stringify(Object.assign({ category: event.category, label: event.label }, event.params));
+      item.append(name, detail);
+      list.prepend(item);
+
+      while (list.children.length > ANALYTICS_DEBUG_LOG_LIMIT) {
+        list.lastElementChild.remove();
+      }
+    }
   };
 
-  /**
-   * Terminate panning and reset cursor styles.
-   */
-  const endPan = function () {
-    if (!isDragging) { return; }
+  adapters.push(ga4Adapter, beaconAdapter);
+  if (isDebugEnabled) {
+    adapters.push(debugAdapter);
+  }
 
-    isDragging = false;
-    if (mediaLightboxContent) {
-      mediaLightboxContent.classList.remove("is-panning");
+  document.addEventListener(CONSENT_CHANGE_EVENT, function (event) {
+    const state = event.detail && event.detail.analytics;
+    if (state === "pending") { return; }
+
+    const queued = pendingBeaconEvents;
+    pendingBeaconEvents = [];
+    if (state === "granted" && analyticsConfig.collectorEndpoint) {
+      queued.forEach((queuedEvent) => postBeacon(analyticsConfig.collectorEndpoint, queuedEvent));
+    }
+  });
+
+  return {
+    isDebugEnabled,
+
+    /**
+     * Send an event through every adapter. One failing adapter never stops the others.
+     *
+     * @param {string} name
+     * @param {{category?: string, label?: string, params?: Object<string, string|number|boolean>}} [details]
+     */
+    track(name, details = {}) {
+      if (!name) { return; }
+
+      /** @type {AnalyticsEvent} */
+      const event = {
+        name,
+        category: details.category || "general",
+        label: details.label || "",
+        params: Object.assign({}, details.params),
+        pageLocation: window.location.href,
+        pagePath: window.location.pathname,
+        timestamp: Date.now()
+      };
+
+      adapters.forEach((adapter) => {
+        try {
+          adapter.send(event);
+        } catch (error) {
+          console.warn(`Failed to send ${name} event to the ${adapter.name} analytics adapter.`, error);
+        }
+      });
+    },
+
+    /**
+     * Register another destination.
+     *
+     * @param {AnalyticsAdapter} adapter
+     */
+    addAdapter(adapter) {
+      if (adapter && typeof adapter.send === "function" && !adapters.includes(adapter)) {
+        adapters.push(adapter);
+      }
+    },
+
+    /**
+     * Events seen by the debug sink, oldest first.
+     *
+     * @returns {AnalyticsEvent[]}
+     */
+    getDebugLog() {
+      return debugLog.slice();
     }
   };
+})();
 
-  /**
-   * Close the lightbox and restore focus to the triggering element.
-   */
-  function closeLightbox() {
-    mediaLightbox.classList.remove("active", ZOOMED_CLASS);
-    mediaLightbox.setAttribute("aria-hidden", "true");
-    document.body.classList.remove("media-lightbox-open");
+window.siteAnalytics = analytics;
 
-    mediaLightboxImage.style.transform = "scale(1)";
-    mediaLightboxImage.removeAttribute("src");
-    mediaLightboxImage.removeAttribute("srcset");
-    mediaLightboxImage.removeAttribute("sizes");
-    mediaLightboxImage.alt = "";
+/* -------------------------------------------------------------------------- */
+/*  Link click tracking (outbound, downloads, mailto/tel, internal)           */
+/* -------------------------------------------------------------------------- */
+const DOWNLOAD_EXTENSIONS = [
+  "pdf", "doc", "docx", "xls", "xlsx", "csv", "ppt", "pptx", "key",
+  "txt", "rtf", "zip", "rar", "7z", "mp3", "mp4", "mov", "webm", "psd", "ai", "fig", "sketch"
+];
+
+const LINK_CLICK_EVENTS = {
+  download: "file_download",
+  outbound: "outbound_click",
+  mailto: "contact_link_click",
+  tel: "contact_link_click",
+  internal: "internal_link_click"
+};
 
-    resetZoom();
+/**
+ * @typedef {Object} LinkClassification
+ * @property {"download"|"outbound"|"mailto"|"tel"|"internal"} type
+ * @property {URL} url
+ * @property {string} fileName
+ * @property {string} fileExtension
+ */
 
-    endPan();
+/**
+ * Work out what kind of destination a link points to.
+ *
+ * @param {HTMLAnchorElement|HTMLAreaElement} link
+ * @returns {LinkClassification|null} `null` for same-page anchors and script links.
+ */
+const classifyLink = function (link) {
+  const href = link.getAttribute("href");
+  if (!href || href.startsWith("#")) { return null; }
 
-    if (activeTrigger) {
-      activeTrigger.setAttribute("aria-expanded", "false");
-    }
+  let url;
+  try {
+    url = new URL(link.dataset.externalUrl || href, window.location.href);
+  } catch (error) {
+    return null;
+  }
 
-    const focusTarget = activeTrigger || lastFocusedElement;
-    if (focusTarget && typeof focusTarget.focus === "function") {
-      focusTarget.focus({ preventScroll: true });
-    }
+  if (url.protocol === "mailto:" || url.protocol === "tel:") {
+    return { type: url.protocol.slice(0, -1), url, fileName: "", fileExtension: "" };
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") { return null; }
 
-    activeTrigger = null;
-    lastFocusedElement = null;
+  const fileName = safeDecodeURIComponent(url.pathname.split("/").pop() || "");
+  const extensionMatch = fileName.match(/\.([a-z0-9]+)$/i);
+  const fileExtension = extensionMatch ? extensionMatch[1].toLowerCase() : "";
 
-    document.removeEventListener("keydown", handleKeydown, true);
+  if (link.hasAttribute("download") || DOWNLOAD_EXTENSIONS.includes(fileExtension)) {
+    return { type: "download", url, fileName, fileExtension };
   }
 
-  /**
-   * Allow keyboard shortcuts for zooming and closing the lightbox.
-   *
-   * @param {KeyboardEvent} event
-   */
-  function handleKeydown(event) {
-    if (!mediaLightbox.classList.contains("active")) { return; }
+  if (url.host !== window.location.host) {
+    return { type: "outbound", url, fileName: "", fileExtension: "" };
+  }
 
-    const key = event.key;
+  const isSamePageAnchor = url.pathname === window.location.pathname && url.search === window.location.search && url.hash;
+  if (isSamePageAnchor) { return null; }
 
-    if (key === "Escape") {
-      event.preventDefault();
-      closeLightbox();
-      return;
-    }
+  return { type: "internal", url, fileName: "", fileExtension: "" };
+};
 
-    if (key === "+" || (key === "=" && event.shiftKey)) {
-      event.preventDefault();
-      applyZoomChange(1);
-    } else if (key === "-" || key === "_") {
-      event.preventDefault();
-      applyZoomChange(-1);
+/**
+ * Send the event that matches a clicked link's classification.
+ *
+ * @param {HTMLAnchorElement|HTMLAreaElement} link
+ * @param {LinkClassification} classification
+ */
+const trackLinkClick = function (link, classification) {
+  const { type, url, fileName, fileExtension } = classification;
+  const linkText = (link.textContent || link.getAttribute("aria-label") || "").replace(/\s+/g, " ").trim().slice(0, 100);
+  const isContactLink = type === "mailto" || type === "tel";
+
+  analytics.track(LINK_CLICK_EVENTS[type], {
+    category: "links",
+    label: fileName || linkText || url.href,
+    params: {
+      link_type: type,
+      link_url: isContactLink ? url.protocol : url.href,
+      link_domain: isContactLink ? "" : url.hostname,
+      link_text: linkText,
+      link_classes: link.className && typeof link.className === "string" ? link.className : "",
+      file_name: fileName,
+      file_extension: fileExtension,
+      outbound: type === "outbound" || (type === "download" && url.host !== window.location.host)
     }
-  }
+  });
+};
 
-  /**
-   * Render the lightbox with content from the trigger image.
-   *
-   * @param {HTMLElement} trigger
-   */
-  const openLightbox = function (trigger) {
-    if (!trigger) { return; }
-
-    if (activeTrigger && activeTrigger !== trigger) {
-      activeTrigger.setAttribute("aria-expanded", "false");
-    }
-
-    lastFocusedElement = document.activeElement instanceof HTMLElement ? document.activeElement : null;
-    activeTrigger = trigger;
-
-    activeTrigger.setAttribute("aria-expanded", "true");
+/**
+ * Delegated handler for primary and middle clicks on any link.
+ *
+ * @param {MouseEvent} event
+ */
+const handleTrackedLinkClick = function (event) {
+  if (event.type === "auxclick" && event.button !== 1) { return; }
 
-    const source = trigger.currentSrc || trigger.src;
-    const srcset = trigger.getAttribute("srcset");
-    mediaLightboxImage.src = source;
-    mediaLightboxImage.srcset = srcset || "";
-    mediaLightboxImage.sizes = trigger.getAttribute("sizes") || "";
-    mediaLightboxImage.alt = trigger.alt || "";
+  const link = event.target instanceof Element ? event.target.closest("a[href], area[href]") : null;
+  if (!link) { return; }
 
-    resetZoom();
+  // Plain clicks on video posters and previewable attachments open them on the
+  // page and report video_* / file_preview events instead.
+  const isModifiedClick = event.metaKey || event.ctrlKey || event.shiftKey || event.altKey || event.button !== 0;
+  const opensOnPage = link.dataset.videoTrigger !== undefined || link.dataset.lightboxTrigger === "true";
+  if (opensOnPage && !isModifiedClick) { return; }
 
-    mediaLightbox.classList.add("active");
-    mediaLightbox.setAttribute("aria-hidden", "false");
-    document.body.classList.add("media-lightbox-open");
+  const classification = classifyLink(link);
+  if (classification) {
+    trackLinkClick(link, classification);
+  }
+};
 
-    document.addEventListener("keydown", handleKeydown, true);
+// Capture phase so handlers that stop propagation don't hide clicks from analytics.
+document.addEventListener("click", handleTrackedLinkClick, true);
+document.addEventListener("auxclick", handleTrackedLinkClick, true);
 
-    requestAnimationFrame(() => {
-      if (mediaLightboxDialog) {
-        mediaLightboxDialog.focus({ preventScroll: true });
-      }
-    });
-  };
+/* -------------------------------------------------------------------------- */
+/*  Sidebar interaction (profile drawer toggle)                              */
+/* -------------------------------------------------------------------------- */
+const sidebar = document.querySelector("[data-sidebar]");
+const sidebarBtn = document.querySelector("[data-sidebar-btn]");
 
+if (sidebar && sidebarBtn) {
   /**
-   * Determine if an image should be enhanced with lightbox behaviour.
+   * Apply a temporary max-height value to drive CSS transitions.
    *
-   * @param {HTMLImageElement} img
-   * @returns {boolean}
+   * @param {string|null} value - CSS length value or `null` to reset.
    */
-  const isEligibleForLightbox = function (img) {
-    if (!(img instanceof HTMLImageElement)) { return false; }
-    if (img.dataset.lightboxDisabled === "true") { return false; }
-    if ("testimonialsAvatar" in img.dataset) { return false; }
-    if (img.dataset.modalImg !== undefined) { return false; }
-    if (img.closest("[data-testimonials-item]")) { return false; }
-    if (img.closest(".contact-item")) { return false; }
-    if (img.closest(".service-item")) { return false; }
-    if (img.closest(".clients-item")) { return false; }
-    if (img.closest(".media-placeholder--video")) { return false; }
-    if (img.closest("[data-lightbox-ignore]") && img.dataset.lightboxOptIn !== "true") { return false; }
-    if (img.closest("#mediaLightbox")) { return false; }
+  const setSidebarMaxHeight = function (value) {
+    if (value === null) {
+      sidebar.style.removeProperty("max-height");
+      return;
+    }
 
-    return true;
+    sidebar.style.setProperty("max-height", value);
   };
 
   /**
-   * Bind lightbox events to a single image.
+   * Synchronize the aria-expanded attribute with active state.
    *
-   * @param {HTMLImageElement} img
+   * @param {boolean} isExpanded
    */
-  const attachLightboxToImage = function (img) {
-    if (!isEligibleForLightbox(img)) { return; }
-    if (img.dataset.lightboxBound === "true") { return; }
-
-    img.dataset.lightboxBound = "true";
-    img.dataset.lightboxTrigger = "true";
-    img.classList.add("media-lightbox__trigger");
-    img.setAttribute("tabindex", img.getAttribute("tabindex") || "0");
-    img.setAttribute("role", img.getAttribute("role") || "button");
-    img.setAttribute("aria-haspopup", "dialog");
-    img.setAttribute("aria-expanded", "false");
-
-    img.addEventListener("click", function (event) {
-      event.preventDefault();
-      event.stopPropagation();
-      openLightbox(img);
-    });
-
-    img.addEventListener("keydown", function (event) {
-      const key = event.key;
-      if (key === "Enter" || key === " ") {
-        event.preventDefault();
-        openLightbox(img);
-      }
-    });
+  const updateAriaExpanded = function (isExpanded) {
+    sidebarBtn.setAttribute("aria-expanded", String(Boolean(isExpanded)));
   };
 
   /**
-   * Attach lightbox behaviour to all images within a root node.
+   * Reset inline height once the expand animation completes.
    *
-   * @param {Element|DocumentFragment|Document} [root=document]
+   * @param {TransitionEvent} event
    */
-  const attachLightboxToImages = function (root = document) {
-    const images = root instanceof Element || root instanceof DocumentFragment
-      ? root.querySelectorAll("img")
-      : document.querySelectorAll("img");
-
-    images.forEach(attachLightboxToImage);
+  const handleExpandTransitionEnd = function (event) {
+    if (event.propertyName !== "max-height") { return; }
+    setSidebarMaxHeight("none");
+    sidebar.removeEventListener("transitionend", handleExpandTransitionEnd);
   };
 
-  zoomButtons.forEach((button) => {
-    button.addEventListener("click", function () {
-      const direction = this.dataset.zoom === "in" ? 1 : -1;
-      applyZoomChange(direction);
-    });
-  });
-
-  closeTriggers.forEach((trigger) => {
-    trigger.addEventListener("click", closeLightbox);
-  });
+  updateAriaExpanded(sidebar.classList.contains("active"));
 
-  mediaLightbox.addEventListener("click", function (event) {
-    const target = event.target;
-    if (target instanceof HTMLElement && target.dataset.lightboxClose !== undefined) {
-      closeLightbox();
-    }
-  });
+  sidebarBtn.addEventListener("click", function () {
+    const isOpening = !sidebar.classList.contains("active");
 
-  mediaLightboxImage.addEventListener("mousedown", function (event) {
-    if (currentScale <= MIN_SCALE + 0.01) { return; }
-    event.preventDefault();
-    startPan({ x: event.clientX, y: event.clientY });
-  });
+    if (isOpening) {
+      sidebar.classList.add("active");
+      updateAriaExpanded(true);
+      sidebar.removeEventListener("transitionend", handleExpandTransitionEnd);
 
-  window.addEventListener("mousemove", function (event) {
-    if (!isDragging) { return; }
-    event.preventDefault();
-    movePan({ x: event.clientX, y: event.clientY });
-  });
+      setSidebarMaxHeight(`${sidebar.scrollHeight}px`);
+      sidebar.addEventListener("transitionend", handleExpandTransitionEnd);
+      return;
+    }
 
-  window.addEventListener("mouseup", function () {
-    if (!isDragging) { return; }
-    endPan();
-  });
+    sidebar.removeEventListener("transitionend", handleExpandTransitionEnd);
 
-  mediaLightboxImage.addEventListener("touchstart", function (event) {
-    if (currentScale <= MIN_SCALE + 0.01) { return; }
-    if (event.touches.length !== 1) { return; }
-    const touch = event.touches[0];
-    event.preventDefault();
-    startPan({ x: touch.clientX, y: touch.clientY });
-  }, { passive: false });
+    const currentHeight = sidebar.scrollHeight;
+    setSidebarMaxHeight(`${currentHeight}px`);
 
-  window.addEventListener("touchmove", function (event) {
-    if (!isDragging || event.touches.length !== 1) { return; }
-    const touch = event.touches[0];
-    event.preventDefault();
-    movePan({ x: touch.clientX, y: touch.clientY });
-  }, { passive: false });
+    void sidebar.offsetHeight;
+    sidebar.classList.remove("active");
+    updateAriaExpanded(false);
 
-  window.addEventListener("touchend", function () {
-    if (!isDragging) { return; }
-    endPan();
-  });
+    const collapseCleanup = function () {
+      setSidebarMaxHeight(null);
+    };
 
-  window.addEventListener("touchcancel", function () {
-    if (!isDragging) { return; }
-    endPan();
+    if (typeof window.requestAnimationFrame === "function") {
+      window.requestAnimationFrame(collapseCleanup);
+    } else {
+      collapseCleanup();
+    }
   });
 
-  attachLightboxToImages();
-
-  const mutationObserver = new MutationObserver((mutations) => {
-    mutations.forEach((mutation) => {
-      mutation.addedNodes.forEach((node) => {
-        if (node instanceof HTMLImageElement) {
-          attachLightboxToImage(node);
-        } else if (node instanceof HTMLElement) {
-          attachLightboxToImages(node);
-        }
-      });
-    });
-  });
+  // Phones open the contact page with the contact details already showing.
+  registerPageInitializer(function initContactSidebar() {
+    if (!document.querySelector("[data-page='contact']") || typeof window.matchMedia !== "function") { return; }
+    if (!window.matchMedia("(max-width: 768px)").matches) { return; }
 
-  mutationObserver.observe(document.body, {
-    childList: true,
-    subtree: true
+    sidebar.classList.add("active");
+    setSidebarMaxHeight("none");
+    updateAriaExpanded(true);
   });
-
-  setScale(MIN_SCALE);
 }
-
-
 /* -------------------------------------------------------------------------- */
-/*  Portfolio gallery filters (buttons + custom select)                        */
+/*  Testimonials modal (browse, auto-advance, ?testimonial=<id> deep link)    */
 /* -------------------------------------------------------------------------- */
-const select = document.querySelector("[data-select]");
-const selectItems = document.querySelectorAll("[data-select-item]");
-const selectValue = document.querySelector("[data-selecct-value]");
-const filterButtons = document.querySelectorAll("[data-filter-btn]");
-const filterItems = document.querySelectorAll("[data-filter-item]");
-const projectItems = document.querySelectorAll("[data-project-item]");
-
-if (select) {
-  select.addEventListener("click", function () {
-    elementToggleFunc(this);
-  });
-}
-
-selectItems.forEach((item) => {
-  item.addEventListener("click", function () {
-    const selectedValue = this.innerText.trim().toLowerCase();
-
-    if (selectValue) {
-      selectValue.innerText = this.innerText;
-    }
-
-    if (select) {
-      elementToggleFunc(select);
-    }
-
-    filterFunc(selectedValue);
-  });
-});
+const TESTIMONIAL_PARAM = "testimonial";
+const TESTIMONIAL_CLICK_EVENT = "testimonial_click";
+
+let testimonialsItems = [];
+let modalContainer = null;
+let modalCloseBtn = null;
+let overlay = null;
+let modalImg = null;
+let modalTitle = null;
+let modalText = null;
+let modalNav = null;
+let modalCounter = null;
+let modalPanel = null;
+let testimonialsDialog = null;
+
+let activeTestimonialIndex = -1;
+let testimonialAutoplayId = null;
+let isTestimonialAutoplayPaused = false;
 
 /**
- * Normalize text used for filter comparisons.
+ * Stable identifier for a testimonial card: `data-testimonial-id`, or a slug
+ * of the client's name.
  *
- * @param {string} value
+ * @param {Element} item
  * @returns {string}
  */
-const normalizeFilterValue = function (value) {
-  return (value || "").trim().toLowerCase();
+const getTestimonialId = function (item) {
+  if (item.dataset.testimonialId) { return item.dataset.testimonialId; }
+
+  const title = item.querySelector("[data-testimonials-title]");
+  return slugify(title ? title.textContent : "");
 };
 
 /**
- * Toggle portfolio cards to match the requested category.
+ * Mirror the open testimonial in the `?testimonial=` parameter so the
+ * address bar can be copied as a direct link.
  *
- * @param {string} selectedValue
- * @returns {boolean} true when at least one card is active.
+ * @param {string|null} id - `null` removes the parameter.
  */
-const filterFunc = function (selectedValue) {
-  const normalizedValue = normalizeFilterValue(selectedValue) || "all";
-  let hasActiveItem = false;
-
-  filterItems.forEach((item) => {
-    const itemCategory = normalizeFilterValue(item.dataset.category);
-    const isMatch = normalizedValue === "all" || normalizedValue === itemCategory;
+const writeTestimonialParam = function (id) {
+  if (!window.history || typeof window.history.replaceState !== "function") { return; }
 
-    item.classList.toggle("active", isMatch);
-    hasActiveItem = hasActiveItem || isMatch;
-  });
+  const url = new URL(window.location.href);
+  if (id) {
+    url.searchParams.set(TESTIMONIAL_PARAM, id);
+  } else {
+    url.searchParams.delete(TESTIMONIAL_PARAM);
+  }
 
-  return hasActiveItem;
+  if (url.href !== window.location.href) {
+    window.history.replaceState(window.history.state, "", url.href);
+  }
 };
 
-let lastClickedButton = filterButtons[0] || null;
+/**
+ * Delay between automatic advances, or `0` when auto-advance is off.
+ *
+ * @returns {number}
+ */
+const getTestimonialAutoplayDelay = function () {
+  if (!modalContainer || testimonialsItems.length < 2) { return 0; }
 
-filterButtons.forEach((button) => {
-  button.addEventListener("click", function () {
-    const selectedValue = normalizeFilterValue(this.innerText);
+  const prefersReducedMotion = window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+  if (prefersReducedMotion) { return 0; }
 
-    if (selectValue) {
-      selectValue.innerText = this.innerText;
-    }
+  const delay = Number.parseInt(modalContainer.dataset.testimonialsAutoplay || "", 10);
+  return Number.isFinite(delay) && delay > 0 ? delay : 0;
+};
 
-    filterFunc(selectedValue);
+/**
+ * Stop the auto-advance timer.
+ */
+const stopTestimonialAutoplay = function () {
+  if (testimonialAutoplayId !== null) {
+    window.clearTimeout(testimonialAutoplayId);
+    testimonialAutoplayId = null;
+  }
+};
 
-    if (lastClickedButton && lastClickedButton !== this) {
-      lastClickedButton.classList.remove("active");
-    }
+/**
+ * (Re)start the auto-advance timer unless it is disabled or paused.
+ */
+const scheduleTestimonialAutoplay = function () {
+  stopTestimonialAutoplay();
 
-    this.classList.add("active");
-    lastClickedButton = this;
-  });
-});
+  const delay = getTestimonialAutoplayDelay();
+  if (!delay || isTestimonialAutoplayPaused || activeTestimonialIndex === -1) { return; }
 
-/* -------------------------------------------------------------------------- */
-/*  Portfolio project click analytics (GA4)                                   */
-/* -------------------------------------------------------------------------- */
-const PORTFOLIO_CLICK_EVENT = "portfolio_project_click";
+  testimonialAutoplayId = window.setTimeout(function () {
+    testimonialAutoplayId = null;
+    stepTestimonial(1);
+  }, delay);
+};
 
 /**
- * Send GA4 event when a portfolio project card is clicked.
+ * Toggle the testimonial modal and overlay visibility.
  *
- * @param {HTMLAnchorElement} link
- * @param {HTMLElement} container
+ * @param {boolean} shouldOpen
+ * @param {HTMLElement} [trigger] - Element to refocus once the modal closes.
  */
-const trackPortfolioProjectClick = function (link, container) {
-  if (typeof window.gtag !== "function") { return; }
+const setTestimonialsModalState = function (shouldOpen, trigger) {
+  if (!modalContainer || !overlay) { return; }
+  modalContainer.classList.toggle("active", Boolean(shouldOpen));
+  overlay.classList.toggle("active", Boolean(shouldOpen));
 
-  const titleElement = container.querySelector("[data-project-title]");
-  const categoryElement = container.querySelector("[data-project-category]");
+  if (!shouldOpen) {
+    const currentItem = testimonialsItems[activeTestimonialIndex] || null;
+    activeTestimonialIndex = -1;
+    isTestimonialAutoplayPaused = false;
+    stopTestimonialAutoplay();
+    writeTestimonialParam(null);
 
-  const projectTitle = titleElement ? titleElement.textContent.trim() : "";
-  const projectCategory = categoryElement ? categoryElement.textContent.trim() : "";
-  const projectUrl = link.dataset.externalUrl || link.getAttribute("href") || "";
-  const linkTarget = link.getAttribute("target") || "_self";
-  const isExternal = linkTarget === "_blank" || Boolean(link.dataset.externalUrl);
+    if (testimonialsDialog) {
+      testimonialsDialog.close({ returnFocusTo: currentItem });
+    }
+    return;
+  }
 
-  try {
-    window.gtag("event", PORTFOLIO_CLICK_EVENT, {
-      event_category: "portfolio",
-      event_label: projectTitle || projectUrl,
-      project_title: projectTitle,
-      project_category: projectCategory,
-      project_url: projectUrl,
-      link_target: linkTarget,
-      is_external: isExternal,
-      transport_type: "beacon",
-      page_location: window.location.href,
-      page_path: window.location.pathname
-    });
-  } catch (error) {
-    console.warn("Failed to send portfolio project click event to GA4.", error);
+  if (testimonialsDialog) {
+    testimonialsDialog.open(trigger);
   }
 };
 
-if (projectItems.length > 0) {
-  projectItems.forEach((item) => {
-    const link = item.querySelector(".project-item-link");
-    if (!(link instanceof HTMLAnchorElement)) { return; }
+/**
+ * Fill the modal with the testimonial at `index`.
+ *
+ * @param {number} index
+ */
+const renderTestimonial = function (index) {
+  const item = testimonialsItems[index];
+  if (!item) { return; }
+
+  activeTestimonialIndex = index;
 
-    link.addEventListener("click", function () {
-      trackPortfolioProjectClick(link, item);
-    });
-  });
-}
+  const avatar = item.querySelector("[data-testimonials-avatar]");
+  const title = item.querySelector("[data-testimonials-title]");
+  const text = item.querySelector("[data-testimonials-text]");
 
+  if (modalImg && avatar) {
+    modalImg.src = avatar.src;
+    modalImg.alt = avatar.alt;
+  }
 
-/* -------------------------------------------------------------------------- */
-/*  Learning hub filters                                                      */
-/* -------------------------------------------------------------------------- */
-const learningSelect = document.querySelector("[data-learning-select]");
-const learningSelectValue = document.querySelector("[data-learning-select-value]");
-const learningFilterBtns = document.querySelectorAll("[data-learning-filter-btn]");
-const learningFilterItems = document.querySelectorAll("[data-learning-filter-item]");
+  if (modalTitle && title) {
+    modalTitle.innerHTML = title.innerHTML;
+  }
+
+  if (modalText && text) {
+    modalText.innerHTML = text.innerHTML;
+  }
+
+  if (modalNav) {
+    modalNav.hidden = testimonialsItems.length < 2;
+  }
+
+  if (modalCounter) {
+    modalCounter.textContent = `${index + 1} of ${testimonialsItems.length}`;
+  }
+
+  writeTestimonialParam(getTestimonialId(item));
+  scheduleTestimonialAutoplay();
+};
+
+/**
+ * Show the previous or next testimonial, wrapping at either end.
+ *
+ * @param {number} direction - `1` for next, `-1` for previous.
+ */
+function stepTestimonial(direction) {
+  if (activeTestimonialIndex === -1 || testimonialsItems.length < 2) { return; }
 
-if (learningSelect) {
-  learningSelect.addEventListener("click", function () { elementToggleFunc(this); });
+  const count = testimonialsItems.length;
+  renderTestimonial((activeTestimonialIndex + direction + count) % count);
 }
 
 /**
- * Toggle learning hub cards by data-learning-category.
+ * Populate modal content from the selected testimonial card.
  *
- * @param {string} selectedValue
+ * @param {Element} item - Testimonial card element.
  */
-const learningFilterFunc = function (selectedValue) {
-  const normalizedValue = (selectedValue || "all").trim().toLowerCase();
+const openTestimonialsModal = function (item) {
+  if (!item) { return; }
 
-  learningFilterItems.forEach((item) => {
-    const itemCategory = (item.dataset.learningCategory || "").trim().toLowerCase();
+  const index = Array.prototype.indexOf.call(testimonialsItems, item);
+  if (index === -1) { return; }
 
-    if (normalizedValue === "all" || normalizedValue === itemCategory) {
-      item.classList.add("active");
-    } else {
-      item.classList.remove("active");
-    }
-  });
+  const isOpen = activeTestimonialIndex !== -1;
+  renderTestimonial(index);
+
+  if (!isOpen) {
+    setTestimonialsModalState(true, item);
+  }
 };
 
-if (learningFilterBtns.length > 0) {
-  learningFilterBtns.forEach((button) => {
-    button.addEventListener("click", function () {
-      const selectedValue = this.innerText.trim().toLowerCase();
+/**
+ * Open the modal on the testimonial named in `?testimonial=<id>`.
+ */
+const openTestimonialFromQuery = function () {
+  const id = new URLSearchParams(window.location.search).get(TESTIMONIAL_PARAM);
+  if (!id) { return; }
 
-      learningFilterBtns.forEach((btn) => btn.classList.remove("active"));
-      this.classList.add("active");
+  const item = Array.from(testimonialsItems).find((card) => getTestimonialId(card) === id);
+  if (!item) { return; }
 
-      if (learningSelectValue) {
-        learningSelectValue.innerText = this.innerText.trim();
-      }
+  item.scrollIntoView({ block: "center" });
+  openTestimonialsModal(item);
+};
 
-      learningFilterFunc(selectedValue);
+registerPageInitializer(function initTestimonials({ signal }) {
+  testimonialsItems = document.querySelectorAll("[data-testimonials-item]");
+  modalContainer = document.querySelector("[data-modal-container]");
+  activeTestimonialIndex = -1;
+  isTestimonialAutoplayPaused = false;
+  testimonialsDialog = null;
+  if (!modalContainer) { return; }
+
+  modalCloseBtn = document.querySelector("[data-modal-close-btn]");
+  overlay = document.querySelector("[data-overlay]");
+  modalImg = document.querySelector("[data-modal-img]");
+  modalTitle = document.querySelector("[data-modal-title]");
+  modalText = document.querySelector("[data-modal-text]");
+  modalNav = document.querySelector("[data-modal-nav]");
+  modalCounter = document.querySelector("[data-modal-counter]");
+  modalPanel = modalContainer.querySelector(".testimonials-modal");
+
+  testimonialsDialog = createDialogController(modalContainer, {
+    panel: modalPanel || modalContainer,
+    backdrop: overlay ? [overlay] : [],
+    initialFocus: () => modalPanel || modalCloseBtn,
+    onRequestClose: () => setTestimonialsModalState(false)
+  });
+
+  for (let i = 0; i < testimonialsItems.length; i++) {
+    const item = testimonialsItems[i];
+    const itemAvatar = item.querySelector("[data-testimonials-avatar]");
+
+    if (itemAvatar) {
+      itemAvatar.dataset.lightboxDisabled = "true";
+    }
+    item.setAttribute("tabindex", item.getAttribute("tabindex") || "0");
+    item.setAttribute("role", item.getAttribute("role") || "button");
+
+    item.addEventListener("click", function () {
+      const title = item.querySelector("[data-testimonials-title]");
+      const testimonialName = title ? title.textContent.trim() : "Unknown";
+
+      analytics.track(TESTIMONIAL_CLICK_EVENT, {
+        category: "testimonials",
+        label: testimonialName,
+        params: {
+          testimonial_name: testimonialName,
+          testimonial_index: i + 1
+        }
+      });
+
+      openTestimonialsModal(item);
+    });
 
-      if (learningSelect) {
-        learningSelect.classList.remove("active");
+    item.addEventListener("keydown", function (event) {
+      const key = event.key;
+      if (key === "Enter" || key === " ") {
+        event.preventDefault();
+        openTestimonialsModal(item);
       }
     });
-  });
+  }
 
-  learningFilterFunc("all");
-}
+  if (modalCloseBtn) {
+    modalCloseBtn.addEventListener("click", function () {
+      setTestimonialsModalState(false);
+    });
+  }
 
+  modalContainer.querySelectorAll("[data-modal-nav-btn]").forEach((button) => {
+    button.addEventListener("click", function () {
+      stepTestimonial(button.dataset.modalNavBtn === "prev" ? -1 : 1);
+    });
+  });
 
-/**
- * Programmatically trigger a portfolio filter button based on category name.
- *
- * @param {string} categoryName
- */
-const activatePortfolioFilter = function (categoryName) {
-  if (!categoryName) { return; }
+  document.addEventListener("keydown", function (event) {
+    if (activeTestimonialIndex === -1 || !testimonialsDialog || !testimonialsDialog.isTop()) { return; }
+    if (event.key !== "ArrowLeft" && event.key !== "ArrowRight") { return; }
 
-  const normalizedCategory = normalizeFilterValue(categoryName);
+    event.preventDefault();
+    stepTestimonial(event.key === "ArrowLeft" ? -1 : 1);
+  }, { signal });
+
+  if (modalPanel) {
+    /**
+     * Pause auto-advance while the visitor is reading or using the controls.
+     *
+     * @param {boolean} isPaused
+     */
+    const setTestimonialAutoplayPaused = function (isPaused) {
+      isTestimonialAutoplayPaused = isPaused;
+      scheduleTestimonialAutoplay();
+    };
 
-  for (let i = 0; i < filterButtons.length; i++) {
-    const button = filterButtons[i];
-    if (normalizeFilterValue(button.innerText) === normalizedCategory) {
-      button.click();
-      return;
-    }
-  }
+    modalPanel.addEventListener("mouseenter", () => setTestimonialAutoplayPaused(true));
+    modalPanel.addEventListener("mouseleave", () => setTestimonialAutoplayPaused(false));
 
-  const hasResults = filterFunc(normalizedCategory);
+    // The panel itself receives focus on open, so only pause for its controls.
+    modalPanel.addEventListener("focusin", function (event) {
+      if (event.target !== modalPanel) {
+        setTestimonialAutoplayPaused(true);
+      }
+    });
+    modalPanel.addEventListener("focusout", function (event) {
+      if (!modalPanel.contains(event.relatedTarget) || event.relatedTarget === modalPanel) {
+        setTestimonialAutoplayPaused(false);
+      }
+    });
+  }
 
-  if (!hasResults) {
-    return;
+  if (testimonialsItems.length) {
+    openTestimonialFromQuery();
   }
 
-  if (selectValue) {
-    const words = normalizedCategory.split(" ");
-    for (let i = 0; i < words.length; i++) {
-      words[i] = words[i].charAt(0).toUpperCase() + words[i].slice(1);
+  // The modal leaves with the page content, so drop it from the dialog stack.
+  signal.addEventListener("abort", function () {
+    const dialog = testimonialsDialog;
+    stopTestimonialAutoplay();
+    activeTestimonialIndex = -1;
+    if (dialog) {
+      dialog.close();
     }
-    selectValue.innerText = words.join(" ");
-  }
+  });
+});
 
-  if (select) {
-    select.classList.remove("active");
-  }
-};
 
-const PORTFOLIO_FILTER_PARAM = "category";
-const PORTFOLIO_FILTER_STORAGE_KEY = "pending-portfolio-filter";
 
+/* -------------------------------------------------------------------------- */
+/*  Project modal constants                                                   */
+/* -------------------------------------------------------------------------- */
+const PROJECT_TEMPLATE_PATH = "project_template.html";
+
+
+/* -------------------------------------------------------------------------- */
+/*  Blog cards & redirects                                                    */
+/* -------------------------------------------------------------------------- */
 /**
- * Retrieve a stored portfolio filter from sessionStorage, clearing it afterward.
+ * Whether the current document is one of the blog pages.
  *
- * @returns {string|null}
+ * @returns {boolean}
  */
-const getStoredPortfolioFilter = function () {
-  try {
-    const value = sessionStorage.getItem(PORTFOLIO_FILTER_STORAGE_KEY);
-    if (!value) { return null; }
-    sessionStorage.removeItem(PORTFOLIO_FILTER_STORAGE_KEY);
-    return value;
-  } catch (error) {
-    console.warn("Unable to access sessionStorage for portfolio filter.", error);
-    return null;
-  }
+const isBlogPage = function () {
+  return window.location.pathname.endsWith("blog.html");
 };
 
+const BLOG_POST_CLICK_EVENT = "blog_post_click";
+
 /**
- * Persist a pending portfolio filter in sessionStorage for cross-page navigation.
+ * Track a blog card click.
  *
- * @param {string} filterName
+ * @param {HTMLAnchorElement} link
+ * @param {HTMLElement} container
  */
-const setStoredPortfolioFilter = function (filterName) {
-  try {
-    sessionStorage.setItem(PORTFOLIO_FILTER_STORAGE_KEY, normalizeFilterValue(filterName));
-  } catch (error) {
-    console.warn("Unable to store portfolio filter in sessionStorage.", error);
-  }
+const trackBlogPostClick = function (link, container) {
+  const titleElement = container.querySelector("[data-blog-title]");
+  const categoryElement = container.querySelector("[data-blog-category]");
+  const dateElement = container.querySelector("[data-blog-date]");
+
+  const postTitle = titleElement ? titleElement.textContent.trim() : "";
+  const postCategory = categoryElement ? categoryElement.textContent.trim() : "";
+  const postDate = dateElement ? dateElement.getAttribute("datetime") || dateElement.textContent.trim() : "";
+  const postUrl = link.dataset.blogTarget || link.dataset.externalUrl || link.getAttribute("href") || "";
+  const linkTarget = link.getAttribute("target") || "_self";
+  const isExternal = linkTarget === "_blank" || Boolean(link.dataset.externalUrl);
+
+  analytics.track(BLOG_POST_CLICK_EVENT, {
+    category: "blog",
+    label: postTitle || postUrl,
+    params: {
+      post_title: postTitle,
+      post_category: postCategory,
+      post_date: postDate,
+      post_url: postUrl,
+      link_target: linkTarget,
+      is_external: isExternal
+    }
+  });
 };
 
 /**
- * Apply portfolio filters from query parameters or stored session data.
+ * Wire a blog card's link and click tracking. Cards on the blog listing open
+ * their post; elsewhere they fall back to the external URL or project page.
+ *
+ * @param {HTMLElement} item
  */
-const applyPortfolioFilterFromQuery = function () {
-  if (filterButtons.length === 0) { return; }
+const bindBlogCard = function (item) {
+  const isBlogListing = isBlogPage();
+  const blogLink = item.querySelector("[data-blog-link]");
+  const blogImage = item.querySelector("[data-blog-img]");
 
-  let filterFromQuery = null;
+  if (!blogLink) { return; }
 
-  if (typeof URLSearchParams !== "undefined") {
-    const searchParams = new URLSearchParams(window.location.search);
-    filterFromQuery = searchParams.get(PORTFOLIO_FILTER_PARAM);
-  }
+  blogLink.addEventListener("click", function () {
+    trackBlogPostClick(blogLink, item);
+  });
+
+  if (isBlogListing) {
+    const targetUrl = blogLink.dataset.blogTarget || blogLink.getAttribute("href");
+
+    if (!targetUrl) {
+      disableInteractiveLink(blogLink);
+    } else {
+      enableInteractiveLink(blogLink, targetUrl);
+    }
 
-  const normalizedQueryFilter = normalizeFilterValue(filterFromQuery);
-  if (normalizedQueryFilter) {
-    activatePortfolioFilter(normalizedQueryFilter);
     return;
   }
 
-  const storedFilter = getStoredPortfolioFilter();
-  if (storedFilter) {
-    activatePortfolioFilter(storedFilter);
-  }
-};
+  const blogExternalUrl = blogLink.dataset.externalUrl;
 
-applyPortfolioFilterFromQuery();
+  if (blogExternalUrl) {
+    const existingTarget = isBlogListing ? "_self" : blogLink.getAttribute("target") || "_blank";
+    const existingRel = isBlogListing
+      ? null
+      : blogLink.getAttribute("rel") || "noopener noreferrer";
+    enableInteractiveLink(blogLink, blogExternalUrl, {
+      target: existingTarget,
+      rel: existingRel
+    });
+  } else {
+    enableInteractiveLink(blogLink, PROJECT_TEMPLATE_PATH);
+    blogLink.addEventListener("click", function (event) {
+      event.preventDefault();
+      window.location.href = PROJECT_TEMPLATE_PATH;
+    });
+  }
 
-window.addEventListener("DOMContentLoaded", applyPortfolioFilterFromQuery);
-window.addEventListener("load", applyPortfolioFilterFromQuery);
-window.addEventListener("pageshow", function (event) {
-  if (event.persisted) {
-    applyPortfolioFilterFromQuery();
+  if (blogImage) {
+    blogImage.setAttribute("data-lightbox-disabled", "true");
+    blogImage.classList.remove("media-lightbox__trigger");
+    blogImage.removeAttribute("tabindex");
+    blogImage.removeAttribute("role");
+    blogImage.removeAttribute("aria-haspopup");
+    blogImage.removeAttribute("aria-expanded");
   }
+};
+
+registerPageInitializer(function initBlogCards() {
+  document.querySelectorAll("[data-blog-item]").forEach(bindBlogCard);
 });
 
 /* -------------------------------------------------------------------------- */
-/*  Contact form (Formspree helper + validation)                              */
+/*  Learning hub resource redirects                                           */
 /* -------------------------------------------------------------------------- */
-const form = document.querySelector("[data-form]");
-const formInputs = document.querySelectorAll("[data-form-input]");
-const formBtn = document.querySelector("[data-form-btn]");
-const formAlert = document.querySelector("[data-form-alert]");
-const formAlertTitle = document.querySelector("[data-form-alert-title]");
-const formAlertMessage = document.querySelector("[data-form-alert-message]");
-const formAlertCloseBtn = document.querySelector("[data-form-alert-close]");
-const CONTACT_FORM_SUBMIT_EVENT = "contact_form_submit";
+const LEARNING_RESOURCE_CLICK_EVENT = "learning_hub_resource_click";
 
 /**
- * Send GA4 event when the contact form is submitted.
+ * Track a learning hub resource card click.
  *
- * @param {HTMLFormElement} formElement
- * @param {FormData} formData
+ * @param {HTMLAnchorElement} link
  */
-const trackContactFormSubmit = function (formElement, formData) {
-  if (typeof window.gtag !== "function") { return; }
-  if (!(formElement instanceof HTMLFormElement)) { return; }
-
-  const hasName = Boolean((formData.get("fullname") || "").trim());
-  const hasEmail = Boolean((formData.get("email") || "").trim());
-  const hasMessage = Boolean((formData.get("message") || "").trim());
-  const action = formElement.getAttribute("action") || "";
+const trackLearningResourceClick = function (link) {
+  const resourceItem = link.closest("[data-learning-filter-item]") || link.closest(".resource-item");
+  const titleElement = resourceItem ? resourceItem.querySelector(".resource-title") : null;
+  const categoryElement = resourceItem ? resourceItem.querySelector(".resource-category") : null;
 
-  try {
-    window.gtag("event", CONTACT_FORM_SUBMIT_EVENT, {
-      event_category: "contact",
-      event_label: "Contact form submission",
-      form_action: action,
-      has_name: hasName,
-      has_email: hasEmail,
-      has_message: hasMessage,
-      transport_type: "beacon",
-      page_location: window.location.href,
-      page_path: window.location.pathname
-    });
-  } catch (error) {
-    console.warn("Failed to send contact form submit event to GA4.", error);
-  }
-};
+  const resourceTitle = titleElement ? titleElement.textContent.trim() : "";
+  const resourceCategory = categoryElement
+    ? categoryElement.textContent.trim()
+    : resourceItem && resourceItem.dataset.learningCategory
+      ? resourceItem.dataset.learningCategory.trim()
+      : "";
+  const resourceUrl = link.dataset.externalUrl || link.getAttribute("href") || "";
+  const linkTarget = link.getAttribute("target") || "_self";
+  const isExternal = linkTarget === "_blank" || Boolean(link.dataset.externalUrl);
 
-/**
+  analytics.track(LEARNING_RESOURCE_CLICK_EVENT, {
+    category: "learning_hub",
+    label: resourceTitle || resourceUrl,
+    params: {
+      resource_title: resourceTitle,
+      resource_category: resourceCategory,
+      resource_url: resourceUrl,
+      link_target: linkTarget,
+      is_external: isExternal
+    }
+  });
+};
+
+registerPageInitializer(function initLearningResourceLinks() {
+  const isBlogListing = isBlogPage();
+
+  document.querySelectorAll(".resource-card").forEach((link) => {
+    const isBlogCard = Boolean(link.closest("[data-blog-item]"));
+    const blogTarget = link.dataset.blogTarget || link.getAttribute("href");
+
+    link.addEventListener("click", function () {
+      trackLearningResourceClick(link);
+    });
+
+    if (isBlogListing && isBlogCard) {
+      if (!blogTarget) {
+        disableInteractiveLink(link);
+        return;
+      }
+
+      enableInteractiveLink(link, blogTarget);
+      return;
+    }
+
+    const externalUrl = link.dataset.externalUrl;
+
+    if (externalUrl) {
+      const externalTarget = link.getAttribute("target") || "_blank";
+      const externalRel = link.getAttribute("rel") || "noopener noreferrer";
+      enableInteractiveLink(link, externalUrl, {
+        target: externalTarget,
+        rel: externalRel
+      });
+      return;
+    }
+
+    enableInteractiveLink(link, PROJECT_TEMPLATE_PATH);
+    link.addEventListener("click", function (event) {
+      event.preventDefault();
+      window.location.href = PROJECT_TEMPLATE_PATH;
+    });
+  });
+});
+
+/* -------------------------------------------------------------------------- */
+/*  Media lightbox (images zoom + pan, PDFs, videos and SVG attachments)      */
+/* -------------------------------------------------------------------------- */
+/** Links that preview their file in the lightbox instead of leaving the page. */
+const LIGHTBOX_LINK_SELECTOR = ".info-attachment-link, a[data-lightbox-media]";
+const LIGHTBOX_MEDIA_TYPES = {
+  pdf: "pdf",
+  mp4: "video",
+  webm: "video",
+  svg: "svg",
+  png: "image",
+  jpg: "image",
+  jpeg: "image",
+  gif: "image",
+  webp: "image",
+  avif: "image"
+};
+
+const mediaLightbox = (function ensureMediaLightbox() {
+  let lightbox = document.querySelector("#mediaLightbox");
+
+  if (!lightbox) {
+    const wrapper = document.createElement("div");
+    wrapper.innerHTML = `
+      <div class="media-lightbox" id="mediaLightbox" aria-hidden="true">
+        <div class="media-lightbox__backdrop" data-lightbox-close></div>
+        <div
+          class="media-lightbox__dialog"
+          role="dialog"
+          aria-modal="true"
+          aria-label="Enlarged media preview"
+          tabindex="-1"
+        >
+          <button class="media-lightbox__close" type="button" data-lightbox-close aria-label="Close preview">
+            &times;
+          </button>
+          <div class="media-lightbox__controls" aria-hidden="false">
+            <button class="media-lightbox__zoom" type="button" data-zoom="out" aria-label="Zoom out">
+              &minus;
+            </button>
+            <span class="media-lightbox__zoom-level" aria-live="polite">100%</span>
+            <button class="media-lightbox__zoom" type="button" data-zoom="in" aria-label="Zoom in">
+              +
+            </button>
+          </div>
+          <div class="media-lightbox__stage">
+            <button class="media-lightbox__nav media-lightbox__nav--prev" type="button" data-lightbox-nav="prev" aria-label="Previous item">
+              &lsaquo;
+            </button>
+            <div class="media-lightbox__content">
+              <img src="" alt="">
+            </div>
+            <button class="media-lightbox__nav media-lightbox__nav--next" type="button" data-lightbox-nav="next" aria-label="Next item">
+              &rsaquo;
+            </button>
+          </div>
+          <div class="media-lightbox__footer">
+            <p class="media-lightbox__caption"></p>
+            <span class="media-lightbox__counter" aria-live="polite"></span>
+            <div class="media-lightbox__actions">
+              <a class="media-lightbox__action" data-lightbox-download download>Download</a>
+              <a class="media-lightbox__action" data-lightbox-open target="_blank" rel="noopener noreferrer">Open in new tab</a>
+            </div>
+          </div>
+        </div>
+      </div>
+    `.trim();
+
+    lightbox = wrapper.firstElementChild;
+    document.body.appendChild(lightbox);
+  }
+
+  return lightbox;
+})();
+const mediaLightboxImage = mediaLightbox ? mediaLightbox.querySelector(".media-lightbox__content img") : null;
+
+/** Assigned once the lightbox is wired up, so other components can open it with their own triggers. */
+let openMediaLightbox = null;
+
+if (mediaLightbox && mediaLightboxImage) {
+  const mediaLightboxDialog = mediaLightbox.querySelector(".media-lightbox__dialog");
+  const mediaLightboxContent = mediaLightbox.querySelector(".media-lightbox__content");
+  const lightboxDialog = createDialogController(mediaLightbox, {
+    panel: mediaLightboxDialog || mediaLightbox,
+    initialFocus: () => mediaLightboxDialog,
+    onRequestClose: () => closeLightbox()
+  });
+  const zoomButtons = mediaLightbox.querySelectorAll("[data-zoom]");
+  const zoomLevelDisplay = mediaLightbox.querySelector(".media-lightbox__zoom-level");
+  const closeTriggers = mediaLightbox.querySelectorAll("[data-lightbox-close]");
+  const navButtons = mediaLightbox.querySelectorAll("[data-lightbox-nav]");
+  const captionDisplay = mediaLightbox.querySelector(".media-lightbox__caption");
+  const counterDisplay = mediaLightbox.querySelector(".media-lightbox__counter");
+  const downloadAction = mediaLightbox.querySelector("[data-lightbox-download]");
+  const openAction = mediaLightbox.querySelector("[data-lightbox-open]");
+
+  /**
+   * Clamp a numeric value between two bounds.
+   *
+   * @param {number} value
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  const clamp = function (value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  };
+
+  const MIN_SCALE = 1;
+  const MAX_SCALE = 4;
+  const SCALE_STEP = 0.25;
+  const SCALE_PRECISION = 100;
+  const ZOOMED_CLASS = "media-lightbox--zoomed";
+  const EMBED_CLASS = "media-lightbox--embed";
+  const GALLERY_HASH_PATTERN = /^#lightbox-(.+)-(\d+)$/;
+  const SWIPE_THRESHOLD = 50;
+  const DOUBLE_TAP_SCALE = 2;
+  const DOUBLE_TAP_DELAY = 300;
+  const DOUBLE_TAP_DISTANCE = 30;
+  const WHEEL_ZOOM_SENSITIVITY = 0.0015;
+  const INERTIA_FRICTION = 0.92;
+  const INERTIA_MIN_SPEED = 0.02;
+
+  let currentScale = MIN_SCALE;
+  let activeTrigger = null;
+  let lastFocusedElement = null;
+  let isDragging = false;
+  let lastPointerPosition = { x: 0, y: 0 };
+  let translate = { x: 0, y: 0 };
+  let galleryItems = [];
+  let galleryIndex = 0;
+  let galleryRoot = null;
+  let hashBeforeOpen = "";
+  let swipeStart = null;
+  let pinchState = null;
+  let lastTap = null;
+  let lastDoubleTapTime = -Infinity;
+  let panVelocity = { x: 0, y: 0 };
+  let lastPanTime = 0;
+  let inertiaRafId = null;
+  let wheelIdleTimeoutId = null;
+  let activeEmbed = null;
+
+  /**
+   * Apply translation and scale transforms to the lightbox image.
+   */
+  const applyTransform = function () {
+    clampTranslate();
+    mediaLightboxImage.style.transform = `translate(${translate.x}px, ${translate.y}px) scale(${currentScale})`;
+  };
+
+  /**
+   * Prevent the image from being dragged outside the viewport.
+   */
+  const clampTranslate = function () {
+    if (!mediaLightboxImage) { return; }
+    if (currentScale <= MIN_SCALE) {
+      translate = { x: 0, y: 0 };
+      return;
+    }
+
+    const baseWidth = mediaLightboxImage.offsetWidth || 0;
+    const baseHeight = mediaLightboxImage.offsetHeight || 0;
+
+    if (!baseWidth || !baseHeight) { return; }
+
+    const maxX = (baseWidth * (currentScale - 1)) / 2;
+    const maxY = (baseHeight * (currentScale - 1)) / 2;
+
+    translate.x = clamp(translate.x, -maxX, maxX);
+    translate.y = clamp(translate.y, -maxY, maxY);
+  };
+
+  /**
+   * Update zoom indicator text and controls.
+   */
+  const updateZoomUi = function () {
+    if (zoomLevelDisplay) {
+      const percentage = Math.round(currentScale * 100);
+      zoomLevelDisplay.textContent = `${percentage}%`;
+    }
+
+    mediaLightbox.classList.toggle(ZOOMED_CLASS, currentScale > MIN_SCALE + 0.01);
+
+    zoomButtons.forEach((button) => {
+      const direction = button.dataset.zoom;
+      if (direction === "in") {
+        button.disabled = currentScale >= MAX_SCALE - 0.001;
+      } else if (direction === "out") {
+        button.disabled = currentScale <= MIN_SCALE + 0.001;
+      }
+    });
+  };
+
+  /**
+   * Cancel any running inertial pan.
+   */
+  const stopInertia = function () {
+    if (inertiaRafId === null) { return; }
+    window.cancelAnimationFrame(inertiaRafId);
+    inertiaRafId = null;
+  };
+
+  /**
+   * Apply an exact zoom level while keeping translations in bounds.
+   * With an anchor, the image point under that client position stays put.
+   *
+   * @param {number} scale
+   * @param {{x: number, y: number}} [anchor] - Client coordinates to zoom around.
+   */
+  const setScale = function (scale, anchor) {
+    const nextScale = Math.round(clamp(scale, MIN_SCALE, MAX_SCALE) * SCALE_PRECISION) / SCALE_PRECISION;
+    stopInertia();
+
+    if (anchor && nextScale !== currentScale) {
+      const rect = mediaLightboxImage.getBoundingClientRect();
+      const originX = rect.left + rect.width / 2 - translate.x;
+      const originY = rect.top + rect.height / 2 - translate.y;
+      const ratio = nextScale / currentScale;
+
+      translate.x = anchor.x - originX - ratio * (anchor.x - originX - translate.x);
+      translate.y = anchor.y - originY - ratio * (anchor.y - originY - translate.y);
+    }
+
+    currentScale = nextScale;
+    if (currentScale <= MIN_SCALE) {
+      translate = { x: 0, y: 0 };
+    }
+    applyTransform();
+    updateZoomUi();
+  };
+
+  /**
+   * Switch between the fitted view and a 2x zoom around a point.
+   *
+   * @param {{x: number, y: number}} point
+   */
+  const toggleZoomAt = function (point) {
+    if (currentScale > MIN_SCALE + 0.01) {
+      setScale(MIN_SCALE);
+    } else {
+      setScale(DOUBLE_TAP_SCALE, point);
+    }
+  };
+
+  /**
+   * Increment or decrement the zoom level.
+   *
+   * @param {number} direction
+   */
+  const applyZoomChange = function (direction) {
+    setScale(currentScale + direction * SCALE_STEP);
+  };
+
+  /**
+   * Reset zoom and translation to their default state.
+   */
+  const resetZoom = function () {
+    setScale(MIN_SCALE);
+    translate = { x: 0, y: 0 };
+    applyTransform();
+  };
+
+  /**
+   * Start panning mode when the user drags on the zoomed image.
+   *
+   * @param {{x: number, y: number}} point
+   */
+  const startPan = function (point) {
+    if (!mediaLightboxContent || currentScale <= MIN_SCALE + 0.01) { return; }
+
+    stopInertia();
+    isDragging = true;
+    lastPointerPosition = { x: point.x, y: point.y };
+    panVelocity = { x: 0, y: 0 };
+    lastPanTime = performance.now();
+    mediaLightboxContent.classList.add("is-panning");
+  };
+
+  /**
+   * Continue panning the image while the pointer moves.
+   *
+   * @param {{x: number, y: number}} point
+   */
+  const movePan = function (point) {
+    if (!isDragging || !mediaLightboxContent) { return; }
+
+    const deltaX = point.x - lastPointerPosition.x;
+    const deltaY = point.y - lastPointerPosition.y;
+
+    translate.x += deltaX;
+    translate.y += deltaY;
+    applyTransform();
+
+    const now = performance.now();
+    const elapsed = Math.max(now - lastPanTime, 1);
+    panVelocity = {
+      x: 0.8 * (deltaX / elapsed) + 0.2 * panVelocity.x,
+      y: 0.8 * (deltaY / elapsed) + 0.2 * panVelocity.y
+    };
+    lastPanTime = now;
+
+    lastPointerPosition = { x: point.x, y: point.y };
+  };
+
+  /**
+   * Keep the image gliding after a fast drag, decelerating until it stops or
+   * reaches the `clampTranslate` bounds.
+   */
+  const startInertia = function () {
+    stopInertia();
+
+    const prefersReducedMotion = window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+    const releaseDelay = performance.now() - lastPanTime;
+    if (prefersReducedMotion || releaseDelay > 80) { return; }
+    if (Math.hypot(panVelocity.x, panVelocity.y) < INERTIA_MIN_SPEED * 4) { return; }
+
+    let velocity = { x: panVelocity.x, y: panVelocity.y };
+    let previousTime = performance.now();
+
+    const step = function (time) {
+      const elapsed = Math.min(time - previousTime, 64);
+      previousTime = time;
+
+      const before = { x: translate.x, y: translate.y };
+      translate.x += velocity.x * elapsed;
+      translate.y += velocity.y * elapsed;
+      applyTransform();
+
+      if (translate.x === before.x) { velocity.x = 0; }
+      if (translate.y === before.y) { velocity.y = 0; }
+
+      const decay = Math.pow(INERTIA_FRICTION, elapsed / 16);
+      velocity = { x: velocity.x * decay, y: velocity.y * decay };
+
+      if (Math.hypot(velocity.x, velocity.y) < INERTIA_MIN_SPEED) {
+        inertiaRafId = null;
+        return;
+      }
+
+      inertiaRafId = window.requestAnimationFrame(step);
+    };
+
+    inertiaRafId = window.requestAnimationFrame(step);
+  };
+
+  /**
+   * Terminate panning and reset cursor styles.
+   *
+   * @param {{withInertia?: boolean}} [options]
+   */
+  const endPan = function (options = {}) {
+    if (!isDragging) { return; }
+
+    isDragging = false;
+    if (mediaLightboxContent) {
+      mediaLightboxContent.classList.remove("is-panning");
+    }
+
+    if (options.withInertia) {
+      startInertia();
+    }
+  };
+
+  /**
+   * Distance and midpoint between the first two touches.
+   *
+   * @param {TouchList} touches
+   * @returns {{distance: number, center: {x: number, y: number}}}
+   */
+  const getPinchGeometry = function (touches) {
+    const first = touches[0];
+    const second = touches[1];
+    return {
+      distance: Math.hypot(second.clientX - first.clientX, second.clientY - first.clientY),
+      center: {
+        x: (first.clientX + second.clientX) / 2,
+        y: (first.clientY + second.clientY) / 2
+      }
+    };
+  };
+
+  /**
+   * Whether a trigger opens an embedded YouTube player (see the video embeds section).
+   *
+   * @param {HTMLElement} trigger
+   * @returns {boolean}
+   */
+  const isEmbedTrigger = function (trigger) {
+    return trigger.dataset.lightboxEmbed !== undefined;
+  };
+
+  /**
+   * @typedef {Object} LightboxMedia
+   * @property {"image"|"svg"|"pdf"|"video"|"youtube"} type
+   * @property {string} src
+   * @property {string} fileName - Empty when the file cannot be downloaded.
+   */
+
+  /**
+   * Work out what a trigger shows: the image itself, the file a link points
+   * to (by extension, or `data-lightbox-media="pdf|video|svg|image"`), or a
+   * YouTube player.
+   *
+   * @param {HTMLElement} trigger
+   * @returns {LightboxMedia|null} `null` when the link cannot be previewed.
+   */
+  const getLightboxMedia = function (trigger) {
+    if (isEmbedTrigger(trigger)) {
+      return { type: "youtube", src: trigger.href, fileName: "" };
+    }
+
+    if (trigger instanceof HTMLImageElement) {
+      const src = trigger.currentSrc || trigger.src || trigger.dataset.src || "";
+      const fileName = safeDecodeURIComponent(src.split(/[?#]/)[0].split("/").pop() || "");
+      return { type: "image", src, fileName };
+    }
+
+    if (!(trigger instanceof HTMLAnchorElement) || !trigger.getAttribute("href")) { return null; }
+
+    let url;
+    try {
+      url = new URL(trigger.getAttribute("href"), window.location.href);
+    } catch (error) {
+      return null;
+    }
+    if (url.origin !== window.location.origin) { return null; }
+
+    const fileName = safeDecodeURIComponent(url.pathname.split("/").pop() || "");
+    const extensionMatch = fileName.match(/\.([a-z0-9]+)$/i);
+    const extension = extensionMatch ? extensionMatch[1].toLowerCase() : "";
+    const type = trigger.dataset.lightboxMedia || LIGHTBOX_MEDIA_TYPES[extension];
+    if (!type) { return null; }
+
+    return { type, src: url.href, fileName };
+  };
+
+  /**
+   * Build the element that plays or displays non-image media.
+   *
+   * @param {HTMLElement} trigger
+   * @param {LightboxMedia} media
+   * @param {string} title
+   * @returns {HTMLElement}
+   */
+  const createLightboxEmbed = function (trigger, media, title) {
+    if (media.type === "youtube") {
+      return createVideoFrame(trigger, "lightbox");
+    }
+
+    if (media.type === "video") {
+      const video = document.createElement("video");
+      video.className = "media-lightbox__video";
+      video.src = media.src;
+      video.controls = true;
+      video.playsInline = true;
+      video.preload = "metadata";
+      video.setAttribute("aria-label", title || "Video preview");
+      video.play().catch(() => {});
+      return video;
+    }
+
+    const frame = document.createElement("iframe");
+    frame.className = "media-lightbox__document";
+    frame.src = media.src;
+    frame.title = title || "Document preview";
+    return frame;
+  };
+
+  /**
+   * Show an embedded player or document in place of the image, or pass `null`
+   * to remove it (which also stops playback).
+   *
+   * @param {HTMLElement|null} embed
+   */
+  const setLightboxEmbed = function (embed) {
+    if (activeEmbed) {
+      activeEmbed.remove();
+    }
+
+    activeEmbed = embed;
+    mediaLightboxImage.hidden = Boolean(embed);
+    mediaLightbox.classList.toggle(EMBED_CLASS, Boolean(embed));
+
+    if (embed && mediaLightboxContent) {
+      mediaLightboxContent.appendChild(embed);
+    }
+  };
+
+  /**
+   * Close the lightbox and restore focus to the triggering element.
+   */
+  function closeLightbox() {
+    mediaLightbox.classList.remove("active", ZOOMED_CLASS, "media-lightbox--gallery");
+    mediaLightbox.setAttribute("aria-hidden", "true");
+    document.body.classList.remove("media-lightbox-open");
+    setLightboxEmbed(null);
+
+    mediaLightboxImage.style.transform = "scale(1)";
+    mediaLightboxImage.removeAttribute("src");
+    mediaLightboxImage.removeAttribute("srcset");
+    mediaLightboxImage.removeAttribute("sizes");
+    mediaLightboxImage.alt = "";
+
+    resetZoom();
+
+    endPan();
+    pinchState = null;
+    lastTap = null;
+
+    if (activeTrigger) {
+      activeTrigger.setAttribute("aria-expanded", "false");
+    }
+
+    lightboxDialog.close({ returnFocusTo: activeTrigger || lastFocusedElement });
+
+    activeTrigger = null;
+    lastFocusedElement = null;
+    galleryItems = [];
+    galleryIndex = 0;
+    galleryRoot = null;
+    swipeStart = null;
+
+    writeGalleryHash(hashBeforeOpen);
+    hashBeforeOpen = "";
+
+    document.removeEventListener("keydown", handleKeydown, true);
+  }
+
+  /**
+   * Allow keyboard shortcuts for zooming and gallery navigation. Escape and
+   * focus trapping are handled by the shared dialog controller.
+   *
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (!mediaLightbox.classList.contains("active") || !lightboxDialog.isTop()) { return; }
+
+    const key = event.key;
+
+    if (key === "ArrowLeft" || key === "ArrowRight") {
+      // Leave arrow keys to video controls for seeking.
+      if (galleryItems.length < 2 || event.target instanceof HTMLMediaElement) { return; }
+      event.preventDefault();
+      stepGallery(key === "ArrowLeft" ? -1 : 1);
+      return;
+    }
+
+    if (activeEmbed) { return; }
+
+    if (key === "+" || (key === "=" && event.shiftKey)) {
+      event.preventDefault();
+      applyZoomChange(1);
+    } else if (key === "-" || key === "_") {
+      event.preventDefault();
+      applyZoomChange(-1);
+    }
+  }
+
+  /**
+   * Find the gallery container an image belongs to: an explicit
+   * `[data-media-gallery]` or the case-study section around it.
+   *
+   * @param {HTMLElement} trigger
+   * @returns {HTMLElement|null}
+   */
+  const getGalleryRoot = function (trigger) {
+    return trigger.closest("[data-media-gallery]") || trigger.closest(".info-grid[id]") || null;
+  };
+
+  /**
+   * Every lightbox-enabled image and attachment link inside a container, in document order.
+   *
+   * @param {ParentNode} root
+   * @returns {HTMLElement[]}
+   */
+  const getBoundTriggers = function (root) {
+    return Array.from(root.querySelectorAll("[data-lightbox-bound='true']"));
+  };
+
+  /**
+   * Collect every lightbox-enabled item in a gallery, in document order.
+   *
+   * @param {HTMLElement|null} root
+   * @param {HTMLElement} trigger
+   * @returns {HTMLElement[]}
+   */
+  const getGalleryItems = function (root, trigger) {
+    if (!root) { return [trigger]; }
+    const items = getBoundTriggers(root);
+    return items.includes(trigger) ? items : [trigger];
+  };
+
+  /**
+   * Prefer the surrounding figure caption, then the image alt text, then the link text.
+   *
+   * @param {HTMLElement} trigger
+   * @returns {string}
+   */
+  const getLightboxCaption = function (trigger) {
+    const figure = trigger.closest("figure");
+    const figcaption = figure ? figure.querySelector("figcaption") : null;
+    const captionText = figcaption ? figcaption.textContent.replace(/\s+/g, " ").trim() : "";
+    const linkText = trigger instanceof HTMLAnchorElement ? trigger.textContent.replace(/\s+/g, " ").trim() : "";
+    return captionText || trigger.alt || trigger.dataset.lightboxCaption || linkText;
+  };
+
+  /**
+   * Point the download and "open in new tab" buttons at the current file.
+   *
+   * @param {LightboxMedia} media
+   */
+  const updateLightboxActions = function (media) {
+    if (downloadAction) {
+      downloadAction.hidden = !media.fileName;
+      downloadAction.href = media.src;
+      downloadAction.setAttribute("download", media.fileName);
+    }
+
+    if (openAction) {
+      openAction.href = media.src;
+    }
+  };
+
+  /**
+   * Replace the current hash without adding a history entry.
+   *
+   * @param {string} hash - Includes the leading `#`, or empty to clear.
+   */
+  function writeGalleryHash(hash) {
+    if (typeof history === "undefined" || typeof history.replaceState !== "function") { return; }
+    const url = `${window.location.pathname}${window.location.search}${hash || ""}`;
+    try {
+      history.replaceState(history.state, "", url);
+    } catch (error) {
+      console.warn("Unable to update the lightbox URL hash.", error);
+    }
+  }
+
+  /**
+   * Copy the trigger's image, document or player into the dialog and refresh
+   * caption, counter and controls. Images and SVGs keep zoom and pan.
+   *
+   * @param {HTMLElement} trigger
+   */
+  const renderLightboxItem = function (trigger) {
+    const media = getLightboxMedia(trigger);
+    if (!media) { return; }
+
+    if (activeTrigger && activeTrigger !== trigger) {
+      activeTrigger.setAttribute("aria-expanded", "false");
+    }
+
+    activeTrigger = trigger;
+    activeTrigger.setAttribute("aria-expanded", "true");
+
+    const caption = getLightboxCaption(trigger);
+    const isZoomable = media.type === "image" || media.type === "svg";
+
+    if (isZoomable) {
+      setLightboxEmbed(null);
+
+      const isImageTrigger = trigger instanceof HTMLImageElement;
+      mediaLightboxImage.src = media.src;
+      mediaLightboxImage.srcset = (isImageTrigger && trigger.getAttribute("srcset")) || "";
+      mediaLightboxImage.sizes = (isImageTrigger && trigger.getAttribute("sizes")) || "";
+      mediaLightboxImage.alt = (isImageTrigger ? trigger.alt : caption) || "";
+      mediaLightboxImage.classList.toggle("is-vector", media.type === "svg");
+    } else {
+      mediaLightboxImage.removeAttribute("src");
+      mediaLightboxImage.removeAttribute("srcset");
+      mediaLightboxImage.alt = "";
+      setLightboxEmbed(createLightboxEmbed(trigger, media, caption));
+    }
+
+    updateLightboxActions(media);
+
+    if (trigger instanceof HTMLAnchorElement && media.type !== "youtube") {
+      analytics.track("file_preview", {
+        category: "links",
+        label: media.fileName,
+        params: {
+          file_name: media.fileName,
+          file_type: media.type,
+          link_url: media.src
+        }
+      });
+    }
+    if (captionDisplay) {
+      captionDisplay.textContent = caption;
+      captionDisplay.hidden = !caption;
+    }
+
+    const hasSiblings = galleryItems.length > 1;
+    if (counterDisplay) {
+      counterDisplay.textContent = hasSiblings ? `${galleryIndex + 1} of ${galleryItems.length}` : "";
+      counterDisplay.hidden = !hasSiblings;
+    }
+
+    navButtons.forEach((button) => {
+      button.hidden = !hasSiblings;
+    });
+    mediaLightbox.classList.toggle("media-lightbox--gallery", hasSiblings);
+
+    if (galleryRoot && galleryRoot.id) {
+      writeGalleryHash(`#lightbox-${galleryRoot.id}-${galleryIndex + 1}`);
+    }
+
+    resetZoom();
+  };
+
+  /**
+   * Move through the gallery, wrapping at either end.
+   *
+   * @param {number} direction - `1` for next, `-1` for previous.
+   */
+  const stepGallery = function (direction) {
+    if (galleryItems.length < 2) { return; }
+    galleryIndex = (galleryIndex + direction + galleryItems.length) % galleryItems.length;
+    renderLightboxItem(galleryItems[galleryIndex]);
+  };
+
+  /**
+   * Render the lightbox with content from the trigger image or link.
+   *
+   * @param {HTMLElement} trigger
+   */
+  const openLightbox = function (trigger) {
+    if (!trigger || !getLightboxMedia(trigger)) { return; }
+
+    const isOpen = mediaLightbox.classList.contains("active");
+
+    if (!isOpen) {
+      lastFocusedElement = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+      hashBeforeOpen = GALLERY_HASH_PATTERN.test(window.location.hash) ? "" : window.location.hash;
+    }
+
+    galleryRoot = isEmbedTrigger(trigger) ? null : getGalleryRoot(trigger);
+    galleryItems = getGalleryItems(galleryRoot, trigger);
+    galleryIndex = Math.max(0, galleryItems.indexOf(trigger));
+
+    renderLightboxItem(trigger);
+
+    if (isOpen) { return; }
+
+    mediaLightbox.classList.add("active");
+    mediaLightbox.setAttribute("aria-hidden", "false");
+    document.body.classList.add("media-lightbox-open");
+
+    document.addEventListener("keydown", handleKeydown, true);
+
+    lightboxDialog.open(lastFocusedElement);
+  };
+
+  /**
+   * Reopen the lightbox on the image addressed by a `#lightbox-<gallery>-<n>` hash.
+   */
+  const openLightboxFromHash = function () {
+    const match = window.location.hash.match(GALLERY_HASH_PATTERN);
+    if (!match) { return; }
+
+    const root = document.getElementById(safeDecodeURIComponent(match[1]));
+    if (!root) { return; }
+
+    const target = getBoundTriggers(root)[parseInt(match[2], 10) - 1];
+    if (target) {
+      openLightbox(target);
+    }
+  };
+
+  /**
+   * Determine if an image should be enhanced with lightbox behaviour.
+   *
+   * @param {HTMLImageElement} img
+   * @returns {boolean}
+   */
+  const isEligibleForLightbox = function (img) {
+    if (!(img instanceof HTMLImageElement)) { return false; }
+    if (img.dataset.lightboxDisabled === "true") { return false; }
+    if ("testimonialsAvatar" in img.dataset) { return false; }
+    if (img.dataset.modalImg !== undefined) { return false; }
+    if (img.closest("[data-testimonials-item]")) { return false; }
+    if (img.closest(".contact-item")) { return false; }
+    if (img.closest(".service-item")) { return false; }
+    if (img.closest(".clients-item")) { return false; }
+    if (img.closest(".media-placeholder--video")) { return false; }
+    if (img.closest("[data-lightbox-ignore]") && img.dataset.lightboxOptIn !== "true") { return false; }
+    if (img.closest("#mediaLightbox")) { return false; }
+
+    return true;
+  };
+
+  /**
+   * Determine if a link should preview its file in the lightbox.
+   *
+   * @param {HTMLAnchorElement} link
+   * @returns {boolean}
+   */
+  const isEligibleLinkForLightbox = function (link) {
+    if (!(link instanceof HTMLAnchorElement) || !link.matches(LIGHTBOX_LINK_SELECTOR)) { return false; }
+    if (link.dataset.lightboxDisabled === "true") { return false; }
+    if (link.closest("#mediaLightbox")) { return false; }
+
+    return Boolean(getLightboxMedia(link));
+  };
+
+  /**
+   * Let an attachment link open the lightbox. Modified clicks keep the link's
+   * normal behaviour (new tab, download).
+   *
+   * @param {HTMLAnchorElement} link
+   */
+  const attachLightboxToLink = function (link) {
+    if (link.dataset.lightboxBound === "true" || !isEligibleLinkForLightbox(link)) { return; }
+
+    link.dataset.lightboxBound = "true";
+    link.dataset.lightboxTrigger = "true";
+    link.setAttribute("aria-haspopup", "dialog");
+    link.setAttribute("aria-expanded", "false");
+
+    link.addEventListener("click", function (event) {
+      if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey || event.button !== 0) { return; }
+      event.preventDefault();
+      openLightbox(link);
+    });
+  };
+
+  /**
+   * Bind lightbox events to a single image.
+   *
+   * @param {HTMLImageElement} img
+   */
+  const attachLightboxToImage = function (img) {
+    if (!isEligibleForLightbox(img)) { return; }
+    if (img.dataset.lightboxBound === "true") { return; }
+
+    img.dataset.lightboxBound = "true";
+    img.dataset.lightboxTrigger = "true";
+    img.classList.add("media-lightbox__trigger");
+    img.setAttribute("tabindex", img.getAttribute("tabindex") || "0");
+    img.setAttribute("role", img.getAttribute("role") || "button");
+    img.setAttribute("aria-haspopup", "dialog");
+    img.setAttribute("aria-expanded", "false");
+
+    img.addEventListener("click", function (event) {
+      event.preventDefault();
+      event.stopPropagation();
+      openLightbox(img);
+    });
+
+    img.addEventListener("keydown", function (event) {
+      const key = event.key;
+      if (key === "Enter" || key === " ") {
+        event.preventDefault();
+        openLightbox(img);
+      }
+    });
+  };
+
+  /**
+   * Attach lightbox behaviour to all images and attachment links within a root node.
+   *
+   * @param {Element|DocumentFragment|Document} [root=document]
+   */
+  const attachLightboxTriggers = function (root = document) {
+    const scope = root instanceof Element || root instanceof DocumentFragment ? root : document;
+
+    scope.querySelectorAll("img").forEach(attachLightboxToImage);
+    scope.querySelectorAll(LIGHTBOX_LINK_SELECTOR).forEach(attachLightboxToLink);
+  };
+
+  zoomButtons.forEach((button) => {
+    button.addEventListener("click", function () {
+      const direction = this.dataset.zoom === "in" ? 1 : -1;
+      applyZoomChange(direction);
+    });
+  });
+
+  closeTriggers.forEach((trigger) => {
+    trigger.addEventListener("click", closeLightbox);
+  });
+
+  navButtons.forEach((button) => {
+    button.addEventListener("click", function () {
+      stepGallery(this.dataset.lightboxNav === "prev" ? -1 : 1);
+    });
+  });
+
+  if (mediaLightboxContent) {
+    mediaLightboxContent.addEventListener("touchstart", function (event) {
+      if (currentScale > MIN_SCALE + 0.01 || event.touches.length !== 1 || galleryItems.length < 2) {
+        swipeStart = null;
+        return;
+      }
+      const touch = event.touches[0];
+      swipeStart = { x: touch.clientX, y: touch.clientY };
+    }, { passive: true });
+
+    mediaLightboxContent.addEventListener("touchend", function (event) {
+      if (!swipeStart || event.changedTouches.length === 0) { return; }
+      const touch = event.changedTouches[0];
+      const deltaX = touch.clientX - swipeStart.x;
+      const deltaY = touch.clientY - swipeStart.y;
+      swipeStart = null;
+
+      if (Math.abs(deltaX) < SWIPE_THRESHOLD || Math.abs(deltaX) < Math.abs(deltaY)) { return; }
+      stepGallery(deltaX > 0 ? -1 : 1);
+    }, { passive: true });
+  }
+
+  mediaLightbox.addEventListener("click", function (event) {
+    const target = event.target;
+    if (target instanceof HTMLElement && target.dataset.lightboxClose !== undefined) {
+      closeLightbox();
+    }
+  });
+
+  mediaLightboxImage.addEventListener("mousedown", function (event) {
+    if (currentScale <= MIN_SCALE + 0.01) { return; }
+    event.preventDefault();
+    startPan({ x: event.clientX, y: event.clientY });
+  });
+
+  window.addEventListener("mousemove", function (event) {
+    if (!isDragging) { return; }
+    event.preventDefault();
+    movePan({ x: event.clientX, y: event.clientY });
+  });
+
+  window.addEventListener("mouseup", function () {
+    if (!isDragging) { return; }
+    endPan({ withInertia: true });
+  });
+
+  mediaLightboxImage.addEventListener("touchstart", function (event) {
+    if (currentScale <= MIN_SCALE + 0.01) { return; }
+    if (event.touches.length !== 1) { return; }
+    const touch = event.touches[0];
+    event.preventDefault();
+    startPan({ x: touch.clientX, y: touch.clientY });
+  }, { passive: false });
+
+  window.addEventListener("touchmove", function (event) {
+    if (!isDragging || event.touches.length !== 1) { return; }
+    const touch = event.touches[0];
+    event.preventDefault();
+    movePan({ x: touch.clientX, y: touch.clientY });
+  }, { passive: false });
+
+  window.addEventListener("touchend", function (event) {
+    if (!isDragging || event.touches.length > 0) { return; }
+    endPan({ withInertia: true });
+  });
+
+  window.addEventListener("touchcancel", function () {
+    if (!isDragging) { return; }
+    endPan();
+  });
+
+  if (mediaLightboxContent) {
+    mediaLightboxContent.addEventListener("wheel", function (event) {
+      if (!mediaLightbox.classList.contains("active") || activeEmbed) { return; }
+      if (!event.ctrlKey && !event.metaKey) { return; }
+
+      event.preventDefault();
+      const unit = event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? window.innerHeight : 1;
+      const factor = Math.exp(-event.deltaY * unit * WHEEL_ZOOM_SENSITIVITY);
+
+      mediaLightboxContent.classList.add("is-gesturing");
+      window.clearTimeout(wheelIdleTimeoutId);
+      wheelIdleTimeoutId = window.setTimeout(() => {
+        mediaLightboxContent.classList.remove("is-gesturing");
+      }, 150);
+
+      setScale(currentScale * factor, { x: event.clientX, y: event.clientY });
+    }, { passive: false });
+
+    mediaLightboxContent.addEventListener("touchstart", function (event) {
+      if (event.touches.length !== 2) { return; }
+
+      event.preventDefault();
+      endPan();
+      stopInertia();
+      const geometry = getPinchGeometry(event.touches);
+      pinchState = {
+        startDistance: geometry.distance || 1,
+        startScale: currentScale,
+        lastCenter: geometry.center
+      };
+      lastTap = null;
+      mediaLightboxContent.classList.add("is-gesturing");
+    }, { passive: false });
+
+    mediaLightboxContent.addEventListener("touchmove", function (event) {
+      if (!pinchState || event.touches.length !== 2) { return; }
+
+      event.preventDefault();
+      const geometry = getPinchGeometry(event.touches);
+      setScale(pinchState.startScale * (geometry.distance / pinchState.startDistance), geometry.center);
+
+      translate.x += geometry.center.x - pinchState.lastCenter.x;
+      translate.y += geometry.center.y - pinchState.lastCenter.y;
+      applyTransform();
+      pinchState.lastCenter = geometry.center;
+    }, { passive: false });
+
+    const finishPinch = function (event) {
+      if (!pinchState || event.touches.length >= 2) { return; }
+
+      pinchState = null;
+      mediaLightboxContent.classList.remove("is-gesturing");
+
+      if (event.touches.length === 1) {
+        const touch = event.touches[0];
+        startPan({ x: touch.clientX, y: touch.clientY });
+      }
+    };
+
+    mediaLightboxContent.addEventListener("touchend", finishPinch);
+    mediaLightboxContent.addEventListener("touchcancel", finishPinch);
+
+    mediaLightboxContent.addEventListener("touchend", function (event) {
+      if (pinchState || event.touches.length > 0 || event.changedTouches.length !== 1) { return; }
+
+      const touch = event.changedTouches[0];
+      const now = performance.now();
+      const point = { x: touch.clientX, y: touch.clientY };
+
+      if (lastTap
+        && now - lastTap.time < DOUBLE_TAP_DELAY
+        && Math.hypot(point.x - lastTap.x, point.y - lastTap.y) < DOUBLE_TAP_DISTANCE) {
+        event.preventDefault();
+        lastTap = null;
+        lastDoubleTapTime = now;
+        toggleZoomAt(point);
+        return;
+      }
+
+      lastTap = { x: point.x, y: point.y, time: now };
+    });
+  }
+
+  mediaLightboxImage.addEventListener("dblclick", function (event) {
+    event.preventDefault();
+    if (performance.now() - lastDoubleTapTime < 500) { return; }
+    toggleZoomAt({ x: event.clientX, y: event.clientY });
+  });
+
+  attachLightboxTriggers();
+
+  const mutationObserver = new MutationObserver((mutations) => {
+    mutations.forEach((mutation) => {
+      mutation.addedNodes.forEach((node) => {
+        if (node instanceof HTMLImageElement) {
+          attachLightboxToImage(node);
+        } else if (node instanceof HTMLAnchorElement) {
+          attachLightboxToLink(node);
+          attachLightboxTriggers(node);
+        } else if (node instanceof HTMLElement) {
+          attachLightboxTriggers(node);
+        }
+      });
+    });
+  });
+
+  mutationObserver.observe(document.body, {
+    childList: true,
+    subtree: true
+  });
+
+  setScale(MIN_SCALE);
+
+  window.addEventListener("hashchange", openLightboxFromHash);
+
+  openMediaLightbox = openLightbox;
+
+  registerPageInitializer(function initLightboxDeepLink({ signal }) {
+    openLightboxFromHash();
+
+    signal.addEventListener("abort", function () {
+      if (mediaLightbox.classList.contains("active")) {
+        closeLightbox();
+      }
+    });
+  });
+}
+
+
+/* -------------------------------------------------------------------------- */
+/*  Video embeds (click-to-load youtube-nocookie player + video analytics)    */
+/*                                                                            */
+/*  Posters stay plain YouTube links until clicked. Add                       */
+/*  data-video-embed="lightbox" to a .media-placeholder--video to play it in  */
+/*  the lightbox instead of inline, and data-video-title to name it.          */
+/* -------------------------------------------------------------------------- */
+const VIDEO_PLACEHOLDER_SELECTOR = ".media-placeholder--video";
+const VIDEO_EMBED_ORIGIN = "https://www.youtube-nocookie.com";
+const VIDEO_EMBED_CONSENT_KEY = "video-embeds-allowed";
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+const VIDEO_PROGRESS_MILESTONES = [25, 50, 75];
+const YOUTUBE_PLAYER_STATES = { ended: 0, playing: 1 };
+
+/**
+ * @typedef {Object} VideoSession
+ * @property {HTMLIFrameElement} frame
+ * @property {HTMLElement} trigger
+ * @property {"inline"|"lightbox"} placement
+ * @property {number} duration
+ * @property {boolean} started
+ * @property {boolean} completed
+ * @property {Set<number>} milestones
+ */
+
+/** @type {VideoSession[]} */
+let videoSessions = [];
+let videoFrameCount = 0;
+
+/**
+ * Pull the video ID out of a youtube.com, youtu.be or embed URL.
+ *
+ * @param {string} href
+ * @returns {string} Empty when the link is not a YouTube video.
+ */
+const getYouTubeVideoId = function (href) {
+  let url;
+  try {
+    url = new URL(href, window.location.href);
+  } catch (error) {
+    return "";
+  }
+
+  const host = url.hostname.replace(/^www\./, "");
+  let videoId = "";
+
+  if (host === "youtu.be") {
+    videoId = url.pathname.slice(1);
+  } else if (host === "youtube.com" || host === "m.youtube.com" || host === "youtube-nocookie.com") {
+    const embedMatch = url.pathname.match(/^\/(?:embed|shorts)\/([^/]+)/);
+    videoId = url.searchParams.get("v") || (embedMatch ? embedMatch[1] : "");
+  }
+
+  return VIDEO_ID_PATTERN.test(videoId) ? videoId : "";
+};
+
+/**
+ * Embeds load straight away once analytics is allowed; otherwise the visitor
+ * confirms once per session before anything is requested from YouTube.
+ *
+ * @returns {boolean}
+ */
+const canLoadVideoEmbeds = function () {
+  return getAnalyticsConsent() === "granted" || sessionStorageController.get(VIDEO_EMBED_CONSENT_KEY) === "true";
+};
+
+/**
+ * Send a video event with the shared video parameters.
+ *
+ * @param {string} name
+ * @param {VideoSession} session
+ * @param {Object<string, string|number|boolean>} [params]
+ */
+const trackVideoEvent = function (name, session, params = {}) {
+  const { trigger } = session;
+
+  analytics.track(name, {
+    category: "video",
+    label: trigger.dataset.lightboxCaption || trigger.dataset.videoId,
+    params: Object.assign({
+      video_provider: "youtube",
+      video_id: trigger.dataset.videoId,
+      video_title: trigger.dataset.lightboxCaption || "",
+      video_url: trigger.href,
+      video_placement: session.placement
+    }, params)
+  });
+};
+
+/**
+ * Ask the player to post its state and playback time back to this page.
+ *
+ * @param {VideoSession} session
+ */
+const subscribeToVideoPlayer = function (session) {
+  const target = session.frame.contentWindow;
+  if (!target) { return; }
+
+  const { id } = session.frame;
+  target.postMessage(JSON.stringify({ event: "listening", id, channel: "widget" }), VIDEO_EMBED_ORIGIN);
+  target.postMessage(JSON.stringify({ event: "command", func: "addEventListener", args: ["onStateChange"], id, channel: "widget" }), VIDEO_EMBED_ORIGIN);
+};
+
+/**
+ * Turn player updates into start, progress milestone and complete events.
+ *
+ * @param {VideoSession} session
+ * @param {{playerState?: number, currentTime?: number, duration?: number}} info
+ */
+const updateVideoSession = function (session, info) {
+  if (typeof info.duration === "number" && info.duration > 0) {
+    session.duration = info.duration;
+  }
+
+  if (info.playerState === YOUTUBE_PLAYER_STATES.playing && !session.started) {
+    session.started = true;
+    trackVideoEvent("video_start", session);
+  }
+
+  if (typeof info.currentTime === "number" && session.duration) {
+    const percent = Math.floor((info.currentTime / session.duration) * 100);
+
+    VIDEO_PROGRESS_MILESTONES.forEach((milestone) => {
+      if (percent < milestone || session.milestones.has(milestone)) { return; }
+      session.milestones.add(milestone);
+      trackVideoEvent("video_progress", session, {
+        video_percent: milestone,
+        video_current_time: Math.round(info.currentTime),
+        video_duration: Math.round(session.duration)
+      });
+    });
+  }
+
+  if (info.playerState === YOUTUBE_PLAYER_STATES.ended && !session.completed) {
+    session.completed = true;
+    trackVideoEvent("video_complete", session, {
+      video_percent: 100,
+      video_duration: Math.round(session.duration)
+    });
+  }
+};
+
+/**
+ * Route messages from embedded players to their session.
+ *
+ * @param {MessageEvent} event
+ */
+const handleVideoPlayerMessage = function (event) {
+  if (event.origin !== VIDEO_EMBED_ORIGIN) { return; }
+
+  const session = videoSessions.find((item) => item.frame.contentWindow === event.source);
+  if (!session) { return; }
+
+  let data;
+  try {
+    data = typeof event.data === "string" ? JSON.parse(event.data) : event.data;
+  } catch (error) {
+    return;
+  }
+  if (!data) { return; }
+
+  if (data.event === "onStateChange") {
+    updateVideoSession(session, { playerState: data.info });
+  } else if (data.event === "infoDelivery" && data.info) {
+    updateVideoSession(session, data.info);
+  }
+};
+
+/**
+ * Build an autoplaying privacy-enhanced player for a poster link and start
+ * listening to it. Also used by the lightbox for `data-lightbox-embed` triggers.
+ *
+ * @param {HTMLElement} trigger
+ * @param {"inline"|"lightbox"} placement
+ * @returns {HTMLIFrameElement}
+ */
+const createVideoFrame = function (trigger, placement) {
+  const query = new URLSearchParams({ autoplay: "1", rel: "0", playsinline: "1", enablejsapi: "1" });
+  if (window.location.origin !== "null") {
+    query.set("origin", window.location.origin);
+  }
+
+  videoFrameCount += 1;
+  const frame = document.createElement("iframe");
+  frame.className = "media-video-frame";
+  frame.id = `video-embed-${videoFrameCount}`;
+  frame.src = `${VIDEO_EMBED_ORIGIN}/embed/${encodeURIComponent(trigger.dataset.videoId)}?${query}`;
+  frame.title = trigger.dataset.lightboxCaption || "YouTube video player";
+  frame.allow = "accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture";
+  frame.allowFullscreen = true;
+  frame.referrerPolicy = "strict-origin-when-cross-origin";
+
+  /** @type {VideoSession} */
+  const session = {
+    frame,
+    trigger,
+    placement,
+    duration: 0,
+    started: false,
+    completed: false,
+    milestones: new Set()
+  };
+
+  videoSessions = videoSessions.filter((item) => item.frame.isConnected);
+  videoSessions.push(session);
+  frame.addEventListener("load", () => subscribeToVideoPlayer(session));
+
+  return frame;
+};
+
+/**
+ * Replace the poster with the player, inline or in the lightbox.
+ *
+ * @param {HTMLAnchorElement} trigger
+ */
+const playVideo = function (trigger) {
+  const placeholder = trigger.closest(VIDEO_PLACEHOLDER_SELECTOR);
+  if (!placeholder) { return; }
+
+  if (trigger.dataset.lightboxEmbed !== undefined && typeof openMediaLightbox === "function") {
+    openMediaLightbox(trigger);
+    return;
+  }
+
+  const frame = createVideoFrame(trigger, "inline");
+  trigger.hidden = true;
+  placeholder.classList.add("is-playing");
+  placeholder.appendChild(frame);
+  frame.focus();
+};
+
+/**
+ * Explain that the player comes from YouTube and let the visitor choose
+ * between loading it here and watching on youtube.com.
+ *
+ * @param {HTMLAnchorElement} trigger
+ */
+const showVideoConsentNotice = function (trigger) {
+  const placeholder = trigger.closest(VIDEO_PLACEHOLDER_SELECTOR);
+  if (!placeholder) { return; }
+
+  const existing = placeholder.querySelector("[data-video-consent]");
+  if (existing) {
+    existing.querySelector("[data-video-consent-accept]").focus();
+    return;
+  }
+
+  const notice = document.createElement("div");
+  notice.className = "media-video-consent";
+  notice.setAttribute("data-video-consent", "");
+  notice.setAttribute("role", "group");
+  notice.setAttribute("aria-label", "Video privacy notice");
+  notice.innerHTML = `
+    <p class="media-video-consent__text">
+      This video is hosted on YouTube. Playing it here loads the player from youtube-nocookie.com.
+    </p>
+    <div class="media-video-consent__actions">
+      <button type="button" class="media-video-consent__btn media-video-consent__btn--primary" data-video-consent-accept>Play video</button>
+      <a class="media-video-consent__btn" target="_blank" rel="noopener noreferrer">Watch on YouTube</a>
+    </div>
+  `.trim();
+  notice.querySelector("a").href = trigger.href;
+
+  notice.querySelector("[data-video-consent-accept]").addEventListener("click", function () {
+    sessionStorageController.set(VIDEO_EMBED_CONSENT_KEY, "true");
+    notice.remove();
+    playVideo(trigger);
+  });
+
+  placeholder.appendChild(notice);
+  notice.querySelector("[data-video-consent-accept]").focus();
+};
+
+window.addEventListener("message", handleVideoPlayerMessage);
+
+registerPageInitializer(function initVideoEmbeds() {
+  document.querySelectorAll(VIDEO_PLACEHOLDER_SELECTOR).forEach((placeholder) => {
+    const link = placeholder.querySelector(".media-video-link");
+    if (!link || link.dataset.videoTrigger !== undefined) { return; }
+
+    const videoId = getYouTubeVideoId(link.href);
+    if (!videoId) { return; }
+
+    const poster = link.querySelector("img");
+    const title = placeholder.dataset.videoTitle || (poster && poster.alt) || "YouTube video";
+
+    link.dataset.videoTrigger = "";
+    link.dataset.videoId = videoId;
+    link.dataset.lightboxCaption = title;
+    link.setAttribute("aria-label", `Play video: ${title}`);
+    if (placeholder.dataset.videoEmbed === "lightbox") {
+      link.dataset.lightboxEmbed = "";
+      link.setAttribute("aria-haspopup", "dialog");
+    }
+
+    link.addEventListener("click", function (event) {
+      // Modified clicks still open the video on YouTube.
+      if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey || event.button !== 0) { return; }
+
+      event.preventDefault();
+      if (canLoadVideoEmbeds()) {
+        playVideo(link);
+      } else {
+        showVideoConsentNotice(link);
+      }
+    });
+  });
+});
+
+/* -------------------------------------------------------------------------- */
+/*  Portfolio gallery filters (buttons + custom select)                        */
+/* -------------------------------------------------------------------------- */
+let select = null;
+let selectValue = null;
+let filterMatchToggle = null;
+let selectItems = [];
+let filterButtons = [];
+let filterTagButtons = [];
+let filterItems = [];
+let projectItems = [];
+
+const FILTER_MATCH_ANY = "any";
+const FILTER_MATCH_ALL = "all";
+const FILTER_TAG_SEPARATOR = "|";
+
+/**
+ * Current gallery selection. Empty sets mean "show everything".
+ *
+ * @type {{categories: Set<string>, tags: Set<string>, match: "any"|"all"}}
+ */
+const filterState = {
+  categories: new Set(),
+  tags: new Set(),
+  match: FILTER_MATCH_ANY
+};
+
+/**
+ * Close the mobile dropdown after an option is picked. Filtering itself runs
+ * through the option's `[data-filter-btn]` handler.
+ *
+ * @param {HTMLElement} item
+ */
+const bindSelectItem = function (item) {
+  item.addEventListener("click", function () {
+    if (select) {
+      select.classList.remove("active");
+    }
+  });
+};
+
+/**
+ * Normalize text used for filter comparisons.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizeFilterValue = function (value) {
+  return (value || "").trim().toLowerCase();
+};
+
+/**
+ * Capitalize each word of a normalized filter value for display.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const formatFilterLabel = function (value) {
+  const words = normalizeFilterValue(value).split(" ");
+  for (let i = 0; i < words.length; i++) {
+    words[i] = words[i].charAt(0).toUpperCase() + words[i].slice(1);
+  }
+  return words.join(" ");
+};
+
+/**
+ * Read the normalized tags stored on a filterable card.
+ *
+ * @param {HTMLElement} item
+ * @returns {string[]}
+ */
+const getFilterItemTags = function (item) {
+  return (item.dataset.tags || "")
+    .split(FILTER_TAG_SEPARATOR)
+    .map(normalizeFilterValue)
+    .filter(Boolean);
+};
+
+/**
+ * Decide whether a card satisfies the current selection.
+ *
+ * "any" shows cards in one of the picked categories or carrying one of the
+ * picked tags. "all" narrows to the picked categories and requires every
+ * picked tag.
+ *
+ * @param {HTMLElement} item
+ * @returns {boolean}
+ */
+const matchesFilterState = function (item) {
+  const { categories, tags, match } = filterState;
+  if (categories.size === 0 && tags.size === 0) { return true; }
+
+  const itemCategory = normalizeFilterValue(item.dataset.category);
+  const itemTags = getFilterItemTags(item);
+  const categoryMatch = categories.has(itemCategory);
+
+  if (match === FILTER_MATCH_ALL) {
+    const categoryOk = categories.size === 0 || categoryMatch;
+    const tagsOk = Array.from(tags).every((tag) => itemTags.includes(tag));
+    return categoryOk && tagsOk;
+  }
+
+  return categoryMatch || itemTags.some((tag) => tags.has(tag));
+};
+
+/**
+ * Reflect the current selection on buttons, tag chips, dropdown and match toggle.
+ */
+const syncFilterControls = function () {
+  const hasCategories = filterState.categories.size > 0;
+
+  filterButtons.forEach((button) => {
+    const value = normalizeFilterValue(button.innerText);
+    const isActive = value === "all" ? !hasCategories : filterState.categories.has(value);
+    button.classList.toggle("active", isActive);
+    button.setAttribute("aria-pressed", String(isActive));
+  });
+
+  filterTagButtons.forEach((button) => {
+    const isActive = filterState.tags.has(normalizeFilterValue(button.dataset.filterTag));
+    button.classList.toggle("active", isActive);
+    button.setAttribute("aria-pressed", String(isActive));
+  });
+
+  if (selectValue) {
+    selectValue.innerText = hasCategories
+      ? Array.from(filterState.categories).map(formatFilterLabel).join(", ")
+      : "All";
+  }
+
+  if (filterMatchToggle) {
+    const isAll = filterState.match === FILTER_MATCH_ALL;
+    filterMatchToggle.setAttribute("aria-pressed", String(isAll));
+    filterMatchToggle.dataset.filterMatch = filterState.match;
+    filterMatchToggle.textContent = isAll ? "Match all" : "Match any";
+  }
+};
+
+/**
+ * Show or hide cards for the current selection.
+ *
+ * @returns {boolean} true when at least one card is active.
+ */
+const applyFilterState = function () {
+  let hasActiveItem = false;
+
+  filterItems.forEach((item) => {
+    const isMatch = matchesFilterState(item);
+    item.classList.toggle("active", isMatch);
+    hasActiveItem = hasActiveItem || isMatch;
+  });
+
+  syncFilterControls();
+  return hasActiveItem;
+};
+
+/**
+ * Replace the whole selection and re-filter the gallery.
+ *
+ * @param {{categories?: string[], tags?: string[], match?: string}} nextState
+ * @returns {boolean} true when at least one card is active.
+ */
+const setFilterState = function (nextState) {
+  const { categories = [], tags = [], match = FILTER_MATCH_ANY } = nextState || {};
+
+  filterState.categories = new Set(categories.map(normalizeFilterValue).filter((value) => value && value !== "all"));
+  filterState.tags = new Set(tags.map(normalizeFilterValue).filter(Boolean));
+  filterState.match = match === FILTER_MATCH_ALL ? FILTER_MATCH_ALL : FILTER_MATCH_ANY;
+
+  return applyFilterState();
+};
+
+/**
+ * Show only the cards of a single category ("all" clears every filter).
+ *
+ * @param {string} selectedValue
+ * @returns {boolean} true when at least one card is active.
+ */
+const filterFunc = function (selectedValue) {
+  const normalizedValue = normalizeFilterValue(selectedValue) || "all";
+  return setFilterState({
+    categories: normalizedValue === "all" ? [] : [normalizedValue],
+    match: filterState.match
+  });
+};
+
+/**
+ * Add or remove a single value from one of the selection sets.
+ *
+ * @param {Set<string>} set
+ * @param {string} value
+ */
+const toggleSetValue = function (set, value) {
+  if (set.has(value)) {
+    set.delete(value);
+  } else {
+    set.add(value);
+  }
+};
+
+/**
+ * Bind category toggling to a filter button. "All" clears every category.
+ *
+ * @param {HTMLElement} button
+ */
+const bindFilterButton = function (button) {
+  button.addEventListener("click", function () {
+    const selectedValue = normalizeFilterValue(this.innerText);
+
+    if (!selectedValue || selectedValue === "all") {
+      filterState.categories.clear();
+    } else {
+      toggleSetValue(filterState.categories, selectedValue);
+    }
+
+    applyFilterState();
+    pushFilterStateToUrl();
+  });
+};
+
+/**
+ * Bind tag toggling to a tag chip.
+ *
+ * @param {HTMLElement} button
+ */
+const bindFilterTagButton = function (button) {
+  button.addEventListener("click", function () {
+    const tag = normalizeFilterValue(this.dataset.filterTag);
+    if (!tag) { return; }
+
+    toggleSetValue(filterState.tags, tag);
+    applyFilterState();
+    pushFilterStateToUrl();
+  });
+};
+
+registerPageInitializer(function initPortfolioFilters() {
+  select = document.querySelector("[data-select]");
+  selectValue = document.querySelector("[data-selecct-value]");
+  filterMatchToggle = document.querySelector("[data-filter-match]");
+  selectItems = document.querySelectorAll("[data-select-item]");
+  filterButtons = document.querySelectorAll("[data-filter-btn]");
+  filterTagButtons = document.querySelectorAll("[data-filter-tag]");
+  filterItems = document.querySelectorAll("[data-filter-item]");
+  projectItems = document.querySelectorAll("[data-project-item]");
+
+  filterState.categories = new Set();
+  filterState.tags = new Set();
+  filterState.match = FILTER_MATCH_ANY;
+
+  if (select) {
+    select.addEventListener("click", function () {
+      elementToggleFunc(this);
+    });
+  }
+
+  selectItems.forEach(bindSelectItem);
+  filterButtons.forEach(bindFilterButton);
+  filterTagButtons.forEach(bindFilterTagButton);
+
+  if (filterMatchToggle) {
+    filterMatchToggle.addEventListener("click", function () {
+      filterState.match = filterState.match === FILTER_MATCH_ALL ? FILTER_MATCH_ANY : FILTER_MATCH_ALL;
+      applyFilterState();
+      pushFilterStateToUrl();
+    });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*  Portfolio project click analytics                                         */
+/* -------------------------------------------------------------------------- */
+const PORTFOLIO_CLICK_EVENT = "portfolio_project_click";
+
+/**
+ * Track a portfolio project card click.
+ *
+ * @param {HTMLAnchorElement} link
+ * @param {HTMLElement} container
+ */
+const trackPortfolioProjectClick = function (link, container) {
+  const titleElement = container.querySelector("[data-project-title]");
+  const categoryElement = container.querySelector("[data-project-category]");
+
+  const projectTitle = titleElement ? titleElement.textContent.trim() : "";
+  const projectCategory = categoryElement ? categoryElement.textContent.trim() : "";
+  const projectUrl = link.dataset.externalUrl || link.getAttribute("href") || "";
+  const linkTarget = link.getAttribute("target") || "_self";
+  const isExternal = linkTarget === "_blank" || Boolean(link.dataset.externalUrl);
+
+  analytics.track(PORTFOLIO_CLICK_EVENT, {
+    category: "portfolio",
+    label: projectTitle || projectUrl,
+    params: {
+      project_title: projectTitle,
+      project_category: projectCategory,
+      project_url: projectUrl,
+      link_target: linkTarget,
+      is_external: isExternal
+    }
+  });
+};
+
+/**
+ * Bind click analytics to a portfolio project card.
+ *
+ * @param {HTMLElement} item
+ */
+const bindProjectItem = function (item) {
+  const link = item.querySelector(".project-item-link");
+  if (!(link instanceof HTMLAnchorElement)) { return; }
+
+  link.addEventListener("click", function () {
+    trackPortfolioProjectClick(link, item);
+  });
+};
+
+registerPageInitializer(function initPortfolioClickTracking() {
+  projectItems.forEach(bindProjectItem);
+});
+
+
+/* -------------------------------------------------------------------------- */
+/*  Learning hub filters                                                      */
+/* -------------------------------------------------------------------------- */
+let learningFilterItems = [];
+
+/**
+ * Toggle learning hub cards by data-learning-category.
+ *
+ * @param {string} selectedValue
+ */
+const learningFilterFunc = function (selectedValue) {
+  const normalizedValue = (selectedValue || "all").trim().toLowerCase();
+
+  learningFilterItems.forEach((item) => {
+    const itemCategory = (item.dataset.learningCategory || "").trim().toLowerCase();
+
+    if (normalizedValue === "all" || normalizedValue === itemCategory) {
+      item.classList.add("active");
+    } else {
+      item.classList.remove("active");
+    }
+  });
+};
+
+registerPageInitializer(function initLearningFilters() {
+  const learningSelect = document.querySelector("[data-learning-select]");
+  const learningSelectValue = document.querySelector("[data-learning-select-value]");
+  const learningFilterBtns = document.querySelectorAll("[data-learning-filter-btn]");
+  learningFilterItems = document.querySelectorAll("[data-learning-filter-item]");
+
+  if (learningSelect) {
+    learningSelect.addEventListener("click", function () { elementToggleFunc(this); });
+  }
+
+  if (learningFilterBtns.length > 0) {
+    learningFilterBtns.forEach((button) => {
+      button.addEventListener("click", function () {
+        const selectedValue = this.innerText.trim().toLowerCase();
+
+        learningFilterBtns.forEach((btn) => btn.classList.remove("active"));
+        this.classList.add("active");
+
+        if (learningSelectValue) {
+          learningSelectValue.innerText = this.innerText.trim();
+        }
+
+        learningFilterFunc(selectedValue);
+
+        if (learningSelect) {
+          learningSelect.classList.remove("active");
+        }
+      });
+    });
+
+    learningFilterFunc("all");
+  }
+});
+
+
+/**
+ * Programmatically apply a single portfolio category filter.
+ *
+ * @param {string} categoryName
+ */
+const activatePortfolioFilter = function (categoryName) {
+  if (!categoryName) { return; }
+
+  filterFunc(categoryName);
+
+  if (select) {
+    select.classList.remove("active");
+  }
+};
+
+const PORTFOLIO_FILTER_PARAM = "category";
+const PORTFOLIO_TAG_PARAM = "tag";
+const PORTFOLIO_MATCH_PARAM = "match";
+const PORTFOLIO_PARAM_SEPARATOR = ",";
+const PORTFOLIO_FILTER_STORAGE_KEY = "pending-portfolio-filter";
+
+/**
+ * Retrieve a stored portfolio filter from sessionStorage, clearing it afterward.
+ *
+ * @returns {string|null}
+ */
+const getStoredPortfolioFilter = function () {
+  try {
+    const value = sessionStorage.getItem(PORTFOLIO_FILTER_STORAGE_KEY);
+    if (!value) { return null; }
+    sessionStorage.removeItem(PORTFOLIO_FILTER_STORAGE_KEY);
+    return value;
+  } catch (error) {
+    console.warn("Unable to access sessionStorage for portfolio filter.", error);
+    return null;
+  }
+};
+
+/**
+ * Persist a pending portfolio filter in sessionStorage for cross-page navigation.
+ *
+ * @param {string} filterName
+ */
+const setStoredPortfolioFilter = function (filterName) {
+  try {
+    sessionStorage.setItem(PORTFOLIO_FILTER_STORAGE_KEY, normalizeFilterValue(filterName));
+  } catch (error) {
+    console.warn("Unable to store portfolio filter in sessionStorage.", error);
+  }
+};
+
+/**
+ * Split a comma separated query value into normalized entries.
+ *
+ * @param {string|null} value
+ * @returns {string[]}
+ */
+const parseFilterParam = function (value) {
+  return (value || "")
+    .split(PORTFOLIO_PARAM_SEPARATOR)
+    .map(normalizeFilterValue)
+    .filter(Boolean);
+};
+
+/**
+ * Read the filter selection encoded in the current URL.
+ *
+ * @returns {{categories: string[], tags: string[], match: string}|null} null when the URL has no filter params.
+ */
+const readFilterStateFromUrl = function () {
+  if (typeof URLSearchParams === "undefined") { return null; }
+
+  const searchParams = new URLSearchParams(window.location.search);
+  const hasFilterParams = searchParams.has(PORTFOLIO_FILTER_PARAM)
+    || searchParams.has(PORTFOLIO_TAG_PARAM)
+    || searchParams.has(PORTFOLIO_MATCH_PARAM);
+
+  if (!hasFilterParams) { return null; }
+
+  return {
+    categories: parseFilterParam(searchParams.get(PORTFOLIO_FILTER_PARAM)),
+    tags: parseFilterParam(searchParams.get(PORTFOLIO_TAG_PARAM)),
+    match: normalizeFilterValue(searchParams.get(PORTFOLIO_MATCH_PARAM))
+  };
+};
+
+/**
+ * Build the current URL with the filter selection written into its query string.
+ *
+ * @returns {string}
+ */
+const buildFilterStateUrl = function () {
+  const url = new URL(window.location.href);
+  const { categories, tags, match } = filterState;
+
+  url.searchParams.delete(PORTFOLIO_FILTER_PARAM);
+  url.searchParams.delete(PORTFOLIO_TAG_PARAM);
+  url.searchParams.delete(PORTFOLIO_MATCH_PARAM);
+
+  if (categories.size > 0) {
+    url.searchParams.set(PORTFOLIO_FILTER_PARAM, Array.from(categories).join(PORTFOLIO_PARAM_SEPARATOR));
+  }
+  if (tags.size > 0) {
+    url.searchParams.set(PORTFOLIO_TAG_PARAM, Array.from(tags).join(PORTFOLIO_PARAM_SEPARATOR));
+  }
+  if (match === FILTER_MATCH_ALL) {
+    url.searchParams.set(PORTFOLIO_MATCH_PARAM, FILTER_MATCH_ALL);
+  }
+
+  return url.toString();
+};
+
+/**
+ * Record the current selection as a new history entry so links and back/forward
+ * rebuild the same filtered view.
+ */
+const pushFilterStateToUrl = function () {
+  if (typeof history === "undefined" || typeof history.pushState !== "function") { return; }
+
+  const nextUrl = buildFilterStateUrl();
+  if (nextUrl === window.location.href) { return; }
+
+  try {
+    history.pushState({ portfolioFilter: true }, "", nextUrl);
+  } catch (error) {
+    console.warn("Unable to write portfolio filter to the URL.", error);
+  }
+};
+
+/**
+ * Apply portfolio filters from query parameters or stored session data.
+ */
+const applyPortfolioFilterFromQuery = function () {
+  if (filterButtons.length === 0) { return; }
+
+  const stateFromUrl = readFilterStateFromUrl();
+  if (stateFromUrl) {
+    setFilterState(stateFromUrl);
+    return;
+  }
+
+  const storedFilter = getStoredPortfolioFilter();
+  if (storedFilter) {
+    activatePortfolioFilter(storedFilter);
+  }
+};
+
+registerPageInitializer(function initPortfolioFilterQuery({ signal }) {
+  applyPortfolioFilterFromQuery();
+
+  window.addEventListener("DOMContentLoaded", applyPortfolioFilterFromQuery, { signal });
+  window.addEventListener("load", applyPortfolioFilterFromQuery, { signal });
+  window.addEventListener("pageshow", function (event) {
+    if (event.persisted) {
+      applyPortfolioFilterFromQuery();
+    }
+  }, { signal });
+  window.addEventListener("popstate", function () {
+    if (filterButtons.length === 0) { return; }
+    setFilterState(readFilterStateFromUrl() || {});
+  }, { signal });
+});
+
+/* -------------------------------------------------------------------------- */
+/*  Portfolio project manifest (cards + filters rendered from JSON)           */
+/* -------------------------------------------------------------------------- */
+const PROJECT_MANIFEST_PATH = "./assets/data/projects.json";
+let projectList = null;
+let projectFilterList = null;
+let projectSelectList = null;
+let projectTagFilterList = null;
+let projectTagFilters = null;
+
+/**
+ * @typedef {Object} PortfolioProject
+ * @property {string} id
+ * @property {string} title
+ * @property {string} category
+ * @property {string} url
+ * @property {string} [image]
+ * @property {string} [imageAlt]
+ * @property {string} [imageSrcset]
+ * @property {string} [imageSizes]
+ * @property {string[]} [tags]
+ * @property {boolean} [external]
+ */
+
+/**
+ * Build a category button for the filter bar or the mobile dropdown.
+ *
+ * @param {string} label
+ * @param {{isSelectItem?: boolean, isActive?: boolean}} [options]
+ * @returns {HTMLLIElement}
+ */
+const createFilterOption = function (label, options = {}) {
+  const { isSelectItem = false, isActive = false } = options;
+  const listItem = document.createElement("li");
+  const button = document.createElement("button");
+
+  listItem.className = isSelectItem ? "select-item" : "filter-item";
+  button.type = "button";
+  button.textContent = label;
+  button.setAttribute("data-filter-btn", "");
+  if (isSelectItem) {
+    button.setAttribute("data-select-item", "");
+  }
+  if (isActive) {
+    button.classList.add("active");
+  }
+
+  listItem.appendChild(button);
+  return listItem;
+};
+
+/**
+ * Build a portfolio card matching the markup expected by the filters and analytics.
+ *
+ * @param {PortfolioProject} project
+ * @returns {HTMLLIElement}
+ */
+const createProjectCard = function (project) {
+  const listItem = document.createElement("li");
+  listItem.className = "project-item active";
+  listItem.setAttribute("data-filter-item", "");
+  listItem.setAttribute("data-project-item", "");
+  listItem.dataset.category = normalizeFilterValue(project.category);
+  if (project.id) {
+    listItem.dataset.projectId = project.id;
+  }
+  if (Array.isArray(project.tags) && project.tags.length > 0) {
+    listItem.dataset.tags = project.tags.map(normalizeFilterValue).filter(Boolean).join(FILTER_TAG_SEPARATOR);
+  }
+
+  const link = document.createElement("a");
+  link.className = "project-item-link";
+  link.setAttribute("href", project.url);
+  if (project.external) {
+    link.dataset.externalUrl = project.url;
+    link.setAttribute("target", "_blank");
+    link.setAttribute("rel", "noopener noreferrer");
+  }
+
+  const figure = document.createElement("figure");
+  figure.className = "project-img";
+
+  const iconBox = document.createElement("div");
+  iconBox.className = "project-item-icon-box";
+  const icon = document.createElement("ion-icon");
+  icon.setAttribute("name", "eye-outline");
+  iconBox.appendChild(icon);
+  figure.appendChild(iconBox);
+
+  if (project.image) {
+    const image = document.createElement("img");
+    image.alt = project.imageAlt || project.title;
+    image.setAttribute("data-project-img", "");
+    image.setAttribute("data-lazy-img", "");
+    image.dataset.src = project.image;
+    if (project.imageSrcset) { image.dataset.srcset = project.imageSrcset; }
+    if (project.imageSizes) { image.dataset.sizes = project.imageSizes; }
+    figure.appendChild(image);
+  }
+
+  const title = document.createElement("h3");
+  title.className = "project-title";
+  title.setAttribute("data-project-title", "");
+  title.textContent = project.title;
+
+  const category = document.createElement("p");
+  category.className = "project-category";
+  category.setAttribute("data-project-category", "");
+  category.textContent = project.category;
+
+  link.append(figure, title, category);
+  listItem.appendChild(link);
+  return listItem;
+};
+
+/**
+ * Build a tag chip used to narrow the gallery by tool or technique.
+ *
+ * @param {string} label
+ * @returns {HTMLLIElement}
+ */
+const createTagFilterOption = function (label) {
+  const listItem = document.createElement("li");
+  const button = document.createElement("button");
+
+  listItem.className = "filter-tag-item";
+  button.type = "button";
+  button.className = "filter-tag";
+  button.textContent = label;
+  button.dataset.filterTag = normalizeFilterValue(label);
+  button.setAttribute("aria-pressed", "false");
+
+  listItem.appendChild(button);
+  return listItem;
+};
+
+/**
+ * Collect unique tag labels across every project, in first-seen order.
+ *
+ * @param {PortfolioProject[]} projects
+ * @returns {string[]}
+ */
+const getManifestTags = function (projects) {
+  const labels = [];
+  const seen = new Set();
+
+  projects.forEach((project) => {
+    (Array.isArray(project.tags) ? project.tags : []).forEach((tag) => {
+      const normalized = normalizeFilterValue(tag);
+      if (!normalized || seen.has(normalized)) { return; }
+      seen.add(normalized);
+      labels.push(tag.trim());
+    });
+  });
+
+  return labels;
+};
+
+/**
+ * Collect category labels in manifest order, appending any category that only
+ * appears on a project so buttons can never drift from the cards.
+ *
+ * @param {{categories?: string[], projects: PortfolioProject[]}} manifest
+ * @returns {string[]}
+ */
+const getManifestCategories = function (manifest) {
+  const labels = [];
+  const seen = new Set();
+
+  const addLabel = function (label) {
+    const normalized = normalizeFilterValue(label);
+    if (!normalized || normalized === "all" || seen.has(normalized)) { return; }
+    seen.add(normalized);
+    labels.push(label.trim());
+  };
+
+  (Array.isArray(manifest.categories) ? manifest.categories : []).forEach(addLabel);
+  manifest.projects.forEach((project) => addLabel(project.category));
+
+  return labels;
+};
+
+/**
+ * Render cards, filter buttons and dropdown options, then rebind portfolio behaviour.
+ *
+ * @param {{categories?: string[], projects: PortfolioProject[]}} manifest
+ */
+const renderPortfolioManifest = function (manifest) {
+  const categories = getManifestCategories(manifest);
+
+  if (projectFilterList) {
+    projectFilterList.replaceChildren(
+      createFilterOption("All", { isActive: true }),
+      ...categories.map((label) => createFilterOption(label))
+    );
+  }
+
+  if (projectSelectList) {
+    projectSelectList.replaceChildren(
+      createFilterOption("All", { isSelectItem: true, isActive: true }),
+      ...categories.map((label) => createFilterOption(label, { isSelectItem: true }))
+    );
+  }
+
+  if (projectTagFilterList) {
+    const tags = getManifestTags(manifest.projects);
+    projectTagFilterList.replaceChildren(...tags.map(createTagFilterOption));
+    if (projectTagFilters) {
+      projectTagFilters.hidden = tags.length === 0;
+    }
+  }
+
+  projectList.replaceChildren(...manifest.projects.map(createProjectCard));
+  observeLazyImages(projectList);
+
+  selectItems = document.querySelectorAll("[data-select-item]");
+  filterButtons = document.querySelectorAll("[data-filter-btn]");
+  filterTagButtons = document.querySelectorAll("[data-filter-tag]");
+  filterItems = document.querySelectorAll("[data-filter-item]");
+  projectItems = document.querySelectorAll("[data-project-item]");
+
+  selectItems.forEach(bindSelectItem);
+  filterButtons.forEach(bindFilterButton);
+  filterTagButtons.forEach(bindFilterTagButton);
+  projectItems.forEach(bindProjectItem);
+
+  applyPortfolioFilterFromQuery();
+  applyFilterState();
+};
+
+/**
+ * Drop manifest entries that cannot produce a working card.
+ *
+ * @param {unknown} project
+ * @returns {boolean}
+ */
+const isValidManifestProject = function (project) {
+  const isValid = Boolean(project)
+    && typeof project.title === "string" && project.title.trim() !== ""
+    && typeof project.url === "string" && project.url.trim() !== ""
+    && typeof project.category === "string" && project.category.trim() !== "";
+
+  if (!isValid) {
+    console.warn("Skipping portfolio manifest entry without title, url or category.", project);
+  }
+
+  return isValid;
+};
+
+/**
+ * Fetch the project manifest and render the portfolio gallery from it.
+ *
+ * @param {AbortSignal} [signal] - Skips rendering once the page content has been replaced.
+ */
+const loadPortfolioManifest = async function (signal) {
+  try {
+    const response = await fetch(PROJECT_MANIFEST_PATH, { headers: { Accept: "application/json" }, signal });
+    if (!response.ok) {
+      throw new Error(`Manifest request failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (signal && signal.aborted) { return; }
+
+    const projects = Array.isArray(data && data.projects) ? data.projects.filter(isValidManifestProject) : [];
+    if (!projects.length) {
+      showListStatus(projectList, "No projects have been published yet.");
+      return;
+    }
+
+    renderPortfolioManifest({ categories: data.categories, projects });
+  } catch (error) {
+    if (signal && signal.aborted) { return; }
+    console.warn("Unable to load the portfolio project manifest.", error);
+    showListStatus(projectList, "Projects couldn't be loaded. Please refresh the page to try again.");
+  }
+};
+
+registerPageInitializer(function initPortfolioManifest({ signal }) {
+  projectList = document.querySelector("[data-project-list]");
+  if (!projectList) { return; }
+
+  projectFilterList = document.querySelector("[data-filter-list]");
+  projectSelectList = document.querySelector("[data-select-list]");
+  projectTagFilterList = document.querySelector("[data-tag-filter-list]");
+  projectTagFilters = document.querySelector("[data-tag-filters]");
+
+  loadPortfolioManifest(signal);
+});
+
+/* -------------------------------------------------------------------------- */
+/*  Contact form (validation, spam checks, backends, drafts, offline queue)   */
+/* -------------------------------------------------------------------------- */
+let form = null;
+let formInputs = [];
+let formBtn = null;
+let formAlert = null;
+let formAlertTitle = null;
+let formAlertMessage = null;
+const CONTACT_FORM_SUBMIT_EVENT = "contact_form_submit";
+
+const CONTACT_DRAFT_KEY = "contact-form-draft";
+const CONTACT_QUEUE_KEY = "contact-form-queue";
+const CONTACT_QUEUE_LOCK_NAME = "contact-form-queue";
+const CONTACT_QUEUE_LEASE_KEY = "contact-form-queue-lease";
+const CONTACT_QUEUE_LEASE_DURATION = 60 * 1000;
+const CONTACT_DRAFT_SAVE_DELAY = 400;
+const CONTACT_RETRY_BASE_DELAY = 5000;
+const CONTACT_RETRY_MAX_DELAY = 5 * 60 * 1000;
+const FORM_ALERT_STATUSES = ["success", "error", "pending"];
+
+const CONTACT_HONEYPOT_FIELD = "_gotcha";
+const CONTACT_MIN_FILL_TIME = 3000;
+const CONTACT_SUBMISSIONS_KEY = "contact-form-submissions";
+const CONTACT_RATE_LIMIT_WINDOW = 10 * 60 * 1000;
+const CONTACT_RATE_LIMIT_MAX = 3;
+const CONTACT_RATE_LIMIT_COOLDOWN = 30 * 1000;
+const CONTACT_DEFAULT_BACKEND = "formspree";
+const CONTACT_EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[a-z]{2,}$/i;
+
+/**
+ * Inline validation rules per field name. Mirrors the `minlength` /
+ * `maxlength` attributes in contact.html so native hints stay in sync.
+ */
+const CONTACT_FIELD_RULES = {
+  fullname: { label: "your name", minLength: 2, maxLength: 80 },
+  email: { label: "your email address", maxLength: 254, pattern: CONTACT_EMAIL_PATTERN },
+  message: { label: "a message", minLength: 20, maxLength: 2000 }
+};
+
+/**
+ * @typedef {Object} QueuedContactMessage
+ * @property {string} id
+ * @property {string} backend - Key into `contactBackends`.
+ * @property {string} endpoint
+ * @property {Object<string, string>} fields
+ * @property {number} attempts
+ * @property {number} queuedAt
+ * @property {number} nextAttemptAt
+ */
+
+/**
+ * Track a contact form submission (field presence only, never the content).
+ *
+ * @param {HTMLFormElement} formElement
+ * @param {FormData} formData
+ */
+const trackContactFormSubmit = function (formElement, formData) {
+  if (!(formElement instanceof HTMLFormElement)) { return; }
+
+  const hasName = Boolean((formData.get("fullname") || "").trim());
+  const hasEmail = Boolean((formData.get("email") || "").trim());
+  const hasMessage = Boolean((formData.get("message") || "").trim());
+  const action = formElement.getAttribute("action") || "";
+
+  analytics.track(CONTACT_FORM_SUBMIT_EVENT, {
+    category: "contact",
+    label: "Contact form submission",
+    params: {
+      form_action: action,
+      form_backend: getContactBackendConfig(formElement).name,
+      has_name: hasName,
+      has_email: hasEmail,
+      has_message: hasMessage
+    }
+  });
+};
+
+/**
  * Enable or disable the form submit button.
  *
- * @param {boolean} isEnabled
+ * @param {boolean} isEnabled
+ */
+const toggleFormButton = function (isEnabled) {
+  if (!formBtn) { return; }
+  if (isEnabled) {
+    formBtn.removeAttribute("disabled");
+  } else {
+    formBtn.setAttribute("disabled", "");
+  }
+};
+
+/**
+ * Display a feedback message above the contact form.
+ *
+ * @param {string} title
+ * @param {string} message
+ * @param {"success"|"error"|"pending"} [status="success"]
+ */
+const showFormAlert = function (title, message, status = "success") {
+  if (!formAlert || !formAlertTitle || !formAlertMessage) { return; }
+  formAlertTitle.textContent = title;
+  formAlertMessage.textContent = message;
+  FORM_ALERT_STATUSES.forEach((name) => {
+    formAlert.classList.toggle(`form-alert-${name}`, name === status && name !== "success");
+  });
+  formAlert.dataset.formAlertStatus = status;
+  formAlert.removeAttribute("hidden");
+};
+
+/**
+ * Hide the feedback message.
+ */
+const hideFormAlert = function () {
+  if (!formAlert) { return; }
+  formAlert.setAttribute("hidden", "");
+  formAlert.classList.remove("form-alert-error", "form-alert-pending");
+  delete formAlert.dataset.formAlertStatus;
+};
+
+/**
+ * Snapshot the named text fields of the form as a plain object.
+ *
+ * @param {HTMLFormElement} formElement
+ * @returns {Object<string, string>}
+ */
+const readContactFields = function (formElement) {
+  const fields = {};
+  new FormData(formElement).forEach((value, name) => {
+    if (typeof value === "string" && name !== CONTACT_HONEYPOT_FIELD) {
+      fields[name] = value;
+    }
+  });
+  return fields;
+};
+
+/**
+ * Rebuild a FormData payload from a stored field snapshot.
+ *
+ * @param {Object<string, string>} fields
+ * @returns {FormData}
+ */
+const createContactFormData = function (fields) {
+  const formData = new FormData();
+  Object.keys(fields).forEach((name) => formData.append(name, fields[name]));
+  return formData;
+};
+
+/**
+ * @typedef {Object} ContactBackendResult
+ * @property {boolean} ok
+ * @property {boolean} retryable - Temporary failure worth keeping in the queue.
+ * @property {string} [error] - Message from the endpoint, when it sent one.
+ */
+
+/**
+ * @typedef {Object} ContactBackend
+ * @property {boolean} canQueue - Whether failed sends can be retried later.
+ * @property {string} successMessage
+ * @property {(endpoint: string, fields: Object<string, string>) => Promise<ContactBackendResult>} send
+ *   Resolves for any server answer; rejects only on network failure.
+ */
+
+/**
+ * Turn an HTTP response into a backend result, reading Formspree-style
+ * `{ error }` or `{ errors: [{ message }] }` bodies.
+ *
+ * @param {Response} response
+ * @returns {Promise<ContactBackendResult>}
+ */
+const readContactBackendResponse = async function (response) {
+  if (response.ok) {
+    return { ok: true, retryable: false };
+  }
+
+  const data = await response.json().catch(() => null);
+  const firstError = data && Array.isArray(data.errors) && data.errors[0] ? data.errors[0].message : "";
+
+  return {
+    ok: false,
+    retryable: response.status >= 500 || response.status === 429,
+    error: (data && data.error) || firstError || ""
+  };
+};
+
+/**
+ * Build a `mailto:` URL that pre-fills the visitor's email app.
+ *
+ * @param {string} address
+ * @param {Object<string, string>} fields
+ * @returns {string}
+ */
+const buildContactMailtoUrl = function (address, fields) {
+  const subject = `Website enquiry from ${fields.fullname || "a visitor"}`;
+  const body = `${fields.message || ""}\n\n${fields.fullname || ""}\n${fields.email || ""}`.trim();
+  return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+};
+
+/**
+ * Delivery adapters, selected with `data-form-backend` on the form. Add an
+ * entry here to support another service.
+ *
+ * @type {Object<string, ContactBackend>}
+ */
+const contactBackends = {
+  formspree: {
+    canQueue: true,
+    successMessage: "Your response has been submitted.",
+    send(endpoint, fields) {
+      return fetch(endpoint, {
+        method: "POST",
+        headers: { Accept: "application/json" },
+        body: createContactFormData(fields)
+      }).then(readContactBackendResponse);
+    }
+  },
+  json: {
+    canQueue: true,
+    successMessage: "Your response has been submitted.",
+    send(endpoint, fields) {
+      return fetch(endpoint, {
+        method: "POST",
+        headers: { Accept: "application/json", "Content-Type": "application/json" },
+        body: JSON.stringify(fields)
+      }).then(readContactBackendResponse);
+    }
+  },
+  mailto: {
+    canQueue: false,
+    successMessage: "Your email app should open with the message ready to send.",
+    send(endpoint, fields) {
+      window.location.href = buildContactMailtoUrl(endpoint, fields);
+      return Promise.resolve({ ok: true, retryable: false });
+    }
+  }
+};
+
+/**
+ * Resolve which backend the form uses and where it sends to.
+ *
+ * @param {HTMLFormElement} formElement
+ * @returns {{name: string, endpoint: string}}
+ */
+const getContactBackendConfig = function (formElement) {
+  const requested = (formElement.dataset.formBackend || "").trim().toLowerCase();
+  const name = Object.prototype.hasOwnProperty.call(contactBackends, requested) ? requested : CONTACT_DEFAULT_BACKEND;
+
+  if (name === "mailto") {
+    return { name, endpoint: formElement.dataset.formMailto || "" };
+  }
+  if (name === "json") {
+    return { name, endpoint: formElement.dataset.formEndpoint || formElement.action };
+  }
+  return { name, endpoint: formElement.action };
+};
+
+/**
+ * Read the offline submission queue.
+ *
+ * @returns {QueuedContactMessage[]}
+ */
+const getContactQueue = function () {
+  const queue = localStorageController.get(CONTACT_QUEUE_KEY);
+  if (!Array.isArray(queue)) { return []; }
+
+  return queue
+    .filter((entry) => entry && entry.fields)
+    .map((entry) => Object.assign({}, entry, {
+      backend: entry.backend || CONTACT_DEFAULT_BACKEND,
+      endpoint: entry.endpoint || entry.action || ""
+    }))
+    .filter((entry) => entry.id && entry.endpoint);
+};
+
+/**
+ * Persist the offline submission queue, removing the key once empty.
+ *
+ * @param {QueuedContactMessage[]} queue
+ */
+const setContactQueue = function (queue) {
+  if (queue.length) {
+    localStorageController.set(CONTACT_QUEUE_KEY, queue);
+  } else {
+    localStorageController.remove(CONTACT_QUEUE_KEY);
+  }
+};
+
+/**
+ * Exponential backoff for the nth failed attempt, capped.
+ *
+ * @param {number} attempts
+ * @returns {number}
+ */
+const getContactRetryDelay = function (attempts) {
+  return Math.min(CONTACT_RETRY_BASE_DELAY * (2 ** Math.max(attempts - 1, 0)), CONTACT_RETRY_MAX_DELAY);
+};
+
+/**
+ * Tell the visitor how many messages are still waiting to be sent.
+ *
+ * @param {number} count
+ */
+const showPendingFormAlert = function (count) {
+  const noun = count === 1 ? "message is" : `${count} messages are`;
+  const prefix = count === 1 ? "Your " : "";
+  showFormAlert(
+    "Message pending",
+    `${prefix}${noun} saved on this device and will be sent automatically when you're back online.`,
+    "pending"
+  );
+};
+
+/**
+ * Check one field against its rule and return the message to show, if any.
+ *
+ * @param {string} name
+ * @param {string} value
+ * @returns {string}
+ */
+const getContactFieldError = function (name, value) {
+  const rule = CONTACT_FIELD_RULES[name];
+  if (!rule) { return ""; }
+
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return `Please enter ${rule.label}.`;
+  }
+  if (rule.minLength && trimmed.length < rule.minLength) {
+    return `Please use at least ${rule.minLength} characters (${trimmed.length} so far).`;
+  }
+  if (rule.maxLength && trimmed.length > rule.maxLength) {
+    return `Please keep this under ${rule.maxLength} characters.`;
+  }
+  if (rule.pattern && !rule.pattern.test(trimmed)) {
+    return "Please enter a valid email address, like name@example.com.";
+  }
+  return "";
+};
+
+/**
+ * Timestamps of recent submissions from this browser, oldest first.
+ *
+ * @returns {number[]}
+ */
+const getRecentContactSubmissions = function () {
+  const stored = localStorageController.get(CONTACT_SUBMISSIONS_KEY);
+  const cutoff = Date.now() - CONTACT_RATE_LIMIT_WINDOW;
+  return Array.isArray(stored) ? stored.filter((time) => typeof time === "number" && time > cutoff) : [];
+};
+
+/**
+ * Milliseconds until another submission is allowed, or `0`.
+ *
+ * @returns {number}
+ */
+const getContactRateLimitWait = function () {
+  const recent = getRecentContactSubmissions();
+  if (!recent.length) { return 0; }
+
+  const now = Date.now();
+  const cooldownWait = recent[recent.length - 1] + CONTACT_RATE_LIMIT_COOLDOWN - now;
+  const windowWait = recent.length >= CONTACT_RATE_LIMIT_MAX
+    ? recent[recent.length - CONTACT_RATE_LIMIT_MAX] + CONTACT_RATE_LIMIT_WINDOW - now
+    : 0;
+
+  return Math.max(cooldownWait, windowWait, 0);
+};
+
+/**
+ * Remember a submission for client-side rate limiting.
+ */
+const recordContactSubmission = function () {
+  const recent = getRecentContactSubmissions();
+  recent.push(Date.now());
+  localStorageController.set(CONTACT_SUBMISSIONS_KEY, recent.slice(-CONTACT_RATE_LIMIT_MAX));
+};
+
+/**
+ * Describe a wait in seconds or minutes.
+ *
+ * @param {number} milliseconds
+ * @returns {string}
+ */
+const formatContactWait = function (milliseconds) {
+  const seconds = Math.ceil(milliseconds / 1000);
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+};
+
+let contactQueueRetryTimeoutId = null;
+let isFlushingContactQueue = false;
+const contactQueueTabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * @typedef {Object} ContactQueueFlushResult
+ * @property {number} sentCount
+ * @property {number} remainingCount
+ * @property {string} rejectedMessage
+ */
+
+/**
+ * Retry again once the earliest queued message is due.
+ */
+const scheduleContactQueueRetry = function () {
+  window.clearTimeout(contactQueueRetryTimeoutId);
+
+  const queue = getContactQueue();
+  if (!queue.length) { return; }
+
+  const nextAttemptAt = Math.min(...queue.map((entry) => entry.nextAttemptAt || 0));
+  contactQueueRetryTimeoutId = window.setTimeout(flushContactQueue, Math.max(nextAttemptAt - Date.now(), 0));
+};
+
+/**
+ * Run `task` while this tab holds the queue lock, so two open tabs never send
+ * the same message. Uses the Web Locks API, or a short-lived lease in
+ * localStorage where that is missing.
+ *
+ * @template T
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T|null>} The task's result, or `null` when another tab holds the lock.
+ */
+const withContactQueueLock = async function (task) {
+  if (navigator.locks && typeof navigator.locks.request === "function") {
+    return navigator.locks.request(CONTACT_QUEUE_LOCK_NAME, { ifAvailable: true }, (lock) => (lock ? task() : null));
+  }
+
+  const lease = localStorageController.get(CONTACT_QUEUE_LEASE_KEY);
+  if (lease && lease.owner !== contactQueueTabId && lease.expiresAt > Date.now()) { return null; }
+
+  localStorageController.set(CONTACT_QUEUE_LEASE_KEY, {
+    owner: contactQueueTabId,
+    expiresAt: Date.now() + CONTACT_QUEUE_LEASE_DURATION
+  });
+
+  try {
+    return await task();
+  } finally {
+    const heldLease = localStorageController.get(CONTACT_QUEUE_LEASE_KEY);
+    if (heldLease && heldLease.owner === contactQueueTabId) {
+      localStorageController.remove(CONTACT_QUEUE_LEASE_KEY);
+    }
+  }
+};
+
+/**
+ * Send every due message, then merge the outcome into the queue as it is now,
+ * so messages queued meanwhile (here or in another tab) are kept.
+ *
+ * @returns {Promise<ContactQueueFlushResult>}
+ */
+const sendDueContactMessages = async function () {
+  const now = Date.now();
+  const finishedIds = new Set();
+  /** @type {Map<string, QueuedContactMessage>} */
+  const retriedEntries = new Map();
+  let sentCount = 0;
+  let rejectedMessage = "";
+
+  for (const entry of getContactQueue()) {
+    if ((entry.nextAttemptAt || 0) > now) { continue; }
+
+    // A backend dropped from `contactBackends` since the message was queued can never deliver it.
+    if (!Object.prototype.hasOwnProperty.call(contactBackends, entry.backend)) {
+      finishedIds.add(entry.id);
+      rejectedMessage = "A saved message could not be delivered.";
+      continue;
+    }
+
+    try {
+      const result = await contactBackends[entry.backend].send(entry.endpoint, entry.fields);
+
+      if (result.ok) {
+        finishedIds.add(entry.id);
+        sentCount += 1;
+      } else if (result.retryable) {
+        retriedEntries.set(entry.id, entry);
+      } else {
+        finishedIds.add(entry.id);
+        rejectedMessage = result.error || "A saved message could not be delivered.";
+      }
+    } catch (error) {
+      retriedEntries.set(entry.id, entry);
+    }
+  }
+
+  const remaining = getContactQueue()
+    .filter((entry) => !finishedIds.has(entry.id))
+    .map((entry) => {
+      if (!retriedEntries.has(entry.id)) { return entry; }
+
+      const attempts = retriedEntries.get(entry.id).attempts + 1;
+      return Object.assign({}, entry, { attempts, nextAttemptAt: Date.now() + getContactRetryDelay(attempts) });
+    });
+
+  setContactQueue(remaining);
+  return { sentCount, remainingCount: remaining.length, rejectedMessage };
+};
+
+/**
+ * Try every due message in the queue, backing off on network failures. The
+ * queue is flushed from whichever page is open, not just the contact page.
+ */
+const flushContactQueue = async function () {
+  if (isFlushingContactQueue || navigator.onLine === false) { return; }
+  if (!getContactQueue().length) { return; }
+
+  isFlushingContactQueue = true;
+  let result = null;
+  try {
+    result = await withContactQueueLock(sendDueContactMessages);
+  } finally {
+    isFlushingContactQueue = false;
+  }
+
+  if (!result) {
+    // Another tab is sending; check back once it should be done.
+    window.clearTimeout(contactQueueRetryTimeoutId);
+    contactQueueRetryTimeoutId = window.setTimeout(flushContactQueue, CONTACT_RETRY_BASE_DELAY);
+    return;
+  }
+
+  if (result.rejectedMessage) {
+    showFormAlert("Oops!", result.rejectedMessage, "error");
+  } else if (result.remainingCount) {
+    showPendingFormAlert(result.remainingCount);
+  } else if (result.sentCount) {
+    showFormAlert("Thank you!", result.sentCount === 1
+      ? "Your saved message has been sent."
+      : `Your ${result.sentCount} saved messages have been sent.`);
+  }
+
+  scheduleContactQueueRetry();
+};
+
+registerPageInitializer(function initContactForm({ signal }) {
+  form = document.querySelector("[data-form]");
+  formInputs = document.querySelectorAll("[data-form-input]");
+  formBtn = document.querySelector("[data-form-btn]");
+  formAlert = document.querySelector("[data-form-alert]");
+  formAlertTitle = document.querySelector("[data-form-alert-title]");
+  formAlertMessage = document.querySelector("[data-form-alert-message]");
+
+  const formAlertCloseBtn = document.querySelector("[data-form-alert-close]");
+  if (formAlertCloseBtn) {
+    formAlertCloseBtn.addEventListener("click", hideFormAlert);
+  }
+
+  if (!form) { return; }
+
+  const honeypotField = form.querySelector("[data-form-honeypot]");
+  const formStartedAt = Date.now();
+  const editedFields = new Set();
+  const touchedFields = new Set();
+
+  let draftSaveTimeoutId = null;
+
+  /**
+   * Show or clear the inline error under a field and wire up its ARIA state.
+   *
+   * @param {HTMLInputElement|HTMLTextAreaElement} field
+   * @param {string} message
+   */
+  const setContactFieldError = function (field, message) {
+    const errorElement = form.querySelector(`[data-form-error="${field.name}"]`);
+
+    if (message) {
+      field.setAttribute("aria-invalid", "true");
+    } else {
+      field.removeAttribute("aria-invalid");
+    }
+
+    if (!errorElement) { return; }
+
+    if (!errorElement.id) {
+      errorElement.id = `contact-${field.name}-error`;
+    }
+    field.setAttribute("aria-describedby", errorElement.id);
+    errorElement.textContent = message;
+    errorElement.hidden = !message;
+  };
+
+  /**
+   * Validate every field, updating the submit button and (optionally) the
+   * inline messages. Messages only appear for fields the visitor has left or
+   * when they try to submit.
+   *
+   * @param {{showAll?: boolean}} [options]
+   * @returns {HTMLElement|null} First invalid field, if any.
+   */
+  const validateContactForm = function (options = {}) {
+    const { showAll = false } = options;
+    let firstInvalid = null;
+
+    formInputs.forEach((field) => {
+      const message = getContactFieldError(field.name, field.value);
+      if (message && !firstInvalid) {
+        firstInvalid = field;
+      }
+      if (showAll || touchedFields.has(field.name)) {
+        setContactFieldError(field, message);
+      }
+    });
+
+    toggleFormButton(!firstInvalid);
+    return firstInvalid;
+  };
+
+  /**
+   * Reset the form, its inline errors and the saved draft after a send.
+   */
+  const resetContactForm = function () {
+    form.reset();
+    clearContactDraft();
+    editedFields.clear();
+    touchedFields.clear();
+    formInputs.forEach((field) => setContactFieldError(field, ""));
+    toggleFormButton(false);
+  };
+
+  /**
+   * Save the current field values so they survive navigation and reloads.
+   */
+  const saveContactDraft = function () {
+    const fields = readContactFields(form);
+    const hasContent = Object.keys(fields).some((name) => fields[name].trim());
+
+    if (hasContent) {
+      localStorageController.set(CONTACT_DRAFT_KEY, { fields, savedAt: Date.now() });
+    } else {
+      localStorageController.remove(CONTACT_DRAFT_KEY);
+    }
+  };
+
+  /**
+   * Debounce draft saves while the visitor types.
+   */
+  const scheduleContactDraftSave = function () {
+    window.clearTimeout(draftSaveTimeoutId);
+    draftSaveTimeoutId = window.setTimeout(saveContactDraft, CONTACT_DRAFT_SAVE_DELAY);
+  };
+
+  /**
+   * Drop the saved draft and cancel any pending save.
+   */
+  const clearContactDraft = function () {
+    window.clearTimeout(draftSaveTimeoutId);
+    localStorageController.remove(CONTACT_DRAFT_KEY);
+  };
+
+  /**
+   * Fill empty fields from the saved draft.
+   */
+  const restoreContactDraft = function () {
+    const draft = localStorageController.get(CONTACT_DRAFT_KEY);
+    if (!draft || !draft.fields) { return; }
+
+    Object.keys(draft.fields).forEach((name) => {
+      const field = form.elements.namedItem(name);
+      if (!field || !("value" in field) || field.value) { return; }
+      field.value = String(draft.fields[name]);
+    });
+
+    validateContactForm();
+  };
+
+  /**
+   * Store a failed submission for later delivery. A queued message counts
+   * toward the rate limit just like one that was sent.
+   *
+   * @param {Object<string, string>} fields
+   */
+  const enqueueContactMessage = function (fields) {
+    const queue = getContactQueue();
+    const backend = getContactBackendConfig(form);
+    const now = Date.now();
+
+    queue.push({
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      backend: backend.name,
+      endpoint: backend.endpoint,
+      fields,
+      attempts: 1,
+      queuedAt: now,
+      nextAttemptAt: now + getContactRetryDelay(1)
+    });
+
+    setContactQueue(queue);
+    recordContactSubmission();
+    showPendingFormAlert(queue.length);
+  };
+
+  form.addEventListener("input", scheduleContactDraftSave);
+
+  formInputs.forEach((field) => {
+    field.addEventListener("input", function () {
+      editedFields.add(field.name);
+      validateContactForm();
+    });
+
+    // Wait until the visitor leaves an edited field before complaining about it.
+    field.addEventListener("blur", function () {
+      if (!editedFields.has(field.name)) { return; }
+      touchedFields.add(field.name);
+      validateContactForm();
+    });
+  });
+
+  /**
+   * Validate, screen for spam, then hand the message to the configured backend.
+   */
+  form.addEventListener("submit", async function (event) {
+    event.preventDefault();
+    hideFormAlert();
+
+    // Bots fill every field; people never see this one. Pretend it worked.
+    if (honeypotField && honeypotField.value) {
+      resetContactForm();
+      showFormAlert("Thank you!", "Your response has been submitted.");
+      return;
+    }
+
+    const firstInvalid = validateContactForm({ showAll: true });
+    if (firstInvalid) {
+      firstInvalid.focus();
+      return;
+    }
+
+    if (Date.now() - formStartedAt < CONTACT_MIN_FILL_TIME) {
+      showFormAlert("One moment", "That was quick! Please check your message and send it again.", "error");
+      return;
+    }
+
+    const rateLimitWait = getContactRateLimitWait();
+    if (rateLimitWait > 0) {
+      showFormAlert(
+        "Please wait",
+        `You've sent a few messages recently. Please try again in ${formatContactWait(rateLimitWait)}.`,
+        "error"
+      );
+      return;
+    }
+
+    toggleFormButton(false);
+
+    const formData = new FormData(form);
+    const fields = readContactFields(form);
+    const backendConfig = getContactBackendConfig(form);
+    const backend = contactBackends[backendConfig.name];
+
+    trackContactFormSubmit(form, formData);
+
+    if (navigator.onLine === false && backend.canQueue) {
+      enqueueContactMessage(fields);
+      resetContactForm();
+      return;
+    }
+
+    try {
+      const result = await backend.send(backendConfig.endpoint, fields);
+
+      if (result.ok) {
+        recordContactSubmission();
+        resetContactForm();
+        showFormAlert("Thank you!", backend.successMessage);
+      } else if (result.retryable && backend.canQueue) {
+        enqueueContactMessage(fields);
+        resetContactForm();
+        scheduleContactQueueRetry();
+      } else {
+        toggleFormButton(true);
+        showFormAlert("Oops!", result.error || "Something went wrong. Please try again later.", "error");
+      }
+    } catch (error) {
+      if (!backend.canQueue) {
+        toggleFormButton(true);
+        showFormAlert("Oops!", "We couldn't send your message. Please try again later.", "error");
+        return;
+      }
+
+      enqueueContactMessage(fields);
+      resetContactForm();
+      scheduleContactQueueRetry();
+    }
+  });
+
+  window.addEventListener("pagehide", saveContactDraft, { signal });
+
+  // Leaving in place: keep the draft. The queue keeps retrying on the next page.
+  signal.addEventListener("abort", function () {
+    window.clearTimeout(draftSaveTimeoutId);
+    saveContactDraft();
+  });
+
+  restoreContactDraft();
+
+  const queuedCount = getContactQueue().length;
+  if (queuedCount) {
+    showPendingFormAlert(queuedCount);
+  }
+});
+
+window.addEventListener("online", function () {
+  const queue = getContactQueue().map((entry) => Object.assign({}, entry, { nextAttemptAt: 0 }));
+  setContactQueue(queue);
+  flushContactQueue();
+});
+
+// Messages saved on an earlier visit go out from the first page that loads.
+flushContactQueue();
+
+/* -------------------------------------------------------------------------- */
+/*  Media gallery layout toggles                                              */
+/* -------------------------------------------------------------------------- */
+registerPageInitializer(function initMediaLayoutToggles() {
+  const mediaLayoutButtons = document.querySelectorAll("[data-media-layout]");
+  const mediaGallery = document.querySelector("[data-media-gallery]");
+  if (mediaLayoutButtons.length === 0 || !mediaGallery) { return; }
+
+  mediaLayoutButtons.forEach((button) => {
+    button.addEventListener("click", function () {
+      const targetLayout = this.dataset.mediaLayout;
+      if (!targetLayout) { return; }
+
+      mediaGallery.classList.remove("masonry", "two-column");
+      mediaGallery.classList.add(targetLayout);
+
+      mediaLayoutButtons.forEach((btn) => {
+        btn.classList.toggle("is-active", btn === button);
+      });
+    });
+  });
+});
+/* -------------------------------------------------------------------------- */
+/*  Global page navigation + state persistence                                */
+/* -------------------------------------------------------------------------- */
+let navigationLinks = [];
+let pages = [];
+
+const ACTIVE_PAGE_KEY = "active-page";
+const SCROLL_POSITION_KEY = "page-scroll-position";
+const SKIP_SCROLL_RESTORE_KEY = "skip-scroll-restore";
+
+/**
+ * Normalize nav target strings for consistent comparisons.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizePageName = function (value) {
+  return (typeof value === "string" ? value : "")
+    .trim()
+    .toLowerCase();
+};
+
+/**
+ * Determine the target page name from a navigation link element.
+ *
+ * @param {HTMLElement} link
+ * @returns {string}
+ */
+const getNavTarget = function (link) {
+  if (!(link instanceof HTMLElement)) { return ""; }
+  const explicitTarget = normalizePageName(link.dataset.navTarget);
+  if (explicitTarget) { return explicitTarget; }
+  return normalizePageName(link.textContent);
+};
+
+/**
+ * Safe sessionStorage wrapper to avoid runtime errors in private browsing.
+ */
+const sessionStorageController = (function createSessionStorageController() {
+  try {
+    const testKey = "__page_state__";
+    sessionStorage.setItem(testKey, testKey);
+    sessionStorage.removeItem(testKey);
+
+    return {
+      get(key) {
+        try {
+          return sessionStorage.getItem(key);
+        } catch (error) {
+          console.warn("Unable to read from sessionStorage.", error);
+          return null;
+        }
+      },
+      set(key, value) {
+        try {
+          sessionStorage.setItem(key, value);
+        } catch (error) {
+          console.warn("Unable to write to sessionStorage.", error);
+        }
+      },
+      remove(key) {
+        try {
+          sessionStorage.removeItem(key);
+        } catch (error) {
+          console.warn("Unable to remove from sessionStorage.", error);
+        }
+      }
+    };
+  } catch (error) {
+    console.warn("Session storage is not available. Page state will not persist.", error);
+    return {
+      get() { return null; },
+      set() {},
+      remove() {}
+    };
+  }
+})();
+
+const PAGE_PARAM = "page";
+const PAGE_TITLE_SUFFIX = "Saurabh Saini";
+
+/** Panel that is active in the markup; its URL carries no `?page=` param. */
+let defaultPagePanel = null;
+let defaultPageName = "";
+let defaultPageTitle = document.title;
+
+/**
+ * Find the `[data-page]` panel for a page name in this document.
+ *
+ * @param {string} pageName
+ * @returns {HTMLElement|null}
+ */
+const getPagePanel = function (pageName) {
+  const normalizedPageName = normalizePageName(pageName);
+  return Array.from(pages).find((page) => normalizePageName(page.dataset.page) === normalizedPageName) || null;
+};
+
+/**
+ * Read the panel requested by the URL, ignoring names with no panel here.
+ *
+ * @returns {string}
+ */
+const getPageFromUrl = function () {
+  const requested = normalizePageName(new URLSearchParams(window.location.search).get(PAGE_PARAM));
+  return requested && getPagePanel(requested) ? requested : "";
+};
+
+/**
+ * Document title for a panel: `data-page-title`, the original title for the
+ * default panel, or the panel heading plus the site name.
+ *
+ * @param {HTMLElement} panel
+ * @returns {string}
+ */
+const getPageTitle = function (panel) {
+  if (panel.dataset.pageTitle) { return panel.dataset.pageTitle; }
+  if (panel === defaultPagePanel) { return defaultPageTitle; }
+
+  const heading = panel.querySelector(".article-title");
+  const headingText = heading ? heading.textContent.trim() : "";
+  return headingText ? `${headingText} | ${PAGE_TITLE_SUFFIX}` : defaultPageTitle;
+};
+
+/**
+ * Activate a page article and matching nav link.
+ *
+ * @param {string} pageName
+ * @param {{scrollToTop?: boolean, history?: "push"|"replace"|"none", trackView?: boolean}} [options]
+ */
+const activatePage = function (pageName, options = {}) {
+  const { scrollToTop = true, history: historyMode = "none", trackView = false } = options;
+  const normalizedPageName = normalizePageName(pageName);
+  const panel = getPagePanel(normalizedPageName);
+  if (!panel) { return; }
+
+  for (let i = 0; i < pages.length; i++) {
+    pages[i].classList.toggle("active", pages[i] === panel);
+  }
+
+  for (let i = 0; i < navigationLinks.length; i++) {
+    const navTarget = getNavTarget(navigationLinks[i]);
+    const shouldActivate = navTarget === normalizedPageName;
+    navigationLinks[i].classList.toggle("active", shouldActivate);
+  }
+
+  sessionStorageController.set(ACTIVE_PAGE_KEY, normalizedPageName);
+  document.title = getPageTitle(panel);
+
+  if (historyMode !== "none") {
+    const url = new URL(window.location.href);
+    if (normalizedPageName === defaultPageName) {
+      url.searchParams.delete(PAGE_PARAM);
+    } else {
+      url.searchParams.set(PAGE_PARAM, normalizedPageName);
+    }
+
+    const state = { page: normalizedPageName };
+    if (historyMode === "push") {
+      // Section hashes belong to the panel being left.
+      url.hash = "";
+      history.pushState(state, "", url.href);
+    } else {
+      history.replaceState(state, "", url.href);
+    }
+  }
+
+  if (scrollToTop) {
+    window.scrollTo(0, 0);
+  }
+
+  if (trackView) {
+    analytics.track("page_view", {
+      category: "navigation",
+      label: normalizedPageName,
+      params: { page_title: document.title }
+    });
+  }
+};
+
+/**
+ * Bind the navbar to the current document's panels and apply any `?page=`
+ * panel requested by the URL.
+ */
+registerPageInitializer(function initPageNavigation({ signal }) {
+  navigationLinks = document.querySelectorAll("[data-nav-link]");
+  pages = document.querySelectorAll("[data-page]");
+  defaultPagePanel = document.querySelector("[data-page].active") || pages[0] || null;
+  defaultPageName = defaultPagePanel ? normalizePageName(defaultPagePanel.dataset.page) : "";
+  defaultPageTitle = document.title;
+
+  // Links to a panel in this document switch in place; others navigate as usual
+  // and the stored name lets the next document restore it.
+  for (let i = 0; i < navigationLinks.length; i++) {
+    const currentLink = navigationLinks[i];
+    const targetPage = getNavTarget(currentLink);
+
+    if (!targetPage) { continue; }
+
+    currentLink.addEventListener("click", function (event) {
+      if (targetPage === "resume") {
+        analytics.track("resume_nav_click", {
+          category: "navigation",
+          label: "Resume navbar link"
+        });
+      }
+
+      if (!getPagePanel(targetPage)) {
+        sessionStorageController.set(ACTIVE_PAGE_KEY, targetPage);
+        return;
+      }
+
+      const isModifiedClick = event.metaKey || event.ctrlKey || event.shiftKey || event.altKey || event.button !== 0;
+      if (isModifiedClick && currentLink.hasAttribute("href")) { return; }
+
+      event.preventDefault();
+      const isCurrentPage = getPagePanel(targetPage).classList.contains("active");
+      activatePage(targetPage, { history: isCurrentPage ? "none" : "push", trackView: !isCurrentPage });
+    });
+  }
+
+  window.addEventListener("popstate", function () {
+    const pageName = getPageFromUrl() || defaultPageName;
+    const panel = getPagePanel(pageName);
+    if (!panel || panel.classList.contains("active")) { return; }
+
+    activatePage(pageName, { trackView: true });
+  }, { signal });
+
+  // The URL wins over the stored panel, so apply it before first paint.
+  if (getPageFromUrl()) {
+    activatePage(getPageFromUrl(), { scrollToTop: false });
+  }
+});
+
+/**
+ * Restore scroll position saved before navigation.
+ */
+const restoreScrollPosition = function () {
+  const skipRestore = sessionStorageController.get(SKIP_SCROLL_RESTORE_KEY) === "true";
+  if (skipRestore) {
+    sessionStorageController.remove(SKIP_SCROLL_RESTORE_KEY);
+    sessionStorageController.remove(SCROLL_POSITION_KEY);
+    return;
+  }
+
+  const storedValue = sessionStorageController.get(SCROLL_POSITION_KEY);
+  if (!storedValue) { return; }
+
+  const y = parseInt(storedValue, 10);
+  if (Number.isNaN(y)) { return; }
+
+  window.scrollTo({ top: y, left: 0, behavior: "auto" });
+};
+
+window.addEventListener("beforeunload", function () {
+  const skipRestore = sessionStorageController.get(SKIP_SCROLL_RESTORE_KEY) === "true";
+  if (skipRestore) {
+    sessionStorageController.remove(SCROLL_POSITION_KEY);
+    return;
+  }
+
+  sessionStorageController.set(SCROLL_POSITION_KEY, String(window.scrollY || window.pageYOffset));
+});
+
+/**
+ * Restore the active page from the URL, or else from session storage.
+ */
+const restoreActivePage = function () {
+  const urlPage = getPageFromUrl();
+  if (urlPage) {
+    activatePage(urlPage, { scrollToTop: false });
+    return;
+  }
+
+  const normalizedStoredPage = normalizePageName(sessionStorageController.get(ACTIVE_PAGE_KEY));
+  if (normalizedStoredPage && getPagePanel(normalizedStoredPage)) {
+    activatePage(normalizedStoredPage, {
+      scrollToTop: false,
+      history: normalizedStoredPage === defaultPageName ? "none" : "replace"
+    });
+  }
+};
+
+window.addEventListener("load", function () {
+  restoreActivePage();
+  restoreScrollPosition();
+});
+
+window.addEventListener("pageshow", function (event) {
+  if (event.persisted) {
+    const skipRestore = sessionStorageController.get(SKIP_SCROLL_RESTORE_KEY) === "true";
+    if (skipRestore) {
+      sessionStorageController.remove(SKIP_SCROLL_RESTORE_KEY);
+      sessionStorageController.remove(SCROLL_POSITION_KEY);
+      return;
+    }
+
+    restoreActivePage();
+    restoreScrollPosition();
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*  Single-page templates (scroll synced sidebar nav)                         */
+/* -------------------------------------------------------------------------- */
+registerPageInitializer(function initSinglePageNavbar() {
+  const singlePageNavbar = document.querySelector(".single-page-navbar");
+  const singlePageSidebar = document.querySelector(".single-page-sidebar");
+  if (!singlePageNavbar || !singlePageSidebar) { return; }
+
+  /**
+   * Allow mouse wheel scrolling inside the sidebar when content overflows.
+   *
+   * @param {WheelEvent} event
+   */
+  const handleNavbarScroll = function (event) {
+    const delta = event.deltaY || event.deltaX;
+
+    if (!delta) { return; }
+    if (singlePageSidebar.scrollHeight <= singlePageSidebar.clientHeight) { return; }
+
+    event.preventDefault();
+    singlePageSidebar.scrollTop += delta;
+  };
+
+  singlePageNavbar.addEventListener("wheel", handleNavbarScroll, { passive: false });
+});
+
+/* -------------------------------------------------------------------------- */
+/*  Table of contents (generated from .article-title headings)                */
+/* -------------------------------------------------------------------------- */
+const TOC_HEADING_SELECTOR = ".info-grid .article-title";
+const SECTION_CHANGE_EVENT = "sectionchange";
+
+/**
+ * @typedef {Object} TocItem
+ * @property {string} id
+ * @property {string} title
+ * @property {number} level - Heading level (3 for `h3`, …).
+ * @property {TocItem[]} children
+ */
+
+/**
+ * Resolve the element a TOC link should scroll to, giving it an `id` if needed.
+ * A heading that opens an `.info-grid[id]` section links to the section itself,
+ * so existing `#project-overview` style anchors keep working.
+ *
+ * @param {HTMLElement} heading
+ * @param {Set<string>} usedIds
+ * @returns {HTMLElement}
+ */
+const getTocTarget = function (heading, usedIds) {
+  const section = heading.closest(".info-grid");
+  const target = section && section.id && section.querySelector(".article-title") === heading
+    ? section
+    : heading;
+
+  if (!target.id) {
+    const slug = slugify(heading.textContent);
+    // Ids feed `document.querySelector("#…")`, so they must not start with a digit.
+    const base = /^[a-z]/.test(slug) ? slug : `section-${slug}`.replace(/-$/, "");
+    let id = base;
+    let suffix = 2;
+    while (usedIds.has(id)) {
+      id = `${base}-${suffix}`;
+      suffix += 1;
+    }
+    target.id = id;
+  }
+
+  usedIds.add(target.id);
+  return target;
+};
+
+/**
+ * Collect the headings of a long-form article as a nested outline.
+ *
+ * @param {Element} article
+ * @returns {TocItem[]}
+ */
+const collectTocItems = function (article) {
+  const headings = Array.from(article.querySelectorAll(TOC_HEADING_SELECTOR))
+    .filter((heading) => !heading.closest("[data-toc-ignore]") && heading.textContent.trim());
+  const usedIds = new Set(Array.from(document.querySelectorAll("[id]"), (element) => element.id));
+  const outline = [];
+  const parents = [];
+
+  headings.forEach((heading) => {
+    const item = {
+      id: getTocTarget(heading, usedIds).id,
+      title: heading.textContent.replace(/\s+/g, " ").trim(),
+      level: Number.parseInt(heading.tagName.slice(1), 10) || 3,
+      children: []
+    };
+
+    while (parents.length && parents[parents.length - 1].level >= item.level) {
+      parents.pop();
+    }
+
+    (parents.length ? parents[parents.length - 1].children : outline).push(item);
+    parents.push(item);
+  });
+
+  return outline;
+};
+
+/**
+ * Fill a list with `[data-section-link]` anchors for an outline.
+ *
+ * @param {HTMLUListElement} list
+ * @param {TocItem[]} items
+ * @param {string} linkClass
+ */
+const renderTocList = function (list, items, linkClass) {
+  list.replaceChildren();
+
+  items.forEach((item) => {
+    const listItem = document.createElement("li");
+    const link = document.createElement("a");
+    link.className = linkClass;
+    link.href = `#${item.id}`;
+    link.textContent = item.title;
+    link.setAttribute("data-section-link", "");
+    listItem.append(link);
+
+    if (item.children.length) {
+      const childList = document.createElement("ul");
+      childList.className = "page-toc__sublist";
+      renderTocList(childList, item.children, linkClass);
+      listItem.append(childList);
+    }
+
+    list.append(listItem);
+  });
+};
+
+/**
+ * Build the default in-article TOC, which collapses into a dropdown on narrow screens.
+ *
+ * @returns {HTMLElement}
+ */
+const createPageToc = function () {
+  const nav = document.createElement("nav");
+  nav.className = "page-toc";
+  nav.setAttribute("data-toc", "");
+  nav.setAttribute("aria-label", "On this page");
+  nav.innerHTML = `
+    <p class="page-toc__title">On this page</p>
+    <button class="page-toc__toggle" type="button" aria-expanded="false" aria-controls="pageTocList">
+      <span class="page-toc__toggle-label">On this page</span>
+      <span class="page-toc__current" data-toc-current></span>
+      <ion-icon name="chevron-down" aria-hidden="true"></ion-icon>
+    </button>
+    <ul class="page-toc__list" id="pageTocList" data-toc-list></ul>
+  `;
+  return nav;
+};
+
+registerPageInitializer(function initTableOfContents({ signal }) {
+  if (isPostTemplatePending()) { return; }
+
+  const pageTitle = document.querySelector("article h2.article-title");
+  const article = pageTitle ? pageTitle.closest("article") : null;
+  if (!article) { return; }
+
+  const outline = collectTocItems(article);
+  if (outline.length < 2) { return; }
+
+  if (!article.querySelector("[data-toc]")) {
+    const header = article.querySelector(":scope > header");
+    const pageToc = createPageToc();
+    if (header) {
+      header.insertAdjacentElement("afterend", pageToc);
+    } else {
+      article.prepend(pageToc);
+    }
+  }
+
+  document.querySelectorAll("[data-toc]").forEach((toc) => {
+    const list = toc.querySelector("[data-toc-list]") || toc.querySelector("ul");
+    if (!list) { return; }
+
+    renderTocList(list, outline, toc.dataset.tocLinkClass || "page-toc__link");
+
+    const toggle = toc.querySelector(".page-toc__toggle");
+    if (!toggle) { return; }
+
+    const current = toc.querySelector("[data-toc-current]");
+
+    /**
+     * Open or close the narrow-screen dropdown.
+     *
+     * @param {boolean} shouldOpen
+     */
+    const setTocOpen = function (shouldOpen) {
+      toc.classList.toggle("is-open", shouldOpen);
+      toggle.setAttribute("aria-expanded", String(shouldOpen));
+    };
+
+    toggle.addEventListener("click", () => setTocOpen(!toc.classList.contains("is-open")));
+
+    list.addEventListener("click", function (event) {
+      if (event.target instanceof Element && event.target.closest("[data-section-link]")) {
+        setTocOpen(false);
+      }
+    });
+
+    toc.addEventListener("keydown", function (event) {
+      if (event.key !== "Escape" || !toc.classList.contains("is-open")) { return; }
+      setTocOpen(false);
+      toggle.focus();
+    });
+
+    document.addEventListener("click", function (event) {
+      if (toc.classList.contains("is-open") && !toc.contains(event.target)) {
+        setTocOpen(false);
+      }
+    }, { signal });
+
+    document.addEventListener(SECTION_CHANGE_EVENT, function (event) {
+      if (current) {
+        current.textContent = event.detail.title;
+      }
+    }, { signal });
+  });
+});
+
+registerPageInitializer(function initFloatingQuickNav({ signal }) {
+  const quickNav = document.querySelector(".projects-quick-nav-sidebar");
+  if (!quickNav || typeof window.matchMedia !== "function") { return; }
+
+  // Narrow screens use the inline dropdown instead.
+  const narrowQuery = window.matchMedia("(max-width: 1024px)");
+
+  /**
+   * Float the quick nav in once the visitor has scrolled past the intro.
+   */
+  const updateVisibility = function () {
+    const shouldShow = !narrowQuery.matches && window.scrollY > window.innerHeight * 0.8;
+    quickNav.classList.toggle("is-visible", shouldShow);
+    quickNav.setAttribute("aria-hidden", shouldShow ? "false" : "true");
+  };
+
+  quickNav.classList.add("is-floating");
+  updateVisibility();
+
+  window.addEventListener("scroll", updateVisibility, { passive: true, signal });
+  window.addEventListener("resize", updateVisibility, { signal });
+
+  if (typeof narrowQuery.addEventListener === "function") {
+    narrowQuery.addEventListener("change", updateVisibility, { signal });
+  } else if (typeof narrowQuery.addListener === "function") {
+    narrowQuery.addListener(updateVisibility);
+    signal.addEventListener("abort", () => narrowQuery.removeListener(updateVisibility));
+  }
+});
+
+registerPageInitializer(function initSectionNavigation({ signal }) {
+  const sectionNavLinks = document.querySelectorAll("[data-section-link]");
+  if (sectionNavLinks.length === 0) { return; }
+
+  const sectionEntries = [];
+  let activeLink = null;
+  let pendingTargetEntry = null;
+  let scrollRafId = null;
+  let resizeRafId = null;
+
+  /**
+   * Calculate computed scroll-margin-top value for smooth scroll offset.
+   *
+   * @param {Element} element
+   * @returns {number}
+   */
+  const getScrollMarginTop = function (element) {
+    if (!element || typeof window === "undefined") { return 0; }
+    const computed = window.getComputedStyle(element);
+    const value = computed ? parseFloat(computed.scrollMarginTop || "0") : 0;
+    return Number.isFinite(value) ? value : 0;
+  };
+
+  /**
+   * Update the highlight state for the section navigation.
+   *
+   * @param {HTMLElement|null} nextLink
+   */
+  const setActiveSectionLink = function (nextLink) {
+    if (!nextLink || nextLink === activeLink) { return; }
+
+    // Several navs (inline TOC, floating quick nav) can point at the same section.
+    const nextHref = nextLink.getAttribute("href");
+    const isSameSection = activeLink && activeLink.getAttribute("href") === nextHref;
+    activeLink = nextLink;
+
+    sectionNavLinks.forEach((link) => {
+      const isActive = link.getAttribute("href") === nextHref;
+      link.classList.toggle("active", isActive);
+      if (isActive) {
+        link.setAttribute("aria-current", "location");
+      } else {
+        link.removeAttribute("aria-current");
+      }
+    });
+
+    if (!isSameSection) {
+      document.dispatchEvent(new CustomEvent(SECTION_CHANGE_EVENT, {
+        detail: { id: nextHref.slice(1), title: nextLink.textContent.trim() }
+      }));
+    }
+  };
+
+  /**
+   * Refresh the cached offset positions for each section target.
+   */
+  const computeSectionOffsets = function () {
+    const scrollY = window.scrollY || window.pageYOffset || 0;
+    sectionEntries.forEach((entry) => {
+      const rect = entry.target.getBoundingClientRect();
+      entry.offset = rect.top + scrollY - entry.marginTop;
+    });
+    sectionEntries.sort((a, b) => a.offset - b.offset);
+  };
+
+  /**
+   * Sync the active link based on current scroll position.
+   */
+  const syncActiveLink = function () {
+    if (sectionEntries.length === 0) { return; }
+
+    if (pendingTargetEntry) {
+      const currentScroll = window.scrollY || window.pageYOffset || 0;
+      const distance = Math.abs(currentScroll - pendingTargetEntry.offset);
+      if (distance > 4) {
+        return;
+      }
+      pendingTargetEntry = null;
+    }
+
+    const scrollPosition = (window.scrollY || window.pageYOffset || 0) + 12;
+    let currentEntry = sectionEntries[0];
+
+    for (let i = 0; i < sectionEntries.length; i++) {
+      const entry = sectionEntries[i];
+      if (scrollPosition >= entry.offset - 4) {
+        currentEntry = entry;
+      } else {
+        break;
+      }
+    }
+
+    if (currentEntry && currentEntry.link) {
+      setActiveSectionLink(currentEntry.link);
+    }
+  };
+
+  /**
+   * Request animation frame to update active section highlight.
+   */
+  const requestSync = function () {
+    if (scrollRafId !== null) { return; }
+    scrollRafId = window.requestAnimationFrame(function () {
+      scrollRafId = null;
+      syncActiveLink();
+    });
+  };
+
+  /**
+   * Request animation frame to recalculate section offsets.
+   */
+  const requestRecompute = function () {
+    if (resizeRafId !== null) { return; }
+    resizeRafId = window.requestAnimationFrame(function () {
+      resizeRafId = null;
+      computeSectionOffsets();
+      syncActiveLink();
+    });
+  };
+
+  sectionNavLinks.forEach((link) => {
+    const href = link.getAttribute("href");
+    if (!href || !href.startsWith("#")) { return; }
+
+    const target = document.querySelector(href);
+    if (!target) { return; }
+
+    const marginTop = getScrollMarginTop(target);
+    const entry = { target, link, marginTop, offset: 0 };
+    sectionEntries.push(entry);
+
+    link.addEventListener("click", function (event) {
+      event.preventDefault();
+
+      setActiveSectionLink(link);
+      pendingTargetEntry = entry;
+
+      if (href === "#top") {
+        window.scrollTo({ top: 0, behavior: "smooth" });
+      } else if (typeof target.scrollIntoView === "function") {
+        target.scrollIntoView({ behavior: "smooth", block: "start" });
+      }
+
+      if (typeof history !== "undefined" && typeof history.replaceState === "function") {
+        history.replaceState(null, "", href);
+      }
+
+      window.requestAnimationFrame(() => {
+        computeSectionOffsets();
+        requestSync();
+      });
+    });
+  });
+
+  if (sectionEntries.length > 0) {
+    const initialHash = window.location.hash;
+    computeSectionOffsets();
+
+    if (initialHash) {
+      const initialTarget = document.getElementById(safeDecodeURIComponent(initialHash.slice(1)));
+      const initialEntry = sectionEntries.find((entry) => entry.target === initialTarget);
+      if (initialEntry) {
+        setActiveSectionLink(initialEntry.link);
+      } else if (sectionEntries[0]) {
+        setActiveSectionLink(sectionEntries[0].link);
+      }
+    } else if (sectionEntries[0]) {
+      setActiveSectionLink(sectionEntries[0].link);
+    }
+
+    syncActiveLink();
+
+    window.addEventListener("scroll", requestSync, { passive: true, signal });
+    window.addEventListener("resize", requestRecompute, { signal });
+    window.addEventListener("orientationchange", requestRecompute, { signal });
+    window.addEventListener("load", requestRecompute, { signal });
+    window.addEventListener("pageshow", function (event) {
+      if (event.persisted) {
+        requestRecompute();
+      }
+    }, { signal });
+  }
+});
+/* -------------------------------------------------------------------------- */
+/*  Section engagement (case studies + articles)                              */
+/* -------------------------------------------------------------------------- */
+const ENGAGEMENT_SECTION_SELECTOR = ".info-grid[id]";
+const ENGAGEMENT_DEPTH_MILESTONES = [25, 50, 75, 100];
+const ENGAGEMENT_VISIBLE_SHARE = 0.5;
+const ENGAGEMENT_MIN_DWELL = 1000;
+const ENGAGEMENT_END_THRESHOLD = 98;
+
+/**
+ * @typedef {Object} EngagementEntry
+ * @property {HTMLElement} target
+ * @property {string} id
+ * @property {string} title
+ * @property {number} index
+ * @property {boolean} seen
+ * @property {boolean} inView
+ * @property {number|null} visibleSince
+ * @property {number} dwellMs - Total time in view.
+ * @property {number} reportedDwellMs - Portion already sent.
+ */
+
+/**
+ * Track section views, dwell time and scroll depth for the current long-form
+ * page until `signal` aborts.
+ *
+ * @param {AbortSignal} signal
+ * @returns {Object|null} null when the page has fewer than two titled sections.
+ */
+const createSectionEngagement = function (signal) {
+  const targets = Array.from(document.querySelectorAll(ENGAGEMENT_SECTION_SELECTOR))
+    .filter((target) => target.querySelector(".article-title"));
+
+  if (targets.length < 2 || typeof IntersectionObserver !== "function") { return null; }
+
+  const contentTitleElement = document.querySelector("h2.article-title");
+  const contentTitle = contentTitleElement ? contentTitleElement.textContent.trim() : document.title;
+  const pageStartedAt = Date.now();
+
+  /** @type {EngagementEntry[]} */
+  const entries = targets.map((target, index) => {
+    const heading = target.querySelector(".article-title");
+    return {
+      target,
+      id: target.id,
+      title: heading ? heading.textContent.trim() : target.id,
+      index,
+      seen: false,
+      inView: false,
+      visibleSince: null,
+      dwellMs: 0,
+      reportedDwellMs: 0
+    };
+  });
+
+  const reachedMilestones = new Set();
+  const listeners = [];
+  let maxScrollDepth = 0;
+  let reachedEnd = false;
+  let depthRafId = null;
+
+  /**
+   * Shared event parameters.
+   *
+   * @returns {Object<string, string|number>}
+   */
+  const getBaseParams = function () {
+    return { content_title: contentTitle, sections_total: entries.length };
+  };
+
+  /**
+   * Tell subscribers (reading progress, etc.) that engagement changed.
+   */
+  const notify = function () {
+    listeners.forEach((listener) => listener());
+  };
+
+  /**
+   * Add the running in-view time to an entry's total.
+   *
+   * @param {EngagementEntry} entry
+   * @param {number} now
+   */
+  const settleDwell = function (entry, now) {
+    if (entry.visibleSince === null) { return; }
+    entry.dwellMs += now - entry.visibleSince;
+    entry.visibleSince = now;
+  };
+
+  /**
+   * Start or stop an entry's dwell timer.
+   *
+   * @param {EngagementEntry} entry
+   * @param {boolean} isInView
+   */
+  const setEntryInView = function (entry, isInView) {
+    const now = Date.now();
+    entry.inView = isInView;
+
+    if (isInView && !document.hidden) {
+      if (entry.visibleSince === null) {
+        entry.visibleSince = now;
+      }
+    } else {
+      settleDwell(entry, now);
+      entry.visibleSince = null;
+    }
+
+    if (isInView && !entry.seen) {
+      entry.seen = true;
+      analytics.track("section_view", {
+        category: "engagement",
+        label: entry.title,
+        params: Object.assign(getBaseParams(), {
+          section_id: entry.id,
+          section_title: entry.title,
+          section_index: entry.index + 1
+        })
+      });
+      notify();
+    }
+  };
+
+  /**
+   * Scroll depth as a percentage of the whole document.
+   *
+   * @returns {number}
+   */
+  const measureScrollDepth = function () {
+    const root = document.documentElement;
+    const scrollable = Math.max(root.scrollHeight, document.body ? document.body.scrollHeight : 0);
+    if (!scrollable) { return 0; }
+
+    const viewed = (window.scrollY || window.pageYOffset || 0) + window.innerHeight;
+    return Math.min(100, Math.round((viewed / scrollable) * 100));
+  };
+
+  /**
+   * Record new depth milestones and the end-of-content moment.
+   */
+  const updateScrollDepth = function () {
+    depthRafId = null;
+    const depth = measureScrollDepth();
+    if (depth <= maxScrollDepth) { return; }
+
+    maxScrollDepth = depth;
+
+    ENGAGEMENT_DEPTH_MILESTONES.forEach((milestone) => {
+      if (depth < milestone || reachedMilestones.has(milestone)) { return; }
+      reachedMilestones.add(milestone);
+      analytics.track("scroll_depth", {
+        category: "engagement",
+        label: `${milestone}%`,
+        params: Object.assign(getBaseParams(), { percent_scrolled: milestone })
+      });
+    });
+
+    const lastEntry = entries[entries.length - 1];
+    const lastBottom = lastEntry.target.getBoundingClientRect().bottom;
+
+    if (!reachedEnd && (depth >= ENGAGEMENT_END_THRESHOLD || lastBottom <= window.innerHeight)) {
+      reachedEnd = true;
+      analytics.track("content_complete", {
+        category: "engagement",
+        label: contentTitle,
+        params: Object.assign(getBaseParams(), {
+          sections_seen: entries.filter((entry) => entry.seen).length,
+          time_on_page_seconds: Math.round((Date.now() - pageStartedAt) / 1000)
+        })
+      });
+    }
+
+    notify();
+  };
+
+  /**
+   * Throttle depth checks to one per frame.
+   */
+  const requestDepthUpdate = function () {
+    if (depthRafId !== null) { return; }
+    depthRafId = window.requestAnimationFrame(updateScrollDepth);
+  };
+
+  /**
+   * Send dwell time gathered since the last report plus a page summary.
+   * Runs whenever the page is hidden, so only new time is reported each time.
+   */
+  const reportEngagement = function () {
+    const now = Date.now();
+    let engagedMs = 0;
+
+    entries.forEach((entry) => {
+      settleDwell(entry, now);
+      const delta = entry.dwellMs - entry.reportedDwellMs;
+      if (delta < ENGAGEMENT_MIN_DWELL) { return; }
+
+      entry.reportedDwellMs = entry.dwellMs;
+      engagedMs += delta;
+      analytics.track("section_dwell", {
+        category: "engagement",
+        label: entry.title,
+        params: Object.assign(getBaseParams(), {
+          section_id: entry.id,
+          section_title: entry.title,
+          section_index: entry.index + 1,
+          dwell_seconds: Math.round(delta / 1000)
+        })
+      });
+    });
+
+    if (!engagedMs) { return; }
+
+    analytics.track("section_engagement", {
+      category: "engagement",
+      label: contentTitle,
+      params: Object.assign(getBaseParams(), {
+        sections_seen: entries.filter((entry) => entry.seen).length,
+        max_scroll_depth: maxScrollDepth,
+        reached_end: reachedEnd,
+        engaged_seconds: Math.round(engagedMs / 1000)
+      })
+    });
+  };
+
+  const observer = new IntersectionObserver(function (observed) {
+    observed.forEach((record) => {
+      const entry = entries.find((item) => item.target === record.target);
+      if (!entry) { return; }
+
+      // Long sections never reach 50% visibility, so also count filling half the viewport.
+      const visibleHeight = record.intersectionRect ? record.intersectionRect.height : 0;
+      const isInView = record.isIntersecting && (
+        record.intersectionRatio >= ENGAGEMENT_VISIBLE_SHARE
+        || visibleHeight >= window.innerHeight * ENGAGEMENT_VISIBLE_SHARE
+      );
+
+      if (isInView !== entry.inView) {
+        setEntryInView(entry, isInView);
+      }
+    });
+  }, { threshold: [0, 0.1, 0.25, 0.5, 0.75, 1] });
+
+  entries.forEach((entry) => observer.observe(entry.target));
+
+  document.addEventListener("visibilitychange", function () {
+    const now = Date.now();
+
+    if (document.hidden) {
+      reportEngagement();
+      entries.forEach((entry) => { entry.visibleSince = null; });
+    } else {
+      entries.forEach((entry) => {
+        if (entry.inView) {
+          entry.visibleSince = now;
+        }
+      });
+    }
+  }, { signal });
+
+  window.addEventListener("pagehide", reportEngagement, { signal });
+  window.addEventListener("scroll", requestDepthUpdate, { passive: true, signal });
+  window.addEventListener("load", requestDepthUpdate, { signal });
+  requestDepthUpdate();
+
+  // Leaving in place counts as leaving the page.
+  signal.addEventListener("abort", function () {
+    observer.disconnect();
+    window.cancelAnimationFrame(depthRafId);
+    reportEngagement();
+  });
+
+  return {
+    entries,
+
+    /**
+     * @returns {number} Furthest scroll depth reached, 0–100.
+     */
+    getMaxScrollDepth() {
+      return maxScrollDepth;
+    },
+
+    /**
+     * @returns {boolean}
+     */
+    hasReachedEnd() {
+      return reachedEnd;
+    },
+
+    /**
+     * Run `listener` whenever a section is first seen or the depth grows.
+     *
+     * @param {() => void} listener
+     */
+    subscribe(listener) {
+      if (typeof listener === "function") {
+        listeners.push(listener);
+      }
+    }
+  };
+};
+
+/** Engagement tracker for the current page, or null when it has no sections. */
+let sectionEngagement = null;
+
+registerPageInitializer(function initSectionEngagement({ signal }) {
+  // Placeholder sections of a post template must not report views.
+  sectionEngagement = isPostTemplatePending() ? null : createSectionEngagement(signal);
+});
+
+/* -------------------------------------------------------------------------- */
+/*  Reading progress (progress bar, read time, minutes left per section)      */
+/* -------------------------------------------------------------------------- */
+const READING_WORDS_PER_MINUTE = 200;
+
+/**
+ * Count the words in an element's visible text.
+ *
+ * @param {Element} element
+ * @returns {number}
+ */
+const countWords = function (element) {
+  const text = element ? element.textContent.replace(/\s+/g, " ").trim() : "";
+  return text ? text.split(" ").length : 0;
+};
+
+/**
+ * Turn a word count into a rounded-up minute figure.
+ *
+ * @param {number} words
+ * @returns {number}
+ */
+const getReadingMinutes = function (words) {
+  return Math.max(0, Math.ceil(words / READING_WORDS_PER_MINUTE));
+};
+
+registerPageInitializer(function initReadingProgress({ signal }) {
+  if (!sectionEngagement) { return; }
+
+  const firstSection = sectionEngagement.entries[0].target;
+  const article = firstSection.closest("article") || document.querySelector("main");
+  const titleElement = article ? article.querySelector("h2.article-title") : null;
+  if (!article || !titleElement) { return; }
+
+  const sections = sectionEngagement.entries.map((entry) => ({
+    entry,
+    words: countWords(entry.target)
+  }));
+  const totalWords = sections.reduce((sum, section) => sum + section.words, 0);
+  if (!totalWords) { return; }
+
+  const readTime = document.createElement("p");
+  readTime.className = "reading-time";
+  readTime.innerHTML = '<ion-icon name="time-outline" aria-hidden="true"></ion-icon><span></span>';
+  readTime.querySelector("span").textContent = `${getReadingMinutes(totalWords)} min read`;
+  titleElement.insertAdjacentElement("afterend", readTime);
+
+  // The bar and label mirror the scroll position, so they stay out of the accessibility tree.
+  const indicator = document.createElement("div");
+  indicator.className = "reading-progress";
+  indicator.setAttribute("aria-hidden", "true");
+  indicator.innerHTML = '<div class="reading-progress__bar"></div>';
+  const bar = indicator.firstElementChild;
+
+  const label = document.createElement("p");
+  label.className = "reading-progress__label";
+  label.setAttribute("aria-hidden", "true");
+
+  document.body.append(indicator, label);
+
+  let rafId = null;
+  let lastLabel = "";
+
+  /**
+   * Share of a section that has scrolled past the middle of the viewport.
+   *
+   * @param {HTMLElement} target
+   * @returns {number} 0–1
+   */
+  const getSectionReadShare = function (target) {
+    const rect = target.getBoundingClientRect();
+    if (!rect.height) { return 0; }
+    const readLine = window.innerHeight / 2;
+    return Math.min(1, Math.max(0, (readLine - rect.top) / rect.height));
+  };
+
+  /**
+   * Recalculate the bar width and the "x min left" label.
+   */
+  const update = function () {
+    rafId = null;
+
+    const articleRect = article.getBoundingClientRect();
+    const scrollable = articleRect.height - window.innerHeight;
+    const progress = scrollable > 0
+      ? Math.min(1, Math.max(0, -articleRect.top / scrollable))
+      : 1;
+    bar.style.transform = `scaleX(${progress})`;
+
+    let current = null;
+    let remainingWords = 0;
+
+    sections.forEach((section) => {
+      const share = getSectionReadShare(section.entry.target);
+      if (share > 0) {
+        current = section;
+      }
+      remainingWords += section.words * (1 - share);
+    });
+
+    const minutesLeft = getReadingMinutes(remainingWords);
+    const nextLabel = current
+      ? `${current.entry.title} · ${minutesLeft ? `${minutesLeft} min left` : "Finished"}`
+      : "";
+
+    if (nextLabel !== lastLabel) {
+      lastLabel = nextLabel;
+      label.textContent = nextLabel;
+      label.classList.toggle("is-visible", Boolean(nextLabel));
+    }
+
+    indicator.classList.toggle("is-visible", progress > 0);
+  };
+
+  /**
+   * Throttle updates to one per frame.
+   */
+  const requestUpdate = function () {
+    if (rafId !== null) { return; }
+    rafId = window.requestAnimationFrame(update);
+  };
+
+  sectionEngagement.subscribe(requestUpdate);
+  window.addEventListener("scroll", requestUpdate, { passive: true, signal });
+  window.addEventListener("resize", requestUpdate, { signal });
+  window.addEventListener("load", requestUpdate, { signal });
+  requestUpdate();
+
+  signal.addEventListener("abort", function () {
+    window.cancelAnimationFrame(rafId);
+    indicator.remove();
+    label.remove();
+  });
+});
+
+/* -------------------------------------------------------------------------- */
+/*  Section deep links + share menu                                           */
+/* -------------------------------------------------------------------------- */
+const SHARE_INTENTS = {
+  linkedin: (url) => `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(url)}`,
+  email: (url, title) => `mailto:?subject=${encodeURIComponent(title)}&body=${encodeURIComponent(`${title}\n${url}`)}`
+};
+
+/**
+ * Record a share through the analytics module.
+ *
+ * @param {string} method - native, copy_link, linkedin or email.
+ * @param {string} contentType - page or section.
+ * @param {string} itemId
+ * @param {string} title
+ */
+const trackShare = function (method, contentType, itemId, title) {
+  analytics.track("share", {
+    category: "sharing",
+    label: title,
+    params: { method, content_type: contentType, item_id: itemId }
+  });
+};
+
+/**
+ * The current page URL without its hash or the analytics debug switch,
+ * used as the base for deep links.
+ *
+ * @returns {string}
+ */
+const getShareBaseUrl = function () {
+  const url = new URL(window.location.href);
+  url.hash = "";
+  url.searchParams.delete(ANALYTICS_DEBUG_PARAM);
+  return url.href;
+};
+
+registerPageInitializer(function initSectionSharing({ signal }) {
+  if (isPostTemplatePending()) { return; }
+
+  const pageTitleElement = document.querySelector("article h2.article-title");
+  const article = pageTitleElement ? pageTitleElement.closest("article") : null;
+  if (!article) { return; }
+
+  const headings = Array.from(article.querySelectorAll(TOC_HEADING_SELECTOR));
+  if (!headings.length) { return; }
+
+  const pageTitle = pageTitleElement.textContent.trim() || document.title;
+
+  headings.forEach((heading) => {
+    const section = heading.closest(".info-grid");
+    const target = heading.id ? heading : section && section.querySelector(".article-title") === heading ? section : null;
+    if (!target || !target.id) { return; }
+
+    const title = heading.textContent.replace(/\s+/g, " ").trim();
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "heading-anchor";
+    button.setAttribute("aria-label", `Copy link to “${title}”`);
+    button.innerHTML = '<ion-icon name="link-outline" aria-hidden="true"></ion-icon>';
+    heading.append(button);
+
+    button.addEventListener("click", async function () {
+      const copied = await copyTextToClipboard(`${getShareBaseUrl()}#${target.id}`);
+
+      // The address bar holds the deep link either way, as a manual fallback.
+      history.replaceState(null, "", `#${target.id}`);
+
+      if (!copied) {
+        showToast("Couldn't copy the link. Copy it from the address bar instead.");
+        return;
+      }
+
+      showToast("Link copied to clipboard");
+      trackShare("copy_link", "section", target.id, title);
+    });
+  });
+
+  const header = pageTitleElement.closest("header") || pageTitleElement.parentElement;
+  const shareMenu = document.createElement("div");
+  shareMenu.className = "share-menu";
+  shareMenu.innerHTML = `
+    <button class="share-menu__toggle" type="button" aria-expanded="false" aria-controls="shareMenuList">
+      <ion-icon name="share-social-outline" aria-hidden="true"></ion-icon>
+      <span>Share</span>
+    </button>
+    <ul class="share-menu__list" id="shareMenuList" hidden>
+      <li><button class="share-menu__item" type="button" data-share-method="copy_link"><ion-icon name="link-outline" aria-hidden="true"></ion-icon>Copy link</button></li>
+      <li><button class="share-menu__item" type="button" data-share-method="linkedin"><ion-icon name="logo-linkedin" aria-hidden="true"></ion-icon>LinkedIn</button></li>
+      <li><button class="share-menu__item" type="button" data-share-method="email"><ion-icon name="mail-outline" aria-hidden="true"></ion-icon>Email</button></li>
+    </ul>
+  `;
+  header.append(shareMenu);
+
+  const toggle = shareMenu.querySelector(".share-menu__toggle");
+  const list = shareMenu.querySelector(".share-menu__list");
+
+  /**
+   * Show or hide the fallback share options.
+   *
+   * @param {boolean} shouldOpen
+   */
+  const setShareMenuOpen = function (shouldOpen) {
+    list.hidden = !shouldOpen;
+    toggle.setAttribute("aria-expanded", String(shouldOpen));
+  };
+
+  /**
+   * Run one of the fallback share methods for the page.
+   *
+   * @param {string} method
+   */
+  const shareWith = async function (method) {
+    const url = getShareBaseUrl();
+
+    if (method === "copy_link") {
+      const copied = await copyTextToClipboard(url);
+      showToast(copied ? "Link copied to clipboard" : "Couldn't copy the link. Copy it from the address bar instead.");
+      if (!copied) { return; }
+    } else if (method === "linkedin") {
+      window.open(SHARE_INTENTS.linkedin(url), "_blank", "noopener,noreferrer");
+    } else if (method === "email") {
+      window.location.href = SHARE_INTENTS.email(url, pageTitle);
+    } else {
+      return;
+    }
+
+    trackShare(method, "page", window.location.pathname, pageTitle);
+  };
+
+  toggle.addEventListener("click", async function () {
+    if (typeof navigator.share !== "function") {
+      setShareMenuOpen(list.hidden);
+      return;
+    }
+
+    try {
+      await navigator.share({ title: pageTitle, url: getShareBaseUrl() });
+      trackShare("native", "page", window.location.pathname, pageTitle);
+    } catch (error) {
+      // AbortError means the reader closed the sheet; anything else gets the fallback menu.
+      if (error && error.name !== "AbortError") {
+        console.warn("Unable to open the native share sheet.", error);
+        setShareMenuOpen(true);
+      }
+    }
+  });
+
+  list.addEventListener("click", function (event) {
+    const item = event.target instanceof Element ? event.target.closest("[data-share-method]") : null;
+    if (!item) { return; }
+
+    setShareMenuOpen(false);
+    shareWith(item.dataset.shareMethod);
+  });
+
+  shareMenu.addEventListener("keydown", function (event) {
+    if (event.key !== "Escape" || list.hidden) { return; }
+    setShareMenuOpen(false);
+    toggle.focus();
+  });
+
+  document.addEventListener("click", function (event) {
+    if (!list.hidden && !shareMenu.contains(event.target)) {
+      setShareMenuOpen(false);
+    }
+  }, { signal });
+});
+
+/* -------------------------------------------------------------------------- */
+/*  Site search overlay (prebuilt local index + current page fallback)        */
+/* -------------------------------------------------------------------------- */
+const SEARCH_INDEX_PATH = "./assets/data/search-index.json";
+const SEARCH_RESULT_LIMIT = 12;
+const SEARCH_SNIPPET_RADIUS = 70;
+const SEARCH_TYPE_LABELS = {
+  project: "Project",
+  blog: "Blog",
+  learning: "Learning Hub",
+  section: "Section"
+};
+
+/**
+ * @typedef {Object} SearchEntry
+ * @property {string} type - project | blog | learning | section
+ * @property {string} title
+ * @property {string} category
+ * @property {string} text
+ * @property {string} url - Page path with an optional `#section` anchor.
+ * @property {string} page
+ */
+
+const siteSearch = (function ensureSiteSearch() {
+  let overlay = document.querySelector("#siteSearch");
+
+  if (!overlay) {
+    const wrapper = document.createElement("div");
+    wrapper.innerHTML = `
+      <div class="site-search" id="siteSearch" aria-hidden="true">
+        <div class="site-search__backdrop" data-search-close></div>
+        <div class="site-search__dialog" role="dialog" aria-modal="true" aria-label="Search this site">
+          <div class="site-search__field">
+            <ion-icon name="search-outline" aria-hidden="true"></ion-icon>
+            <input
+              class="site-search__input"
+              type="search"
+              role="combobox"
+              aria-expanded="false"
+              aria-autocomplete="list"
+              aria-controls="siteSearchResults"
+              aria-label="Search projects, posts and case-study sections"
+              placeholder="Search projects, posts and sections"
+              autocomplete="off"
+              spellcheck="false"
+            >
+            <button class="site-search__close" type="button" data-search-close aria-label="Close search">
+              &times;
+            </button>
+          </div>
+          <p class="site-search__status" aria-live="polite"></p>
+          <ul class="site-search__results" id="siteSearchResults" role="listbox" aria-label="Search results"></ul>
+          <p class="site-search__hint">Press <kbd>/</kbd> to search, <kbd>↑</kbd> <kbd>↓</kbd> to move, <kbd>Enter</kbd> to open.</p>
+        </div>
+      </div>
+    `.trim();
+
+    overlay = wrapper.firstElementChild;
+    document.body.appendChild(overlay);
+  }
+
+  return overlay;
+})();
+
+/**
+ * Return the navbar search buttons, adding one to the navbar when the page
+ * markup has none.
+ *
+ * @returns {NodeListOf<HTMLElement>}
+ */
+const ensureSiteSearchTrigger = function () {
+  const existing = document.querySelectorAll("[data-search-open]");
+  if (existing.length > 0) { return existing; }
+
+  const navbarList = document.querySelector(".navbar-list");
+  if (!navbarList) { return existing; }
+
+  const item = document.createElement("li");
+  item.className = "navbar-item navbar-item--search";
+  item.innerHTML = `
+    <button class="navbar-link navbar-search-btn" type="button" data-search-open aria-haspopup="dialog" aria-label="Search the site" title="Search (/)">
+      <ion-icon name="search-outline" aria-hidden="true"></ion-icon>
+    </button>
+  `.trim();
+  navbarList.appendChild(item);
+
+  return navbarList.querySelectorAll("[data-search-open]");
+};
+
+let siteSearchOpenButtons = [];
+
+if (siteSearch) {
+  const searchInput = siteSearch.querySelector(".site-search__input");
+  const searchResults = siteSearch.querySelector(".site-search__results");
+  const searchStatus = siteSearch.querySelector(".site-search__status");
+
+  /** @type {SearchEntry[]|null} */
+  let searchEntries = null;
+  let searchIndexPromise = null;
+  let activeResultIndex = -1;
+
+  const searchDialog = createDialogController(siteSearch, {
+    panel: siteSearch.querySelector(".site-search__dialog") || siteSearch,
+    initialFocus: () => searchInput,
+    onRequestClose: () => closeSiteSearch()
+  });
+
+  /**
+   * Lowercase and strip accents so "Resume" matches "résumé".
+   *
+   * @param {string} value
+   * @returns {string}
+   */
+  const normalizeSearchText = function (value) {
+    return (value || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "");
+  };
+
+  /**
+   * Split a query into unique search terms.
+   *
+   * @param {string} query
+   * @returns {string[]}
+   */
+  const tokenizeQuery = function (query) {
+    const terms = normalizeSearchText(query).split(/[^a-z0-9]+/).filter(Boolean);
+    return Array.from(new Set(terms));
+  };
+
+  /**
+   * Read trimmed text content from the first matching descendant.
+   *
+   * @param {Element} root
+   * @param {string} selector
+   * @returns {string}
+   */
+  const readText = function (root, selector) {
+    const node = root.querySelector(selector);
+    return node ? node.textContent.replace(/\s+/g, " ").trim() : "";
+  };
+
+  /**
+   * Index the cards and sections on the current page so search keeps working
+   * when the prebuilt index cannot be loaded.
+   *
+   * @returns {SearchEntry[]}
+   */
+  const collectPageEntries = function () {
+    const page = window.location.pathname.split("/").pop() || "index.html";
+    const entries = [];
+
+    document.querySelectorAll("[data-project-item]").forEach((item) => {
+      const link = item.querySelector("a[href]");
+      const title = readText(item, "[data-project-title]");
+      if (!title || !link) { return; }
+      entries.push({
+        type: "project",
+        title,
+        category: readText(item, "[data-project-category]"),
+        text: (item.dataset.tags || "").split(FILTER_TAG_SEPARATOR).join(" "),
+        url: link.getAttribute("href"),
+        page
+      });
+    });
+
+    document.querySelectorAll("[data-blog-item]").forEach((item) => {
+      const link = item.querySelector("[data-blog-link]");
+      const title = readText(item, "[data-blog-title]");
+      if (!title || !link) { return; }
+      entries.push({
+        type: "blog",
+        title,
+        category: readText(item, "[data-blog-category]") || item.dataset.category || "",
+        text: readText(item, "[data-blog-text]"),
+        url: link.dataset.blogTarget || link.getAttribute("href") || page,
+        page
+      });
+    });
+
+    document.querySelectorAll("[data-learning-filter-item]").forEach((item) => {
+      const link = item.querySelector("a");
+      const title = readText(item, ".resource-title");
+      if (!title || !link) { return; }
+      entries.push({
+        type: "learning",
+        title,
+        category: readText(item, ".resource-category") || item.dataset.learningCategory || "",
+        text: "",
+        url: link.dataset.externalUrl || link.getAttribute("href") || page,
+        page
+      });
+    });
+
+    const pageTitle = readText(document, "article.active .article-title");
+    document.querySelectorAll(".info-grid[id]").forEach((section) => {
+      const title = readText(section, ".article-title");
+      if (!title) { return; }
+      const body = section.cloneNode(true);
+      const heading = body.querySelector(".article-title");
+      if (heading) { heading.remove(); }
+      entries.push({
+        type: "section",
+        title,
+        category: pageTitle,
+        text: body.textContent.replace(/\s+/g, " ").trim(),
+        url: `${page}#${section.id}`,
+        page
+      });
+    });
+
+    return entries;
+  };
+
+  /**
+   * Merge prebuilt entries with the live page, preferring live content.
+   *
+   * @param {SearchEntry[]} prebuilt
+   * @param {SearchEntry[]} pageEntries
+   * @returns {SearchEntry[]}
+   */
+  const mergeSearchEntries = function (prebuilt, pageEntries) {
+    const byKey = new Map();
+    prebuilt.concat(pageEntries).forEach((entry) => {
+      byKey.set(`${entry.type}::${entry.url}::${normalizeSearchText(entry.title)}`, entry);
+    });
+    return Array.from(byKey.values()).map((entry) => Object.assign({}, entry, {
+      normalizedTitle: normalizeSearchText(entry.title),
+      normalizedCategory: normalizeSearchText(entry.category),
+      normalizedText: normalizeSearchText(entry.text)
+    }));
+  };
+
+  /**
+   * Load the prebuilt index once; fall back to the current page on failure.
+   *
+   * @returns {Promise<SearchEntry[]>}
+   */
+  const loadSearchIndex = function () {
+    if (searchIndexPromise) { return searchIndexPromise; }
+
+    searchIndexPromise = fetch(SEARCH_INDEX_PATH, { headers: { Accept: "application/json" } })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Search index request failed with status ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((data) => (Array.isArray(data && data.entries) ? data.entries : []))
+      .catch((error) => {
+        console.warn("Unable to load the search index. Searching this page only.", error);
+        return [];
+      })
+      .then((prebuilt) => {
+        searchEntries = mergeSearchEntries(prebuilt, collectPageEntries());
+        return searchEntries;
+      });
+
+    return searchIndexPromise;
+  };
+
+  /**
+   * Score an entry against every term. Every term must match somewhere.
+   *
+   * @param {object} entry
+   * @param {string[]} terms
+   * @param {string} normalizedQuery
+   * @returns {number} 0 when the entry does not match.
+   */
+  const scoreSearchEntry = function (entry, terms, normalizedQuery) {
+    let score = 0;
+    const titleWords = entry.normalizedTitle.split(/[^a-z0-9]+/);
+
+    for (let i = 0; i < terms.length; i++) {
+      const term = terms[i];
+      let termScore = 0;
+
+      if (titleWords.includes(term)) {
+        termScore += 12;
+      } else if (titleWords.some((word) => word.startsWith(term))) {
+        termScore += 9;
+      } else if (entry.normalizedTitle.includes(term)) {
+        termScore += 5;
+      }
+
+      if (entry.normalizedCategory.includes(term)) {
+        termScore += 4;
+      }
+
+      if (entry.normalizedText.includes(term)) {
+        termScore += 2;
+      }
+
+      if (termScore === 0) { return 0; }
+      score += termScore;
+    }
+
+    if (entry.normalizedTitle.startsWith(normalizedQuery)) {
+      score += 6;
+    }
+
+    if (entry.type !== "section") {
+      score += 1;
+    }
+
+    return score;
+  };
+
+  /**
+   * Rank index entries for a query.
+   *
+   * @param {string} query
+   * @returns {{entry: object, terms: string[]}[]}
+   */
+  const searchIndex = function (query) {
+    const terms = tokenizeQuery(query);
+    if (!searchEntries || terms.length === 0) { return []; }
+
+    const normalizedQuery = normalizeSearchText(query).trim();
+
+    return searchEntries
+      .map((entry) => ({ entry, score: scoreSearchEntry(entry, terms, normalizedQuery) }))
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score || a.entry.title.localeCompare(b.entry.title))
+      .slice(0, SEARCH_RESULT_LIMIT)
+      .map((result) => ({ entry: result.entry, terms }));
+  };
+
+  /**
+   * Normalise text for matching and record, for every normalised character,
+   * where its source character starts and ends in the original. Lower-casing
+   * and accent stripping can change the length, so offsets in the normalised
+   * text cannot be used on the original directly.
+   *
+   * @param {string} text
+   * @returns {{haystack: string, starts: number[], ends: number[]}}
+   */
+  const mapSearchText = function (text) {
+    let haystack = "";
+    const starts = [];
+    const ends = [];
+    let index = 0;
+
+    for (const char of text) {
+      const folded = normalizeSearchText(char);
+      for (let i = 0; i < folded.length; i++) {
+        starts.push(index);
+        ends.push(index + char.length);
+      }
+      haystack += folded;
+      index += char.length;
+    }
+
+    return { haystack, starts, ends };
+  };
+
+  /**
+   * Build a text fragment with every term occurrence wrapped in `<mark>`.
+   *
+   * @param {string} text
+   * @param {string[]} terms
+   * @returns {DocumentFragment}
+   */
+  const highlightMatches = function (text, terms) {
+    const fragment = document.createDocumentFragment();
+    const { haystack, starts, ends } = mapSearchText(text);
+    const ranges = [];
+
+    terms.forEach((term) => {
+      let index = haystack.indexOf(term);
+      while (index !== -1) {
+        ranges.push([starts[index], ends[index + term.length - 1]]);
+        index = haystack.indexOf(term, index + term.length);
+      }
+    });
+
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    let cursor = 0;
+    ranges.forEach(([start, end]) => {
+      if (start < cursor) { return; }
+      if (start > cursor) {
+        fragment.appendChild(document.createTextNode(text.slice(cursor, start)));
+      }
+      const mark = document.createElement("mark");
+      mark.textContent = text.slice(start, end);
+      fragment.appendChild(mark);
+      cursor = end;
+    });
+
+    if (cursor < text.length) {
+      fragment.appendChild(document.createTextNode(text.slice(cursor)));
+    }
+
+    return fragment;
+  };
+
+  /**
+   * Cut a short excerpt of the body text around the first matching term.
+   *
+   * @param {string} text
+   * @param {string[]} terms
+   * @returns {string}
+   */
+  const buildSnippet = function (text, terms) {
+    if (!text) { return ""; }
+
+    const { haystack, starts } = mapSearchText(text);
+    const firstHit = terms
+      .map((term) => haystack.indexOf(term))
+      .filter((index) => index !== -1)
+      .sort((a, b) => a - b)[0];
+
+    const center = firstHit === undefined ? 0 : starts[firstHit];
+    const start = Math.max(0, center - SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(text.length, center + SEARCH_SNIPPET_RADIUS);
+
+    return `${start > 0 ? "…" : ""}${text.slice(start, end).trim()}${end < text.length ? "…" : ""}`;
+  };
+
+  /**
+   * Highlight the keyboard-selected result.
+   *
+   * @param {number} nextIndex
+   */
+  const setActiveResult = function (nextIndex) {
+    const options = searchResults.querySelectorAll("[role='option']");
+    if (options.length === 0) {
+      activeResultIndex = -1;
+      searchInput.removeAttribute("aria-activedescendant");
+      return;
+    }
+
+    activeResultIndex = (nextIndex + options.length) % options.length;
+    options.forEach((option, index) => {
+      const isActive = index === activeResultIndex;
+      option.classList.toggle("is-active", isActive);
+      option.setAttribute("aria-selected", String(isActive));
+      if (isActive) {
+        searchInput.setAttribute("aria-activedescendant", option.id);
+        if (typeof option.scrollIntoView === "function") {
+          option.scrollIntoView({ block: "nearest" });
+        }
+      }
+    });
+  };
+
+  /**
+   * Render the ranked results for the current query.
+   */
+  const renderSearchResults = function () {
+    const query = searchInput.value.trim();
+    const results = searchIndex(query);
+
+    searchResults.replaceChildren();
+    activeResultIndex = -1;
+    searchInput.removeAttribute("aria-activedescendant");
+    searchInput.setAttribute("aria-expanded", String(results.length > 0));
+
+    if (!query) {
+      searchStatus.textContent = "";
+      return;
+    }
+
+    if (!searchEntries) {
+      searchStatus.textContent = "Loading search index…";
+      return;
+    }
+
+    searchStatus.textContent = results.length === 0
+      ? `No results for “${query}”.`
+      : `${results.length} result${results.length === 1 ? "" : "s"} for “${query}”.`;
+
+    results.forEach(({ entry, terms }, index) => {
+      const option = document.createElement("li");
+      option.className = "site-search__result";
+      option.id = `siteSearchResult-${index}`;
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", "false");
+
+      const link = document.createElement("a");
+      link.className = "site-search__link";
+      link.href = entry.url;
+      link.tabIndex = -1;
+      link.dataset.searchType = entry.type;
+      if (/^https?:/i.test(entry.url)) {
+        link.target = "_blank";
+        link.rel = "noopener noreferrer";
+      }
+
+      const meta = document.createElement("span");
+      meta.className = "site-search__meta";
+      meta.textContent = [SEARCH_TYPE_LABELS[entry.type] || entry.type, entry.category].filter(Boolean).join(" · ");
+
+      const title = document.createElement("span");
+      title.className = "site-search__title";
+      title.appendChild(highlightMatches(entry.title, terms));
+
+      link.append(meta, title);
+
+      const snippetText = buildSnippet(entry.text, terms);
+      if (snippetText) {
+        const snippet = document.createElement("span");
+        snippet.className = "site-search__snippet";
+        snippet.appendChild(highlightMatches(snippetText, terms));
+        link.appendChild(snippet);
+      }
+
+      option.appendChild(link);
+      searchResults.appendChild(option);
+    });
+
+    if (results.length > 0) {
+      setActiveResult(0);
+    }
+  };
+
+  /**
+   * Follow the selected result, closing the overlay first so same-page anchors scroll.
+   */
+  const openActiveResult = function () {
+    const option = searchResults.querySelectorAll("[role='option']")[activeResultIndex];
+    const link = option ? option.querySelector("a") : null;
+    if (link) {
+      link.click();
+    }
+  };
+
+  /**
+   * Keyboard handling while the overlay is open.
+   *
+   * @param {KeyboardEvent} event
+   */
+  const handleSearchKeydown = function (event) {
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      setActiveResult(activeResultIndex + 1);
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActiveResult(activeResultIndex - 1);
+    } else if (event.key === "Enter" && event.target === searchInput) {
+      event.preventDefault();
+      openActiveResult();
+    }
+  };
+
+  /**
+   * Show the overlay and focus the query field.
+   */
+  const openSiteSearch = function () {
+    if (siteSearch.classList.contains("active")) { return; }
+
+    siteSearch.classList.add("active");
+    siteSearch.setAttribute("aria-hidden", "false");
+    siteSearchOpenButtons.forEach((button) => button.setAttribute("aria-expanded", "true"));
+    siteSearch.addEventListener("keydown", handleSearchKeydown);
+
+    loadSearchIndex().then(renderSearchResults);
+
+    searchDialog.open();
+    window.requestAnimationFrame(() => searchInput.select());
+  };
+
+  /**
+   * Hide the overlay and return focus to whatever opened it.
+   */
+  function closeSiteSearch() {
+    if (!siteSearch.classList.contains("active")) { return; }
+
+    siteSearch.classList.remove("active");
+    siteSearch.setAttribute("aria-hidden", "true");
+    siteSearchOpenButtons.forEach((button) => button.setAttribute("aria-expanded", "false"));
+    siteSearch.removeEventListener("keydown", handleSearchKeydown);
+
+    searchDialog.close();
+  }
+
+  /**
+   * Ignore the `/` shortcut while the visitor is typing somewhere else.
+   *
+   * @param {EventTarget|null} target
+   * @returns {boolean}
+   */
+  const isEditableTarget = function (target) {
+    if (!(target instanceof HTMLElement)) { return false; }
+    if (target.isContentEditable) { return true; }
+    return target.matches("input, textarea, select");
+  };
+
+  // The trigger lives in the navbar, which is replaced on in-place transitions.
+  registerPageInitializer(function initSiteSearchTrigger({ signal }) {
+    siteSearchOpenButtons = ensureSiteSearchTrigger();
+    siteSearchOpenButtons.forEach((button) => {
+      button.setAttribute("aria-expanded", "false");
+      button.addEventListener("click", openSiteSearch);
+    });
+
+    // Results merge in entries from the current page, so rebuild them on demand.
+    searchEntries = null;
+    searchIndexPromise = null;
+
+    signal.addEventListener("abort", closeSiteSearch);
+  });
+
+  siteSearch.querySelectorAll("[data-search-close]").forEach((trigger) => {
+    trigger.addEventListener("click", closeSiteSearch);
+  });
+
+  searchInput.addEventListener("input", function () {
+    if (!searchEntries) {
+      loadSearchIndex().then(renderSearchResults);
+    }
+    renderSearchResults();
+  });
+
+  searchResults.addEventListener("click", function (event) {
+    const link = event.target instanceof Element ? event.target.closest("a") : null;
+    if (link) {
+      closeSiteSearch();
+    }
+  });
+
+  searchResults.addEventListener("mousemove", function (event) {
+    const option = event.target instanceof Element ? event.target.closest("[role='option']") : null;
+    if (!option) { return; }
+    const options = Array.from(searchResults.querySelectorAll("[role='option']"));
+    const index = options.indexOf(option);
+    if (index !== -1 && index !== activeResultIndex) {
+      setActiveResult(index);
+    }
+  });
+
+  document.addEventListener("keydown", function (event) {
+    if (event.key !== "/" || event.metaKey || event.ctrlKey || event.altKey) { return; }
+    if (isEditableTarget(event.target)) { return; }
+    event.preventDefault();
+    openSiteSearch();
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/*  Page transitions (prefetch + in-place navigation between HTML pages)      */
+/* -------------------------------------------------------------------------- */
+const PAGE_CONTENT_SELECTOR = ".main-content";
+const PAGE_SIDEBAR_TOC_SELECTOR = ".sidebar [data-toc]";
+const PAGE_SIDEBAR_TOC_PARENT_SELECTOR = ".sidebar-info_more";
+
+/** Floating UI outside `<main>` that differs between pages. */
+const PAGE_CHROME_SELECTORS = [
+  "[data-theme-toggle]",
+  "[data-scroll-top-btn]",
+  "[data-floating-back-btn]",
+  "[data-floating-cta]"
+];
+
+/** Head elements that describe the page rather than the site. */
+const PAGE_HEAD_SELECTOR = [
+  "meta[name='description']",
+  "meta[name='keywords']",
+  "link[rel='canonical']",
+  "meta[property^='og:']",
+  "meta[name^='twitter:']",
+  "script[type='application/ld+json']",
+  "style"
+].join(",");
+
+/** Prefetched pages kept at once, and how long one stays fresh. */
+const PAGE_TRANSITION_CACHE_LIMIT = 8;
+const PAGE_TRANSITION_CACHE_TTL = 30 * 1000;
+
+/**
+ * Prefetched page HTML keyed by URL without its hash, least recently used
+ * first.
+ *
+ * @type {Map<string, {request: Promise<string>, fetchedAt: number}>}
+ */
+const pageTransitionCache = new Map();
+let pageTransitionId = 0;
+let currentDocumentPath = window.location.pathname;
+
+/**
+ * Resolve the same-origin HTML page a link points to, or null when the link
+ * should navigate normally (new tab, download, other site, same-page anchor…).
+ *
+ * @param {Element|null} link
+ * @returns {URL|null}
+ */
+const getTransitionUrl = function (link) {
+  if (!(link instanceof HTMLAnchorElement) || !link.hasAttribute("href")) { return null; }
+  if (link.hasAttribute("download") || link.closest("[data-no-transition]")) { return null; }
+
+  const target = link.getAttribute("target");
+  if (target && target !== "_self") { return null; }
+
+  let url;
+  try {
+    url = new URL(link.href, window.location.href);
+  } catch (error) {
+    return null;
+  }
+
+  if (url.origin !== window.location.origin) { return null; }
+  if (!/(\.html|\/)$/.test(url.pathname)) { return null; }
+
+  const isSameDocument = url.pathname === window.location.pathname && url.search === window.location.search;
+  return isSameDocument ? null : url;
+};
+
+/**
+ * Fetch a page, sharing a recent prefetch with the navigation that follows.
+ * A navigation takes the entry out of the cache, so coming back to the page
+ * later asks the network (and the service worker) again.
+ *
+ * @param {URL} url
+ * @param {{consume?: boolean}} [options]
+ * @returns {Promise<string>}
+ */
+const fetchPageHtml = function (url, options = {}) {
+  const { consume = false } = options;
+  const key = `${url.origin}${url.pathname}${url.search}`;
+  const cached = pageTransitionCache.get(key);
+  let entry = cached && Date.now() - cached.fetchedAt < PAGE_TRANSITION_CACHE_TTL ? cached : null;
+
+  pageTransitionCache.delete(key);
+
+  if (!entry) {
+    const request = fetch(key, { headers: { Accept: "text/html" } }).then((response) => {
+      const contentType = response.headers ? response.headers.get("Content-Type") || "" : "text/html";
+      if (!response.ok || !contentType.includes("text/html")) {
+        throw new Error(`Page request failed with status ${response.status}`);
+      }
+      return response.text();
+    });
+    entry = { request, fetchedAt: Date.now() };
+
+    // Let a failed request be retried on the next hover or click.
+    request.catch(() => {
+      if (pageTransitionCache.get(key) === entry) {
+        pageTransitionCache.delete(key);
+      }
+    });
+  }
+
+  if (!consume) {
+    // Re-inserting moves the entry to the most recently used end.
+    pageTransitionCache.set(key, entry);
+    while (pageTransitionCache.size > PAGE_TRANSITION_CACHE_LIMIT) {
+      pageTransitionCache.delete(pageTransitionCache.keys().next().value);
+    }
+  }
+
+  return entry.request;
+};
+
+/**
+ * Whether the visitor asked the browser to save data.
+ *
+ * @returns {boolean}
+ */
+const shouldSkipPrefetch = function () {
+  const connection = navigator.connection;
+  return Boolean(connection && (connection.saveData || /2g/.test(connection.effectiveType || "")));
+};
+
+/**
+ * Warm the cache for a link the visitor is about to follow.
+ *
+ * @param {Event} event
+ */
+const prefetchLinkedPage = function (event) {
+  const link = event.target instanceof Element ? event.target.closest("a[href]") : null;
+  const url = getTransitionUrl(link);
+  if (!url || shouldSkipPrefetch()) { return; }
+
+  fetchPageHtml(url).catch(() => {});
+};
+
+/**
+ * Reject destinations the swap cannot reproduce faithfully.
+ *
+ * @param {Document} nextDocument
+ * @returns {HTMLElement}
+ */
+const getTransitionContent = function (nextDocument) {
+  const content = nextDocument.querySelector(PAGE_CONTENT_SELECTOR);
+  if (!content || !document.querySelector(PAGE_CONTENT_SELECTOR)) {
+    throw new Error("Page has no main content region");
+  }
+
+  // Page-specific inline scripts would not run after the swap.
+  const hasInlineScript = Array.from(nextDocument.body.querySelectorAll("script"))
+    .some((script) => !script.src && script.type !== "application/ld+json");
+  if (hasInlineScript) {
+    throw new Error("Page relies on inline scripts");
+  }
+
+  return content;
+};
+
+/**
+ * Bring floating UI in line with the next page, keeping elements both pages
+ * share (and their state) untouched.
+ *
+ * @param {Document} nextDocument
+ */
+const syncPageChrome = function (nextDocument) {
+  const main = document.querySelector("main");
+  const nextMain = nextDocument.querySelector("main");
+  let insertAfter = main;
+
+  PAGE_CHROME_SELECTORS.forEach((selector) => {
+    const current = document.body.querySelector(`:scope > ${selector}`);
+    const next = nextDocument.body.querySelector(`:scope > ${selector}`);
+
+    if (current && !next) {
+      current.remove();
+      return;
+    }
+
+    if (!next || current || !main || !nextMain) { return; }
+
+    const element = document.importNode(next, true);
+    if (next.compareDocumentPosition(nextMain) & Node.DOCUMENT_POSITION_FOLLOWING) {
+      main.before(element);
+    } else {
+      insertAfter.after(element);
+      insertAfter = element;
+    }
+  });
+};
+
+/**
+ * Swap the sidebar quick nav, which only some pages carry.
+ *
+ * @param {Document} nextDocument
+ */
+const syncSidebarToc = function (nextDocument) {
+  const current = document.querySelector(PAGE_SIDEBAR_TOC_SELECTOR);
+  const next = nextDocument.querySelector(PAGE_SIDEBAR_TOC_SELECTOR);
+  const parent = document.querySelector(PAGE_SIDEBAR_TOC_PARENT_SELECTOR);
+
+  if (current) {
+    current.remove();
+  }
+
+  if (next && parent) {
+    parent.appendChild(document.importNode(next, true));
+  }
+};
+
+/**
+ * Replace the title, page metadata, structured data and page styles.
+ *
+ * @param {Document} nextDocument
+ */
+const syncPageHead = function (nextDocument) {
+  const previous = Array.from(document.head.querySelectorAll(PAGE_HEAD_SELECTOR));
+
+  // Add the new styles before dropping the old ones to avoid a flash of unstyled content.
+  nextDocument.head.querySelectorAll(PAGE_HEAD_SELECTOR).forEach((element) => {
+    document.head.appendChild(document.importNode(element, true));
+  });
+  previous.forEach((element) => element.remove());
+
+  document.title = nextDocument.title;
+};
+
+/**
+ * Scroll to the URL's section anchor, a remembered position, or the top.
+ *
+ * @param {URL} url
+ * @param {number|null} scrollY
+ */
+const scrollAfterTransition = function (url, scrollY) {
+  if (typeof scrollY === "number") {
+    window.scrollTo(0, scrollY);
+    return;
+  }
+
+  const target = url.hash ? document.getElementById(safeDecodeURIComponent(url.hash.slice(1))) : null;
+  if (target) {
+    target.scrollIntoView({ block: "start" });
+  } else {
+    window.scrollTo(0, 0);
+  }
+};
+
+/**
+ * Swap in another document's main content, floating UI, sidebar quick nav
+ * and head, then re-run the page initialisers on the new DOM.
+ *
+ * @param {Document} nextDocument
+ */
+const applyPageDocument = function (nextDocument) {
+  const nextContent = getTransitionContent(nextDocument);
+
+  document.querySelector(PAGE_CONTENT_SELECTOR).replaceWith(document.importNode(nextContent, true));
+  syncPageChrome(nextDocument);
+  syncSidebarToc(nextDocument);
+  syncPageHead(nextDocument);
+  currentDocumentPath = window.location.pathname;
+
+  runPageInitializers();
+  restoreActivePage();
+};
+
+/**
+ * Load another page of the site into this document: swap the main content,
+ * keep the sidebar and theme, update history and re-run the initialisers.
+ * Any failure falls back to a normal page load.
+ *
+ * @param {URL} url
+ * @param {{history?: "push"|"none", scrollY?: number|null}} [options]
+ */
+const navigateInPlace = async function (url, options = {}) {
+  const { history: historyMode = "push", scrollY = null } = options;
+  const transitionId = ++pageTransitionId;
+  let hasChangedPage = false;
+
+  try {
+    const html = await fetchPageHtml(url, { consume: true });
+    if (transitionId !== pageTransitionId) { return; }
+
+    const nextDocument = new DOMParser().parseFromString(html, "text/html");
+    // Validate before touching history so an unsuitable page falls back cleanly.
+    getTransitionContent(nextDocument);
+
+    if (historyMode === "push") {
+      // Remember where the visitor was so Back returns to the same spot.
+      history.replaceState(Object.assign({}, history.state, { scrollY: window.scrollY }), "");
+      history.pushState({ pageTransition: true }, "", url.href);
+    }
+    history.scrollRestoration = "manual";
+    hasChangedPage = true;
+
+    applyPageDocument(nextDocument);
+    sessionStorageController.remove(SKIP_SCROLL_RESTORE_KEY);
+    scrollAfterTransition(url, scrollY);
+
+    const activePanel = document.querySelector("[data-page].active");
+    if (activePanel) {
+      activePanel.setAttribute("tabindex", "-1");
+      activePanel.focus({ preventScroll: true });
+    }
+
+    analytics.track("page_view", {
+      category: "navigation",
+      label: defaultPageName || window.location.pathname,
+      params: { page_title: document.title, transition: "in_place" }
+    });
+  } catch (error) {
+    console.warn("Unable to switch pages in place. Loading the page normally.", error);
+    // Once the address bar shows the destination, reloading is enough.
+    if (hasChangedPage || historyMode === "none") {
+      window.location.reload();
+    } else {
+      window.location.assign(url.href);
+    }
+  }
+};
+
+/**
+ * Intercept plain clicks on links to other pages of the site.
+ *
+ * @param {MouseEvent} event
+ */
+const handleTransitionClick = function (event) {
+  if (event.defaultPrevented || event.button !== 0) { return; }
+  if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) { return; }
+
+  const link = event.target instanceof Element ? event.target.closest("a[href]") : null;
+  const url = getTransitionUrl(link);
+  if (!url) { return; }
+
+  event.preventDefault();
+  navigateInPlace(url);
+};
+
+if (typeof window.fetch === "function" && typeof DOMParser === "function"
+  && window.history && typeof window.history.pushState === "function") {
+  document.addEventListener("mouseover", prefetchLinkedPage, { passive: true });
+  document.addEventListener("touchstart", prefetchLinkedPage, { passive: true });
+  document.addEventListener("focusin", prefetchLinkedPage);
+  document.addEventListener("click", handleTransitionClick);
+
+  // Entries within one document (panels, filters, sections) are handled where they are created.
+  window.addEventListener("popstate", function (event) {
+    if (window.location.pathname === currentDocumentPath) { return; }
+
+    const scrollY = event.state && typeof event.state.scrollY === "number" ? event.state.scrollY : null;
+    navigateInPlace(new URL(window.location.href), { history: "none", scrollY });
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/*  Markdown blog posts (posts index, blog cards, post pages)                 */
+/*                                                                            */
+/*  assets/data/posts.json lists the posts; each Markdown file opens with     */
+/*  front matter (title, category, date, cover, coverAlt, tags, excerpt,      */
+/*  layout: blog|article, draft). In the body, `## Heading` starts a section, */
+/*  `### Label` a labelled group, paragraphs holding only images or YouTube   */
+/*  links become the media grid and lists of file links become attachments.   */
+/*  Call the section "Deliverables" to get the attachment card styling.       */
+/* -------------------------------------------------------------------------- */
+const POSTS_INDEX_PATH = "./assets/data/posts.json";
+const BLOG_LIST_SELECTOR = "[data-blog-list]";
+const POST_EXCERPT_LENGTH = 160;
+const POST_SITE_NAME = "Saurabh Saini";
+
+/** Template page each front matter `layout` renders into. */
+const POST_LAYOUT_PAGES = {
+  blog: "blogpage.html",
+  article: "articlepage.html"
+};
+
+/** URL schemes a post may link to; relative URLs are always allowed. */
+const MARKDOWN_SAFE_SCHEMES = ["http:", "https:", "mailto:", "tel:"];
+
+/**
+ * @typedef {Object} BlogPost
+ * @property {string} slug
+ * @property {string} title
+ * @property {string} category
+ * @property {string} date - ISO date (YYYY-MM-DD).
+ * @property {string} cover
+ * @property {string} coverAlt
+ * @property {string[]} tags
+ * @property {string} excerpt
+ * @property {"blog"|"article"} layout
+ * @property {boolean} draft
+ * @property {string} body - Markdown without the front matter.
+ */
+
+/**
+ * Escape text for use in HTML content and attribute values.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = function (text) {
+  return String(text == null ? "" : text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
+/**
+ * Return the URL when a post may link to it, or an empty string for
+ * `javascript:` and other unexpected schemes.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+const getSafeMarkdownUrl = function (url) {
+  const value = String(url || "").trim();
+  const scheme = value.match(/^([a-z][a-z0-9+.-]*:)/i);
+  if (scheme && !MARKDOWN_SAFE_SCHEMES.includes(scheme[1].toLowerCase())) { return ""; }
+  return value;
+};
+
+/**
+ * Read one front matter value: quoted strings, `[a, b]` lists, booleans.
+ *
+ * @param {string} raw
+ * @returns {string|string[]|boolean}
+ */
+const parseFrontMatterValue = function (raw) {
+  const value = raw.trim();
+
+  if (/^\[.*\]$/.test(value)) {
+    return value.slice(1, -1).split(",").map(parseFrontMatterValue).filter((item) => item !== "");
+  }
+  if (value === "true" || value === "false") { return value === "true"; }
+  if (/^(["']).*\1$/.test(value)) { return value.slice(1, -1); }
+  return value;
+};
+
+/**
+ * Split a Markdown file into its front matter and body. Supports the small
+ * YAML subset posts need: `key: value`, quoted values and lists.
+ *
+ * @param {string} source
+ * @returns {{data: Object<string, *>, body: string}}
+ */
+const parseFrontMatter = function (source) {
+  const text = String(source || "").replace(/\r\n?/g, "\n");
+  const match = text.match(/^---\n([\s\S]*?)\n---[ \t]*(?:\n|$)/);
+  if (!match) { return { data: {}, body: text }; }
+
+  const data = {};
+  let listKey = null;
+
+  match[1].split("\n").forEach((line) => {
+    if (!line.trim() || line.trim().startsWith("#")) { return; }
+
+    const listItem = line.match(/^\s+-\s+(.*)$/);
+    if (listItem && listKey) {
+      data[listKey].push(parseFrontMatterValue(listItem[1]));
+      return;
+    }
+
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!pair) { return; }
+
+    listKey = null;
+    if (pair[2] === "") {
+      // `key:` followed by `- item` lines.
+      data[pair[1]] = [];
+      listKey = pair[1];
+    } else {
+      data[pair[1]] = parseFrontMatterValue(pair[2]);
+    }
+  });
+
+  return { data, body: text.slice(match[0].length) };
+};
+
+/**
+ * Whether a URL points away from this site.
+ *
+ * @param {string} url
+ * @returns {boolean}
  */
-const toggleFormButton = function (isEnabled) {
-  if (!formBtn) { return; }
-  if (isEnabled) {
-    formBtn.removeAttribute("disabled");
-  } else {
-    formBtn.setAttribute("disabled", "");
+const isExternalMarkdownUrl = function (url) {
+  try {
+    const parsed = new URL(url.replace(/&amp;/g, "&"), window.location.href);
+    return /^https?:$/.test(parsed.protocol) && parsed.origin !== window.location.origin;
+  } catch (error) {
+    return false;
   }
 };
 
 /**
- * Display a feedback message above the contact form.
+ * Apply bold and italic markers to escaped text.
  *
- * @param {string} title
- * @param {string} message
- * @param {boolean} [isError=false]
+ * @param {string} html
+ * @returns {string}
  */
-const showFormAlert = function (title, message, isError = false) {
-  if (!formAlert || !formAlertTitle || !formAlertMessage) { return; }
-  formAlertTitle.textContent = title;
-  formAlertMessage.textContent = message;
-  formAlert.classList.toggle("form-alert-error", isError);
-  formAlert.removeAttribute("hidden");
+const applyMarkdownEmphasis = function (html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/__(?=\S)([\s\S]*?\S)__/g, "<strong>$1</strong>")
+    .replace(/\*(?=\S)([^*]*?\S)\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?![\w])/g, "$1<em>$2</em>");
 };
 
 /**
- * Hide the feedback message.
+ * Render inline Markdown (code, images, links, bold, italic) to HTML.
+ *
+ * @param {string} text
+ * @returns {string}
  */
-const hideFormAlert = function () {
-  if (!formAlert) { return; }
-  formAlert.setAttribute("hidden", "");
-  formAlert.classList.remove("form-alert-error");
+const renderInlineMarkdown = function (text) {
+  // Finished fragments are parked so emphasis markers inside code or URLs stay literal.
+  const fragments = [];
+  const park = (html) => `\u0000${fragments.push(html) - 1}\u0000`;
+
+  const html = escapeHtml(text)
+    .replace(/`([^`]+)`/g, (match, code) => park(`<code>${code}</code>`))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) => {
+      const url = getSafeMarkdownUrl(src);
+      return url ? park(`<img src="${url}" alt="${alt}" loading="lazy">`) : alt;
+    })
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+      const url = getSafeMarkdownUrl(href);
+      if (!url) { return label; }
+
+      const attributes = isExternalMarkdownUrl(url) ? " target=\"_blank\" rel=\"noopener noreferrer\"" : "";
+      return park(`<a href="${url}"${attributes}>${applyMarkdownEmphasis(label)}</a>`);
+    });
+
+  return applyMarkdownEmphasis(html).replace(/\u0000(\d+)\u0000/g, (match, index) => fragments[Number(index)]);
 };
 
-if (formAlertCloseBtn) {
-  formAlertCloseBtn.addEventListener("click", hideFormAlert);
-}
+const MARKDOWN_FENCE_PATTERN = /^\s*```\s*([\w-]*)\s*$/;
+const MARKDOWN_HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MARKDOWN_RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const MARKDOWN_QUOTE_PATTERN = /^\s*>\s?(.*)$/;
+const MARKDOWN_LIST_PATTERN = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const MARKDOWN_TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
 
 /**
- * Evaluate form validity after each field change to control the submit button.
+ * Split a Markdown table row into trimmed cells.
+ *
+ * @param {string} line
+ * @returns {string[]}
  */
-formInputs.forEach((input) => {
-  input.addEventListener("input", function () {
-    if (!form) { return; }
-    toggleFormButton(form.checkValidity());
-  });
-});
+const splitMarkdownTableRow = function (line) {
+  return line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map((cell) => cell.trim());
+};
 
-if (form) {
-  /**
-   * Handle async submission via Formspree with graceful feedback states.
-   */
-  form.addEventListener("submit", async function (event) {
-    event.preventDefault();
-    if (!form.checkValidity()) { return; }
+/**
+ * Whether a line starts a block other than a paragraph.
+ *
+ * @param {string[]} lines
+ * @param {number} index
+ * @returns {boolean}
+ */
+const isMarkdownBlockStart = function (lines, index) {
+  const line = lines[index];
+  return MARKDOWN_FENCE_PATTERN.test(line)
+    || MARKDOWN_HEADING_PATTERN.test(line)
+    || MARKDOWN_RULE_PATTERN.test(line)
+    || MARKDOWN_QUOTE_PATTERN.test(line)
+    || MARKDOWN_LIST_PATTERN.test(line)
+    || (line.includes("|") && MARKDOWN_TABLE_DIVIDER_PATTERN.test(lines[index + 1] || ""));
+};
 
-    toggleFormButton(false);
-    hideFormAlert();
+/**
+ * Parse Markdown into a flat list of blocks: headings, paragraphs, lists,
+ * quotes, fenced code, tables and rules.
+ *
+ * @param {string} markdown
+ * @returns {Array<Object>}
+ */
+const parseMarkdownBlocks = function (markdown) {
+  const lines = String(markdown || "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let index = 0;
 
-    const formData = new FormData(form);
+  while (index < lines.length) {
+    const line = lines[index];
 
-    trackContactFormSubmit(form, formData);
+    if (!line.trim()) {
+      index += 1;
+      continue;
+    }
 
-    try {
-      const response = await fetch(form.action, {
-        method: form.method || "POST",
-        headers: { Accept: "application/json" },
-        body: formData
-      });
+    const fence = line.match(MARKDOWN_FENCE_PATTERN);
+    if (fence) {
+      const code = [];
+      index += 1;
+      while (index < lines.length && !MARKDOWN_FENCE_PATTERN.test(lines[index])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: "code", language: fence[1], text: code.join("\n") });
+      index += 1;
+      continue;
+    }
 
-      if (response.ok) {
-        form.reset();
-        toggleFormButton(false);
-        showFormAlert("Thank you!", "Your response has been submitted.");
-      } else {
-        const data = await response.json().catch(() => null);
-        const errorMessage = data && data.error ? data.error : "Something went wrong. Please try again later.";
-        toggleFormButton(true);
-        showFormAlert("Oops!", errorMessage, true);
+    const heading = line.match(MARKDOWN_HEADING_PATTERN);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2] });
+      index += 1;
+      continue;
+    }
+
+    if (MARKDOWN_RULE_PATTERN.test(line)) {
+      blocks.push({ type: "rule" });
+      index += 1;
+      continue;
+    }
+
+    if (MARKDOWN_QUOTE_PATTERN.test(line)) {
+      const quote = [];
+      while (index < lines.length && MARKDOWN_QUOTE_PATTERN.test(lines[index])) {
+        quote.push(lines[index].match(MARKDOWN_QUOTE_PATTERN)[1]);
+        index += 1;
       }
-    } catch (error) {
-      toggleFormButton(true);
-      showFormAlert("Oops!", "We couldn't send your message. Please try again later.", true);
+      blocks.push({ type: "quote", text: quote.join("\n") });
+      continue;
+    }
+
+    const listItem = line.match(MARKDOWN_LIST_PATTERN);
+    if (listItem) {
+      const items = [];
+      const ordered = /\d/.test(listItem[1]);
+      while (index < lines.length && lines[index].trim()) {
+        const item = lines[index].match(MARKDOWN_LIST_PATTERN);
+        if (item) {
+          items.push(item[2]);
+        } else if (/^\s+/.test(lines[index]) && items.length) {
+          // Indented continuation of the previous item.
+          items[items.length - 1] += ` ${lines[index].trim()}`;
+        } else {
+          break;
+        }
+        index += 1;
+      }
+      blocks.push({ type: "list", ordered, items });
+      continue;
+    }
+
+    if (line.includes("|") && MARKDOWN_TABLE_DIVIDER_PATTERN.test(lines[index + 1] || "")) {
+      const header = splitMarkdownTableRow(line);
+      const rows = [];
+      index += 2;
+      while (index < lines.length && lines[index].includes("|") && lines[index].trim()) {
+        rows.push(splitMarkdownTableRow(lines[index]));
+        index += 1;
+      }
+      blocks.push({ type: "table", header, rows });
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    index += 1;
+    while (index < lines.length && lines[index].trim() && !isMarkdownBlockStart(lines, index)) {
+      paragraph.push(lines[index].trim());
+      index += 1;
+    }
+    blocks.push({ type: "paragraph", text: paragraph.join(" ") });
+  }
+
+  return blocks;
+};
+
+/**
+ * Read a paragraph made only of images and YouTube links as media items.
+ *
+ * @param {string} text
+ * @returns {Array<{type: "image"|"video", src: string, alt: string, id?: string}>|null}
+ */
+const getMarkdownMediaItems = function (text) {
+  const tokens = text.match(/!?\[[^\]]*\]\([^)\s]+\)|\S+/g) || [];
+  const items = tokens.map((token) => {
+    const image = token.match(/^!\[([^\]]*)\]\(([^)\s]+)\)$/);
+    if (image) {
+      const src = getSafeMarkdownUrl(image[2]);
+      return src ? { type: "image", src, alt: image[1] } : null;
     }
+
+    const link = token.match(/^\[([^\]]*)\]\(([^)\s]+)\)$/);
+    const href = link ? link[2] : token;
+    const id = /^https?:/i.test(href) ? getYouTubeVideoId(href) : null;
+    return id ? { type: "video", src: `https://www.youtube.com/watch?v=${id}`, alt: link ? link[1] : "", id } : null;
   });
-}
-/* -------------------------------------------------------------------------- */
-/*  Media gallery layout toggles                                              */
-/* -------------------------------------------------------------------------- */
-const mediaLayoutButtons = document.querySelectorAll("[data-media-layout]");
-const mediaGallery = document.querySelector("[data-media-gallery]");
 
-if (mediaLayoutButtons.length > 0 && mediaGallery) {
-  mediaLayoutButtons.forEach((button) => {
-    button.addEventListener("click", function () {
-      const targetLayout = this.dataset.mediaLayout;
-      if (!targetLayout) { return; }
+  return items.length && items.every(Boolean) ? items : null;
+};
 
-      mediaGallery.classList.remove("masonry", "two-column");
-      mediaGallery.classList.add(targetLayout);
+/**
+ * Read a list made only of links to files on this site as attachments.
+ *
+ * @param {string[]} items
+ * @returns {Array<{label: string, href: string}>|null}
+ */
+const getMarkdownAttachments = function (items) {
+  const attachments = items.map((item) => {
+    const link = item.trim().match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+    if (!link || /^[a-z][a-z0-9+.-]*:/i.test(link[2])) { return null; }
+
+    const extension = (link[2].split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+    const isFile = extension && (DOWNLOAD_EXTENSIONS.includes(extension.toLowerCase())
+      || Object.prototype.hasOwnProperty.call(LIGHTBOX_MEDIA_TYPES, extension.toLowerCase()));
+    return isFile ? { label: link[1], href: link[2] } : null;
+  });
 
-      mediaLayoutButtons.forEach((btn) => {
-        btn.classList.toggle("is-active", btn === button);
+  return attachments.length && attachments.every(Boolean) ? attachments : null;
+};
+
+/**
+ * Markup for one media grid tile, matching the hand-written templates.
+ *
+ * @param {{type: string, src: string, alt: string, id?: string}} item
+ * @param {boolean} isPrimary
+ * @returns {string}
+ */
+const renderMarkdownMediaItem = function (item, isPrimary) {
+  const primaryClass = isPrimary ? " media-placeholder--primary" : "";
+
+  if (item.type === "video") {
+    const title = item.alt || "YouTube video";
+    // Only full-width videos play inline; smaller tiles open in the lightbox.
+    const embed = isPrimary ? "" : " data-video-embed=\"lightbox\"";
+    return `<div class="media-placeholder${primaryClass} media-placeholder--video" aria-label="Watch this video on YouTube" data-video-title="${escapeHtml(title)}"${embed}>`
+      + `<a class="media-video-link" href="${escapeHtml(item.src)}" target="_blank" rel="noopener noreferrer">`
+      + `<img src="https://img.youtube.com/vi/${escapeHtml(item.id)}/hqdefault.jpg" alt="${escapeHtml(title)}" loading="lazy">`
+      + "<span class=\"media-video-play\" aria-hidden=\"true\"></span></a></div>";
+  }
+
+  return `<div class="media-placeholder${primaryClass}">`
+    + `<img data-lazy-img data-src="${escapeHtml(item.src)}" alt="${escapeHtml(item.alt)}"></div>`;
+};
+
+/**
+ * Lay media out like the templates: one item full width, two side by side,
+ * anything more in rows of three.
+ *
+ * @param {Array<Object>} items
+ * @returns {string}
+ */
+const renderMarkdownMediaGrid = function (items) {
+  let rows;
+  if (items.length === 1) {
+    rows = `<div class="media-row media-row--single">${renderMarkdownMediaItem(items[0], true)}</div>`;
+  } else if (items.length === 2) {
+    rows = `<div class="media-row media-row--double">${items.map((item) => renderMarkdownMediaItem(item, false)).join("")}</div>`;
+  } else {
+    rows = `<div class="media-row media-row--triple">${items.map((item) => renderMarkdownMediaItem(item, false)).join("")}</div>`;
+  }
+
+  return `<div class="media-grid">${rows}</div>`;
+};
+
+/**
+ * Markup for an attachment list.
+ *
+ * @param {Array<{label: string, href: string}>} attachments
+ * @returns {string}
+ */
+const renderMarkdownAttachments = function (attachments) {
+  const links = attachments.map((attachment) => `<div class="info-attachment">`
+    + `<a class="info-attachment-link" href="${escapeHtml(attachment.href)}" target="_blank" rel="noopener noreferrer">${renderInlineMarkdown(attachment.label)}</a>`
+    + "</div>");
+  return `<div class="info-attachments-grid">${links.join("")}</div>`;
+};
+
+/**
+ * Markup for a block that is not a heading, media or attachment list.
+ *
+ * @param {Object} block
+ * @returns {string}
+ */
+const renderMarkdownBlock = function (block) {
+  switch (block.type) {
+    case "paragraph":
+      return `<p>${renderInlineMarkdown(block.text)}</p>`;
+    case "list": {
+      const tag = block.ordered ? "ol" : "ul";
+      return `<${tag}>${block.items.map((item) => `<li>${renderInlineMarkdown(item)}</li>`).join("")}</${tag}>`;
+    }
+    case "quote":
+      return `<blockquote>${block.text.split(/\n\s*\n/).map((text) => `<p>${renderInlineMarkdown(text)}</p>`).join("")}</blockquote>`;
+    case "code": {
+      const language = block.language ? ` class="language-${escapeHtml(block.language)}"` : "";
+      return `<pre><code${language}>${escapeHtml(block.text)}</code></pre>`;
+    }
+    case "table": {
+      // An empty first header cell turns the first column into row headers, as in the templates.
+      const hasRowHeaders = block.header[0] === "";
+      const head = block.header.map((cell) => `<th scope="col">${renderInlineMarkdown(cell)}</th>`).join("");
+      const body = block.rows.map((row) => `<tr>${row.map((cell, cellIndex) => (hasRowHeaders && cellIndex === 0
+        ? `<th scope="row">${renderInlineMarkdown(cell)}</th>`
+        : `<td>${renderInlineMarkdown(cell)}</td>`)).join("")}</tr>`).join("");
+      return `<table class="info-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+    case "heading":
+      return `<h4 class="h4">${renderInlineMarkdown(block.text)}</h4>`;
+    case "rule":
+      return "<hr>";
+    default:
+      return "";
+  }
+};
+
+/**
+ * Group the Markdown blocks into `.info-grid` sections: `##` headings open a
+ * section, `###` headings a labelled group inside it.
+ *
+ * @param {Array<Object>} blocks
+ * @returns {string}
+ */
+const renderMarkdownSections = function (blocks) {
+  const sections = [];
+  const usedIds = new Set(["core-identity"]);
+
+  const currentSection = () => {
+    if (!sections.length) {
+      sections.push({ title: "", items: [] });
+    }
+    return sections[sections.length - 1];
+  };
+  const currentGroup = () => {
+    const section = currentSection();
+    const last = section.items[section.items.length - 1];
+    if (last && last.kind === "group") { return last; }
+
+    const group = { kind: "group", label: "", parts: [] };
+    section.items.push(group);
+    return group;
+  };
+
+  blocks.forEach((block) => {
+    if (block.type === "heading" && block.level <= 2) {
+      sections.push({ title: block.text, items: [] });
+      return;
+    }
+    if (block.type === "heading" && block.level === 3) {
+      currentSection().items.push({ kind: "group", label: block.text, parts: [] });
+      return;
+    }
+
+    const media = block.type === "paragraph" ? getMarkdownMediaItems(block.text) : null;
+    if (media) {
+      currentSection().items.push({ kind: "media", items: media });
+      return;
+    }
+
+    const attachments = block.type === "list" ? getMarkdownAttachments(block.items) : null;
+    if (attachments) {
+      currentGroup().parts.push({ isValue: false, html: renderMarkdownAttachments(attachments) });
+      return;
+    }
+
+    currentGroup().parts.push({ isValue: true, html: renderMarkdownBlock(block) });
+  });
+
+  return sections.map((section) => {
+    let id = slugify(section.title) || "section";
+    if (!/^[a-z]/.test(id)) { id = `section-${id}`; }
+    let uniqueId = id;
+    for (let count = 2; usedIds.has(uniqueId); count++) {
+      uniqueId = `${id}-${count}`;
+    }
+    usedIds.add(uniqueId);
+
+    const title = section.title ? `<h3 class="h3 article-title">${renderInlineMarkdown(section.title)}</h3>` : "";
+    const items = section.items.map((item) => {
+      if (item.kind === "media") { return renderMarkdownMediaGrid(item.items); }
+
+      // Consecutive text blocks share one value column; attachments sit beside it.
+      const parts = [];
+      item.parts.forEach((part) => {
+        const previous = parts[parts.length - 1];
+        if (part.isValue && previous && previous.isValue) {
+          previous.html += part.html;
+        } else {
+          parts.push(Object.assign({}, part));
+        }
       });
+
+      const label = item.label ? `<span class="info-label">${renderInlineMarkdown(item.label)}</span>` : "";
+      const content = parts.map((part) => (part.isValue
+        ? `<div class="info-value info-value--markdown">${part.html}</div>`
+        : part.html)).join("");
+      return `<div class="info-group">${label}${content}</div>`;
     });
-  });
-}
-/* -------------------------------------------------------------------------- */
-/*  Global page navigation + state persistence                                */
-/* -------------------------------------------------------------------------- */
-const navigationLinks = document.querySelectorAll("[data-nav-link]");
-const pages = document.querySelectorAll("[data-page]");
 
-const ACTIVE_PAGE_KEY = "active-page";
-const SCROLL_POSITION_KEY = "page-scroll-position";
-const SKIP_SCROLL_RESTORE_KEY = "skip-scroll-restore";
+    return `<div class="info-grid" id="${uniqueId}">${title}${items.join("")}</div>`;
+  }).join("");
+};
 
 /**
- * Normalize nav target strings for consistent comparisons.
+ * Human-readable publish date, or the raw value when it is not an ISO date.
  *
- * @param {string} value
+ * @param {string} date
  * @returns {string}
  */
-const normalizePageName = function (value) {
-  return (typeof value === "string" ? value : "")
-    .trim()
-    .toLowerCase();
+const formatPostDate = function (date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) { return date; }
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    timeZone: "UTC"
+  });
 };
 
 /**
- * Determine the target page name from a navigation link element.
+ * First paragraph of a post as plain text, shortened for cards and metadata.
  *
- * @param {HTMLElement} link
+ * @param {string} body
  * @returns {string}
  */
-const getNavTarget = function (link) {
-  if (!(link instanceof HTMLElement)) { return ""; }
-  const explicitTarget = normalizePageName(link.dataset.navTarget);
-  if (explicitTarget) { return explicitTarget; }
-  return normalizePageName(link.textContent);
+const getPostExcerpt = function (body) {
+  const paragraph = parseMarkdownBlocks(body)
+    .find((block) => block.type === "paragraph" && !getMarkdownMediaItems(block.text));
+  if (!paragraph) { return ""; }
+
+  const text = paragraph.text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/[*_`]/g, "")
+    .trim();
+  if (text.length <= POST_EXCERPT_LENGTH) { return text; }
+  return `${text.slice(0, POST_EXCERPT_LENGTH).replace(/\s+\S*$/, "")}…`;
 };
 
 /**
- * Safe sessionStorage wrapper to avoid runtime errors in private browsing.
+ * Page a post opens on, e.g. `blogpage.html?post=my-post`.
+ *
+ * @param {BlogPost} post
+ * @returns {string}
  */
-const sessionStorageController = (function createSessionStorageController() {
-  try {
-    const testKey = "__page_state__";
-    sessionStorage.setItem(testKey, testKey);
-    sessionStorage.removeItem(testKey);
+const getPostUrl = function (post) {
+  return `${POST_LAYOUT_PAGES[post.layout]}?${POST_QUERY_PARAM}=${encodeURIComponent(post.slug)}`;
+};
 
-    return {
-      get(key) {
-        try {
-          return sessionStorage.getItem(key);
-        } catch (error) {
-          console.warn("Unable to read from sessionStorage.", error);
-          return null;
-        }
-      },
-      set(key, value) {
-        try {
-          sessionStorage.setItem(key, value);
-        } catch (error) {
-          console.warn("Unable to write to sessionStorage.", error);
-        }
-      },
-      remove(key) {
-        try {
-          sessionStorage.removeItem(key);
-        } catch (error) {
-          console.warn("Unable to remove from sessionStorage.", error);
-        }
-      }
-    };
-  } catch (error) {
-    console.warn("Session storage is not available. Page state will not persist.", error);
-    return {
-      get() { return null; },
-      set() {},
-      remove() {}
-    };
+/**
+ * Load the list of posts.
+ *
+ * @param {AbortSignal} signal
+ * @returns {Promise<Array<{slug: string, file: string}>>}
+ */
+const loadPostsIndex = async function (signal) {
+  const response = await fetch(POSTS_INDEX_PATH, { headers: { Accept: "application/json" }, signal });
+  if (!response.ok) {
+    throw new Error(`Posts index request failed with status ${response.status}`);
   }
-})();
+
+  const data = await response.json();
+  const posts = data && Array.isArray(data.posts) ? data.posts : [];
+  return posts.filter((entry) => entry && typeof entry.slug === "string" && typeof entry.file === "string");
+};
 
 /**
- * Activate a page article and matching nav link.
+ * Load one post and read its front matter.
+ *
+ * @param {{slug: string, file: string}} entry
+ * @param {AbortSignal} signal
+ * @returns {Promise<BlogPost>}
+ */
+const loadPost = async function (entry, signal) {
+  const response = await fetch(entry.file, { headers: { Accept: "text/markdown, text/plain" }, signal });
+  if (!response.ok) {
+    throw new Error(`Post request failed with status ${response.status}`);
+  }
+
+  const { data, body } = parseFrontMatter(await response.text());
+  const tags = Array.isArray(data.tags) ? data.tags : String(data.tags || "").split(",");
+
+  return {
+    slug: entry.slug,
+    title: String(data.title || entry.slug),
+    category: String(data.category || ""),
+    date: String(data.date || ""),
+    cover: getSafeMarkdownUrl(data.cover),
+    coverAlt: String(data.coverAlt || data.title || ""),
+    tags: tags.map((tag) => String(tag).trim()).filter(Boolean),
+    excerpt: String(data.excerpt || getPostExcerpt(body)),
+    layout: Object.prototype.hasOwnProperty.call(POST_LAYOUT_PAGES, data.layout) ? data.layout : "blog",
+    draft: data.draft === true,
+    body
+  };
+};
+
+/**
+ * Load every published post, newest first. A broken post is skipped rather
+ * than taking the whole list down.
+ *
+ * @param {AbortSignal} signal
+ * @returns {Promise<BlogPost[]>}
+ */
+const loadPublishedPosts = async function (signal) {
+  const entries = await loadPostsIndex(signal);
+  const posts = await Promise.all(entries.map((entry) => loadPost(entry, signal).catch((error) => {
+    if (!signal.aborted) {
+      console.warn(`Unable to load the post "${entry.slug}".`, error);
+    }
+    return null;
+  })));
+
+  return posts
+    .filter((post) => post && !post.draft)
+    .sort((a, b) => b.date.localeCompare(a.date));
+};
+
+/**
+ * Build a blog card with the same markup as the hand-written ones.
+ *
+ * @param {Document} ownerDocument
+ * @param {BlogPost} post
+ * @returns {HTMLLIElement}
+ */
+const createBlogCard = function (ownerDocument, post) {
+  const item = ownerDocument.createElement("li");
+  item.className = "blog-post-item active";
+  item.setAttribute("data-blog-item", "");
+  item.setAttribute("data-filter-item", "");
+  item.dataset.category = normalizeFilterValue(post.category);
+  item.dataset.tags = post.tags.map(normalizeFilterValue).filter(Boolean).join(FILTER_TAG_SEPARATOR);
+  item.dataset.postSlug = post.slug;
+
+  const href = escapeHtml(getPostUrl(post));
+  const cover = post.cover || LAZY_IMAGE_FALLBACK_SRC;
+  const date = post.date ? `<span class="dot"></span><time datetime="${escapeHtml(post.date)}" data-blog-date>${escapeHtml(formatPostDate(post.date))}</time>` : "";
+
+  item.innerHTML = `<a class="resource-card" href="${href}" data-blog-link data-blog-target="${href}">`
+    + "<figure class=\"blog-banner-box\"><div class=\"blog-item-icon-box\"><ion-icon name=\"eye-outline\"></ion-icon></div>"
+    + `<img data-src="${escapeHtml(cover)}" alt="${escapeHtml(post.coverAlt)}" data-lazy-img data-blog-img></figure>`
+    + "<div class=\"blog-content\"><div class=\"blog-meta\">"
+    + `<p class="blog-category" data-blog-category>${escapeHtml(post.category)}</p>${date}</div>`
+    + `<h3 class="h3 blog-item-title" data-blog-title>${escapeHtml(post.title)}</h3>`
+    + `<p class="blog-text" data-blog-text>${escapeHtml(post.excerpt)}</p>`
+    + "</div></a>";
+
+  return item;
+};
+
+/**
+ * Point the page title and sharing metadata at the post.
+ *
+ * @param {BlogPost} post
+ */
+const setPostHead = function (post) {
+  const title = `${post.title} | ${POST_SITE_NAME}`;
+  const image = post.cover ? new URL(post.cover, window.location.href).href : "";
+  const values = {
+    "meta[name='description']": post.excerpt,
+    "meta[property='og:title']": title,
+    "meta[name='twitter:title']": title,
+    "meta[property='og:description']": post.excerpt,
+    "meta[name='twitter:description']": post.excerpt,
+    "meta[property='og:url']": window.location.href,
+    "meta[property='og:image']": image,
+    "meta[name='twitter:image']": image
+  };
+
+  document.title = title;
+  Object.keys(values).forEach((selector) => {
+    const element = document.head.querySelector(selector);
+    if (element && values[selector]) {
+      element.setAttribute("content", values[selector]);
+    }
+  });
+};
+
+/**
+ * Replace the template article's placeholder copy with a post.
  *
- * @param {string} pageName
- * @param {{scrollToTop?: boolean}} [options]
+ * @param {HTMLElement} article
+ * @param {BlogPost} post
  */
-const activatePage = function (pageName, options = {}) {
-  const { scrollToTop = true } = options;
-  const normalizedPageName = normalizePageName(pageName);
-  if (!normalizedPageName) { return; }
-
-  for (let i = 0; i < pages.length; i++) {
-    const pageIdentifier = normalizePageName(pages[i].dataset.page);
-    const shouldActivate = pageIdentifier === normalizedPageName;
-    pages[i].classList.toggle("active", shouldActivate);
+const renderPostArticle = function (article, post) {
+  const identity = [["Title", escapeHtml(post.title)], ["Category", escapeHtml(post.category)]];
+  if (post.date) {
+    identity.push(["Date Published", `<time datetime="${escapeHtml(post.date)}">${escapeHtml(formatPostDate(post.date))}</time>`]);
   }
-
- /**
-  * Attach click handlers to switch between single-page panels.
-  */
- for (let i = 0; i < navigationLinks.length; i++) {
-    const navTarget = getNavTarget(navigationLinks[i]);
-    const shouldActivate = navTarget === normalizedPageName;
-    navigationLinks[i].classList.toggle("active", shouldActivate);
+  if (post.tags.length) {
+    identity.push(["Tags", `<span class="tag-list">${post.tags.map((tag) => `<span class="tag">${escapeHtml(tag)}</span>`).join("")}</span>`]);
   }
 
-  sessionStorageController.set(ACTIVE_PAGE_KEY, normalizedPageName);
-
-  if (scrollToTop) {
-    window.scrollTo(0, 0);
+  const identityHtml = identity
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<div class="core-identity-item"><span class="info-label">${label}</span><span class="info-value">${value}</span></div>`)
+    .join("");
+  const coverHtml = post.cover
+    ? `<div class="media-placeholder media-placeholder--primary"><img data-lazy-img data-src="${escapeHtml(post.cover)}" alt="${escapeHtml(post.coverAlt)}"></div>`
+    : "";
+
+  const heading = article.querySelector("header .article-title");
+  if (heading) {
+    heading.textContent = post.title;
   }
-}
-
-for (let i = 0; i < navigationLinks.length; i++) {
-  const currentLink = navigationLinks[i];
-  const targetPage = getNavTarget(currentLink);
-
-  if (!targetPage) { continue; }
-
-  currentLink.addEventListener("click", function () {
-    activatePage(targetPage);
-    if (targetPage === "resume" && typeof window.gtag === "function") {
-      try {
-        window.gtag("event", "resume_nav_click", {
-          event_category: "navigation",
-          event_label: "Resume navbar link",
-          transport_type: "beacon",
-          page_location: window.location.href,
-          page_path: window.location.pathname
-        });
-      } catch (error) {
-        console.warn("Failed to send Resume nav click event to GA4.", error);
-      }
+  Array.from(article.childNodes).forEach((child) => {
+    if (child.nodeName !== "HEADER") {
+      child.remove();
     }
   });
-}
 
+  article.dataset.postSlug = post.slug;
+  article.removeAttribute("aria-busy");
+  delete article.dataset.postState;
+  article.insertAdjacentHTML("beforeend", `<section class="content-block">${coverHtml}`
+    + `<div class="info-grid" id="core-identity">${identityHtml}</div>`
+    + `${renderMarkdownSections(parseMarkdownBlocks(post.body))}</section>`);
+};
 
 /**
- * Restore scroll position saved before navigation.
+ * Replace the template body with a message and a way back to the blog.
+ *
+ * @param {HTMLElement} article
  */
-const restoreScrollPosition = function () {
-  const skipRestore = sessionStorageController.get(SKIP_SCROLL_RESTORE_KEY) === "true";
-  if (skipRestore) {
-    sessionStorageController.remove(SKIP_SCROLL_RESTORE_KEY);
-    sessionStorageController.remove(SCROLL_POSITION_KEY);
-    return;
+const showPostUnavailable = function (article) {
+  const heading = article.querySelector("header .article-title");
+  if (heading) {
+    heading.textContent = "Post not found";
   }
+  Array.from(article.childNodes).forEach((child) => {
+    if (child.nodeName !== "HEADER") {
+      child.remove();
+    }
+  });
 
-  const storedValue = sessionStorageController.get(SCROLL_POSITION_KEY);
-  if (!storedValue) { return; }
-
-  const y = parseInt(storedValue, 10);
-  if (Number.isNaN(y)) { return; }
-
-  window.scrollTo({ top: y, left: 0, behavior: "auto" });
+  article.insertAdjacentHTML("beforeend", "<section class=\"content-block\"><div class=\"info-grid\">"
+    + "<p class=\"info-value\">This post could not be loaded. It may have moved or been unpublished.</p>"
+    + "<p class=\"info-value\"><a href=\"blog.html\">Browse all posts</a></p></div></section>");
+  article.removeAttribute("aria-busy");
+  article.dataset.postState = "error";
 };
 
-window.addEventListener("beforeunload", function () {
-  const skipRestore = sessionStorageController.get(SKIP_SCROLL_RESTORE_KEY) === "true";
-  if (skipRestore) {
-    sessionStorageController.remove(SCROLL_POSITION_KEY);
-    return;
+/**
+ * Render a post into a copy of the live page content and swap it in. The copy
+ * carries none of the old listeners, so re-running the initialisers binds it
+ * once, and the table of contents, reading progress and share menu pick up
+ * the post.
+ *
+ * @param {BlogPost} post
+ */
+const swapInRenderedPost = function (post) {
+  const content = document.querySelector(PAGE_CONTENT_SELECTOR);
+  const nextContent = content ? content.cloneNode(true) : null;
+  const article = nextContent ? nextContent.querySelector(POST_TEMPLATE_SELECTOR) : null;
+  if (!article) {
+    throw new Error("Page has no post template");
   }
 
-  sessionStorageController.set(SCROLL_POSITION_KEY, String(window.scrollY || window.pageYOffset));
-});
+  renderPostArticle(article, post);
+  content.replaceWith(nextContent);
+  setPostHead(post);
 
-/**
- * Restore the previously active page from session storage.
- */
-const restoreActivePage = function () {
-  const storedPage = sessionStorageController.get(ACTIVE_PAGE_KEY);
-  const normalizedStoredPage = normalizePageName(storedPage);
+  runPageInitializers();
+  restoreActivePage();
 
-  if (normalizedStoredPage) {
-    activatePage(normalizedStoredPage, { scrollToTop: false });
+  if (window.location.hash) {
+    scrollAfterTransition(new URL(window.location.href), null);
   }
 };
 
-window.addEventListener("load", function () {
-  restoreActivePage();
-  restoreScrollPosition();
-});
-
-window.addEventListener("pageshow", function (event) {
-  if (event.persisted) {
-    const skipRestore = sessionStorageController.get(SKIP_SCROLL_RESTORE_KEY) === "true";
-    if (skipRestore) {
-      sessionStorageController.remove(SKIP_SCROLL_RESTORE_KEY);
-      sessionStorageController.remove(SCROLL_POSITION_KEY);
+/**
+ * Render the published posts into the blog list.
+ *
+ * @param {HTMLElement} list
+ * @param {AbortSignal} signal
+ */
+const renderBlogIndex = async function (list, signal) {
+  try {
+    const posts = await loadPublishedPosts(signal);
+    if (signal.aborted) { return; }
+    if (!posts.length) {
+      showListStatus(list, "No posts have been published yet.");
       return;
     }
 
-    restoreActivePage();
-    restoreScrollPosition();
-  }
-});
-
-/* -------------------------------------------------------------------------- */
-/*  Single-page templates (scroll synced sidebar nav)                         */
-/* -------------------------------------------------------------------------- */
-const singlePageNavbar = document.querySelector(".single-page-navbar");
-const singlePageSidebar = document.querySelector(".single-page-sidebar");
-
-if (singlePageNavbar && singlePageSidebar) {
-  /**
-   * Allow mouse wheel scrolling inside the sidebar when content overflows.
-   *
-   * @param {WheelEvent} event
-   */
-  const handleNavbarScroll = function (event) {
-    const delta = event.deltaY || event.deltaX;
-
-    if (!delta) { return; }
-    if (singlePageSidebar.scrollHeight <= singlePageSidebar.clientHeight) { return; }
+    list.replaceChildren(...posts.map((post) => createBlogCard(document, post)));
+    list.dataset.postsRendered = "true";
+    list.querySelectorAll("[data-blog-item]").forEach(bindBlogCard);
+    observeLazyImages(list);
 
-    event.preventDefault();
-    singlePageSidebar.scrollTop += delta;
-  };
+    // The filter buttons are unchanged; only the items they show are new.
+    filterItems = document.querySelectorAll("[data-filter-item]");
+    applyFilterState();
+  } catch (error) {
+    if (signal.aborted) { return; }
+    console.warn("Unable to render the blog posts from Markdown.", error);
+    showListStatus(list, "Posts couldn't be loaded. Please refresh the page to try again.");
+  }
+};
 
-  singlePageNavbar.addEventListener("wheel", handleNavbarScroll, { passive: false });
-}
+/**
+ * Render the post named in the URL into this template page.
+ *
+ * @param {string} slug
+ * @param {AbortSignal} signal
+ */
+const renderBlogPost = async function (slug, signal) {
+  try {
+    const entries = await loadPostsIndex(signal);
+    const entry = entries.find((item) => item.slug === slug);
+    if (!entry) {
+      throw new Error(`No post named "${slug}" in the posts index`);
+    }
 
-const sectionNavLinks = document.querySelectorAll("[data-section-link]");
+    const post = await loadPost(entry, signal);
+    if (signal.aborted) { return; }
 
-if (sectionNavLinks.length > 0) {
-  const sectionEntries = [];
-  let activeLink = null;
-  let pendingTargetEntry = null;
-  let scrollRafId = null;
-  let resizeRafId = null;
+    swapInRenderedPost(post);
+  } catch (error) {
+    if (signal.aborted) { return; }
+    console.warn(`Unable to load the blog post "${slug}".`, error);
 
-  /**
-   * Calculate computed scroll-margin-top value for smooth scroll offset.
-   *
-   * @param {Element} element
-   * @returns {number}
-   */
-  const getScrollMarginTop = function (element) {
-    if (!element || typeof window === "undefined") { return 0; }
-    const computed = window.getComputedStyle(element);
-    const value = computed ? parseFloat(computed.scrollMarginTop || "0") : 0;
-    return Number.isFinite(value) ? value : 0;
-  };
+    // Show the message in the article on the page now, not the one this render started from.
+    const article = document.querySelector(POST_TEMPLATE_SELECTOR);
+    if (article) {
+      showPostUnavailable(article);
+    }
+  }
+};
 
-  /**
-   * Update the highlight state for the section navigation.
-   *
-   * @param {HTMLElement|null} nextLink
-   */
-  const setActiveSectionLink = function (nextLink) {
-    if (!nextLink || nextLink === activeLink) { return; }
-    activeLink = nextLink;
-    sectionNavLinks.forEach((link) => {
-      link.classList.toggle("active", link === nextLink);
-    });
-  };
+registerPageInitializer(function initBlogIndex({ signal }) {
+  const list = document.querySelector(BLOG_LIST_SELECTOR);
+  if (!list || list.dataset.postsRendered === "true") { return; }
+  if (typeof window.fetch !== "function") { return; }
 
-  /**
-   * Refresh the cached offset positions for each section target.
-   */
-  const computeSectionOffsets = function () {
-    const scrollY = window.scrollY || window.pageYOffset || 0;
-    sectionEntries.forEach((entry) => {
-      const rect = entry.target.getBoundingClientRect();
-      entry.offset = rect.top + scrollY - entry.marginTop;
-    });
-    sectionEntries.sort((a, b) => a.offset - b.offset);
-  };
+  renderBlogIndex(list, signal);
+});
 
-  /**
-   * Sync the active link based on current scroll position.
-   */
-  const syncActiveLink = function () {
-    if (sectionEntries.length === 0) { return; }
+registerPageInitializer(function initBlogPost({ signal }) {
+  const article = document.querySelector(POST_TEMPLATE_SELECTOR);
+  if (!article || typeof window.fetch !== "function") { return; }
 
-    if (pendingTargetEntry) {
-      const currentScroll = window.scrollY || window.pageYOffset || 0;
-      const distance = Math.abs(currentScroll - pendingTargetEntry.offset);
-      if (distance > 4) {
-        return;
-      }
-      pendingTargetEntry = null;
+  // Back/forward between two posts keeps the page path, which the page router ignores.
+  window.addEventListener("popstate", function () {
+    const slug = new URLSearchParams(window.location.search).get(POST_QUERY_PARAM) || "";
+    if (slug !== (article.dataset.postSlug || "")) {
+      navigateInPlace(new URL(window.location.href), { history: "none" });
     }
+  }, { signal });
 
-    const scrollPosition = (window.scrollY || window.pageYOffset || 0) + 12;
-    let currentEntry = sectionEntries[0];
-
-    for (let i = 0; i < sectionEntries.length; i++) {
-      const entry = sectionEntries[i];
-      if (scrollPosition >= entry.offset - 4) {
-        currentEntry = entry;
-      } else {
-        break;
-      }
-    }
+  const slug = new URLSearchParams(window.location.search).get(POST_QUERY_PARAM);
+  if (!slug || article.dataset.postSlug === slug) { return; }
 
-    if (currentEntry && currentEntry.link) {
-      setActiveSectionLink(currentEntry.link);
-    }
-  };
+  article.setAttribute("aria-busy", "true");
+  article.dataset.postState = "loading";
+  renderBlogPost(slug, signal);
+});
 
-  /**
-   * Request animation frame to update active section highlight.
-   */
-  const requestSync = function () {
-    if (scrollRafId !== null) { return; }
-    scrollRafId = window.requestAnimationFrame(function () {
-      scrollRafId = null;
-      syncActiveLink();
-    });
-  };
+/* -------------------------------------------------------------------------- */
+/*  Offline support (service worker + "new version" prompt)                   */
+/* -------------------------------------------------------------------------- */
+const SERVICE_WORKER_PATH = "./sw.js";
+const SERVICE_WORKER_UPDATE_INTERVAL = 60 * 60 * 1000;
 
-  /**
-   * Request animation frame to recalculate section offsets.
-   */
-  const requestRecompute = function () {
-    if (resizeRafId !== null) { return; }
-    resizeRafId = window.requestAnimationFrame(function () {
-      resizeRafId = null;
-      computeSectionOffsets();
-      syncActiveLink();
-    });
-  };
+/**
+ * Offer to reload onto a newly installed version of the site. The waiting
+ * worker only takes over once the visitor agrees, so a half-read page never
+ * changes underneath them.
+ *
+ * @param {ServiceWorker} worker
+ */
+const showUpdatePrompt = function (worker) {
+  if (document.querySelector(".update-prompt")) { return; }
+
+  const prompt = document.createElement("div");
+  prompt.className = "update-prompt";
+  prompt.setAttribute("role", "status");
+  prompt.setAttribute("aria-live", "polite");
+  prompt.innerHTML = `
+    <p class="update-prompt__text">A new version of this site is available.</p>
+    <div class="update-prompt__actions">
+      <button class="update-prompt__btn update-prompt__btn--primary" type="button" data-update-accept>Reload</button>
+      <button class="update-prompt__btn" type="button" data-update-dismiss>Later</button>
+    </div>
+  `;
+  document.body.append(prompt);
+
+  prompt.querySelector("[data-update-accept]").addEventListener("click", function () {
+    this.disabled = true;
+    worker.postMessage({ type: "SKIP_WAITING" });
+  });
 
-  sectionNavLinks.forEach((link) => {
-    const href = link.getAttribute("href");
-    if (!href || !href.startsWith("#")) { return; }
+  prompt.querySelector("[data-update-dismiss]").addEventListener("click", function () {
+    prompt.remove();
+  });
+};
 
-    const target = document.querySelector(href);
-    if (!target) { return; }
+/**
+ * Watch a registration for a new worker finishing its install.
+ *
+ * @param {ServiceWorkerRegistration} registration
+ */
+const watchServiceWorkerUpdates = function (registration) {
+  // Nothing to update on the very first visit, when no worker controls the page yet.
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdatePrompt(registration.waiting);
+  }
 
-    const marginTop = getScrollMarginTop(target);
-    const entry = { target, link, marginTop, offset: 0 };
-    sectionEntries.push(entry);
+  registration.addEventListener("updatefound", function () {
+    const worker = registration.installing;
+    if (!worker) { return; }
 
-    link.addEventListener("click", function (event) {
-      event.preventDefault();
+    worker.addEventListener("statechange", function () {
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        showUpdatePrompt(worker);
+      }
+    });
+  });
 
-      setActiveSectionLink(link);
-      pendingTargetEntry = entry;
+  // Long visits (a laptop left open at a venue) still notice new deployments.
+  let lastUpdateCheck = Date.now();
+  document.addEventListener("visibilitychange", function () {
+    if (document.hidden || Date.now() - lastUpdateCheck < SERVICE_WORKER_UPDATE_INTERVAL) { return; }
+    lastUpdateCheck = Date.now();
+    registration.update().catch(() => {});
+  });
+};
 
-      if (href === "#top") {
-        window.scrollTo({ top: 0, behavior: "smooth" });
-      } else if (typeof target.scrollIntoView === "function") {
-        target.scrollIntoView({ behavior: "smooth", block: "start" });
-      }
+if ("serviceWorker" in navigator && window.isSecureContext) {
+  let isReloadingForUpdate = false;
 
-      if (typeof history !== "undefined" && typeof history.replaceState === "function") {
-        history.replaceState(null, "", href);
-      }
+  navigator.serviceWorker.addEventListener("controllerchange", function () {
+    if (isReloadingForUpdate || !document.querySelector(".update-prompt")) { return; }
+    isReloadingForUpdate = true;
+    window.location.reload();
+  });
 
-      window.requestAnimationFrame(() => {
-        computeSectionOffsets();
-        requestSync();
+  window.addEventListener("load", function () {
+    navigator.serviceWorker.register(SERVICE_WORKER_PATH)
+      .then(watchServiceWorkerUpdates)
+      .catch((error) => {
+        console.warn("Unable to register the service worker.", error);
       });
-    });
   });
 
-  if (sectionEntries.length > 0) {
-    const initialHash = window.location.hash;
-    computeSectionOffsets();
-
-    if (initialHash) {
-      const initialTarget = document.querySelector(initialHash);
-      const initialEntry = sectionEntries.find((entry) => entry.target === initialTarget);
-      if (initialEntry) {
-        setActiveSectionLink(initialEntry.link);
-      } else if (sectionEntries[0]) {
-        setActiveSectionLink(sectionEntries[0].link);
-      }
-    } else if (sectionEntries[0]) {
-      setActiveSectionLink(sectionEntries[0].link);
+  window.addEventListener("offline", function () {
+    if (navigator.serviceWorker.controller) {
+      showToast("You're offline. Pages you've visited are still available.");
     }
-
-    syncActiveLink();
-
-    window.addEventListener("scroll", requestSync, { passive: true });
-    window.addEventListener("resize", requestRecompute);
-    window.addEventListener("orientationchange", requestRecompute);
-    window.addEventListener("load", requestRecompute);
-    window.addEventListener("pageshow", function (event) {
-      if (event.persisted) {
-        requestRecompute();
-      }
-    });
-  }
-}
\ No newline at end of file
+  });
+}
@@ -0,0 +1,687 @@
+'use strict';
+
+/* -------------------------------------------------------------------------- */
+/*  Project / article page generator                                          */
+/*                                                                            */
+/*  Usage: node scripts/build-pages.js [--check]                              */
+/*                                                                            */
+/*  Fills assets/templates/*.html with each data file in assets/data/pages/   */
+/*  and writes one page per file to the site root (project-<slug>.html,       */
+/*  article-<slug>.html, blog-<slug>.html). Exits with an error, writing      */
+/*  nothing, when a required section, a local asset or a field is missing.    */
+/*  --check only validates and reports pages that are out of date.            */
+/* -------------------------------------------------------------------------- */
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const DATA_DIR = path.join(ROOT_DIR, "assets", "data", "pages");
+const TEMPLATE_DIR = path.join(ROOT_DIR, "assets", "templates");
+
+const SITE_URL = "https://iamsaurabhsaini.com";
+const SITE_NAME = "Saurabh Saini";
+const PERSON_ID = `${SITE_URL}/#person`;
+const GENERATED_MARKER = "<!-- Generated by scripts/build-pages.js";
+
+/** Template, output prefix, schema.org type and mandatory sections per page type. */
+const PAGE_TYPES = {
+  project: {
+    template: "projectpage.html",
+    prefix: "project",
+    schemaType: "CreativeWork",
+    genre: "Portfolio Case Study",
+    requiredSections: ["project-overview", "deliverables", "media-visuals"]
+  },
+  article: {
+    template: "articlepage.html",
+    prefix: "article",
+    schemaType: "Article",
+    genre: "Article",
+    requiredSections: ["project-overview"]
+  },
+  blog: {
+    template: "blogpage.html",
+    prefix: "blog",
+    schemaType: "BlogPosting",
+    genre: "Blog Post",
+    requiredSections: ["project-overview"]
+  }
+};
+
+const MEDIA_ROW_CLASSES = ["media-row--single", "media-row--double", "media-row--triple"];
+
+/**
+ * Escape text for HTML content and attribute values.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = function (value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
+/**
+ * Decode the handful of HTML entities used in template headings.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const decodeEntities = function (value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+};
+
+/**
+ * Indent every line of a block of markup.
+ *
+ * @param {string[]} lines
+ * @param {number} depth - Number of two-space steps.
+ * @returns {string[]}
+ */
+const indent = function (lines, depth) {
+  const padding = "  ".repeat(depth);
+  return lines.map((line) => (line ? `${padding}${line}` : line));
+};
+
+/**
+ * Whether a URL is a file in this repository rather than another site.
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isLocalUrl = function (url) {
+  return !/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url);
+};
+
+/**
+ * Absolute site URL for a repository path.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+const toSiteUrl = function (url) {
+  return isLocalUrl(url) ? `${SITE_URL}/${url.replace(/^\.?\//, "")}` : url;
+};
+
+/**
+ * Read the video id from a YouTube watch, share, embed or shorts URL.
+ *
+ * @param {string} url
+ * @returns {string|null}
+ */
+const getYouTubeVideoId = function (url) {
+  const match = String(url).match(/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/);
+  return match ? match[1] : null;
+};
+
+/**
+ * @typedef {Object} PageErrors
+ * @property {string} file
+ * @property {string[]} messages
+ * @property {(message: string) => void} add
+ * @property {(url: string, where: string) => void} checkAsset - Require a local asset to exist.
+ * @property {(value: *, where: string) => boolean} checkText - Require a non-empty string.
+ */
+
+/**
+ * Collect every problem with one data file so authors can fix them in one pass.
+ *
+ * @param {string} file
+ * @returns {PageErrors}
+ */
+const createPageErrors = function (file) {
+  const messages = [];
+
+  const add = function (message) {
+    messages.push(message);
+  };
+
+  const checkAsset = function (url, where) {
+    if (typeof url !== "string" || !url.trim()) {
+      add(`${where}: missing asset path`);
+      return;
+    }
+    if (!isLocalUrl(url)) { return; }
+
+    const filePath = path.join(ROOT_DIR, decodeURI(url.split(/[?#]/)[0]));
+    if (!fs.existsSync(filePath)) {
+      add(`${where}: asset not found (${url})`);
+    }
+  };
+
+  const checkText = function (value, where) {
+    if (typeof value === "string" && value.trim()) { return true; }
+    add(`${where}: expected text`);
+    return false;
+  };
+
+  return { file, messages, add, checkAsset, checkText };
+};
+
+/**
+ * List the template's sections in page order with their classes and headings.
+ *
+ * @param {string} html
+ * @returns {Map<string, {className: string, heading: string, hasColumns: boolean}>}
+ */
+const readTemplateSections = function (html) {
+  const sections = new Map();
+  const pattern = /<div class="(info-grid(?: [^"]*)?)" id="([^"]+)">/g;
+  const starts = [];
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    starts.push({ className: match[1], id: match[2], index: match.index + match[0].length });
+  }
+
+  starts.forEach((start, i) => {
+    const body = html.slice(start.index, i + 1 < starts.length ? starts[i + 1].index : html.indexOf("</article>", start.index));
+    const heading = body.match(/<h3 class="h3 article-title">([\s\S]*?)<\/h3>/);
+
+    sections.set(start.id, {
+      className: start.className,
+      heading: heading ? decodeEntities(heading[1].trim()) : "",
+      hasColumns: body.includes("info-grid-columns")
+    });
+  });
+
+  return sections;
+};
+
+/**
+ * Markup for one `.info-group` row.
+ *
+ * @param {object} group
+ * @param {PageErrors} errors
+ * @param {string} where
+ * @returns {string[]}
+ */
+const renderGroup = function (group, errors, where) {
+  const lines = ["<div class=\"info-group\">"];
+  let hasContent = false;
+
+  if (errors.checkText(group.label, `${where}.label`)) {
+    lines.push(`  <span class="info-label">${escapeHtml(group.label)}</span>`);
+  }
+
+  [].concat(group.text || []).forEach((text) => {
+    hasContent = true;
+    lines.push("  <span class=\"info-value\">", `    ${escapeHtml(text)}`, "  </span>");
+  });
+
+  [].concat(group.bullets || []).forEach((text) => {
+    hasContent = true;
+    lines.push("  <span class=\"info-value info-value--bullet\">", `    ${escapeHtml(text)}`, "  </span>");
+  });
+
+  if (Array.isArray(group.tags) && group.tags.length) {
+    hasContent = true;
+    lines.push(
+      "  <span class=\"info-value\">",
+      "    <span class=\"tag-list\">",
+      ...group.tags.map((tag) => `      <span class="tag">${escapeHtml(tag)}</span>`),
+      "    </span>",
+      "  </span>"
+    );
+  }
+
+  if (group.table) {
+    const { head = [], rows = [] } = group.table;
+    if (!head.length || !rows.length) {
+      errors.add(`${where}.table: needs "head" and "rows"`);
+    } else {
+      hasContent = true;
+      // An empty first heading cell turns the first column into row headings, as in the templates.
+      const hasRowHeadings = head[0] === "";
+      lines.push(
+        "  <div class=\"info-value\">",
+        "    <table class=\"info-table\">",
+        "      <thead>",
+        "        <tr>",
+        ...head.map((cell) => `          <th scope="col">${escapeHtml(cell)}</th>`),
+        "        </tr>",
+        "      </thead>",
+        "      <tbody>",
+        ...[].concat(...rows.map((row) => [
+          "        <tr>",
+          ...row.map((cell, index) => (hasRowHeadings && index === 0
+            ? `          <th scope="row">${escapeHtml(cell)}</th>`
+            : `          <td>${escapeHtml(cell)}</td>`)),
+          "        </tr>"
+        ])),
+        "      </tbody>",
+        "    </table>",
+        "  </div>"
+      );
+    }
+  }
+
+  if (Array.isArray(group.attachments) && group.attachments.length) {
+    hasContent = true;
+    lines.push("  <div class=\"info-attachments-grid\">");
+    group.attachments.forEach((attachment, index) => {
+      const attachmentWhere = `${where}.attachments[${index}]`;
+      errors.checkText(attachment.label, `${attachmentWhere}.label`);
+      errors.checkAsset(attachment.href, attachmentWhere);
+      lines.push(
+        "    <div class=\"info-attachment\">",
+        "      <a",
+        "        class=\"info-attachment-link\"",
+        `        href="${escapeHtml(attachment.href || "")}"`,
+        "        target=\"_blank\"",
+        "        rel=\"noopener noreferrer\"",
+        "      >",
+        `        ${escapeHtml(attachment.label || "")}`,
+        "      </a>",
+        "    </div>"
+      );
+    });
+    lines.push("  </div>");
+  }
+
+  if (!hasContent) {
+    errors.add(`${where}: needs "text", "bullets", "tags", "table" or "attachments"`);
+  }
+
+  lines.push("</div>");
+  return lines;
+};
+
+/**
+ * Markup for one media tile: a lazy image or a click-to-load YouTube poster.
+ *
+ * @param {object} item
+ * @param {boolean} isPrimary
+ * @param {PageErrors} errors
+ * @param {string} where
+ * @returns {string[]}
+ */
+const renderMediaItem = function (item, isPrimary, errors, where) {
+  const primaryClass = isPrimary ? " media-placeholder--primary" : "";
+
+  if (item.youtube) {
+    const id = getYouTubeVideoId(item.youtube);
+    if (!id) {
+      errors.add(`${where}: not a YouTube URL (${item.youtube})`);
+      return [];
+    }
+
+    const title = item.title || "YouTube video";
+    // Only full-width videos play inline; smaller tiles open in the lightbox.
+    const embed = isPrimary ? "" : " data-video-embed=\"lightbox\"";
+    return [
+      `<div class="media-placeholder${primaryClass} media-placeholder--video" aria-label="Watch this video on YouTube" data-video-title="${escapeHtml(title)}"${embed}>`,
+      "  <a",
+      "    class=\"media-video-link\"",
+      `    href="https://www.youtube.com/watch?v=${id}"`,
+      "    target=\"_blank\"",
+      "    rel=\"noopener noreferrer\"",
+      "  >",
+      "    <img",
+      `      src="https://img.youtube.com/vi/${id}/hqdefault.jpg"`,
+      `      alt="${escapeHtml(title)}"`,
+      "      loading=\"lazy\"",
+      "    >",
+      "    <span class=\"media-video-play\" aria-hidden=\"true\"></span>",
+      "  </a>",
+      "</div>"
+    ];
+  }
+
+  errors.checkAsset(item.src, where);
+  errors.checkText(item.alt, `${where}.alt`);
+  return [
+    `<div class="media-placeholder${primaryClass}">`,
+    `  <img data-src="${escapeHtml(item.src || "")}" alt="${escapeHtml(item.alt || "")}" data-lazy-img>`,
+    "</div>"
+  ];
+};
+
+/**
+ * Markup for the media grid; each row holds one (full width), two or three items.
+ *
+ * @param {object[][]} rows
+ * @param {PageErrors} errors
+ * @param {string} where
+ * @returns {string[]}
+ */
+const renderMediaGrid = function (rows, errors, where) {
+  const lines = ["<div class=\"media-grid\">"];
+
+  rows.forEach((row, rowIndex) => {
+    const items = [].concat(row);
+    const rowWhere = `${where}.media[${rowIndex}]`;
+    if (!items.length || items.length > MEDIA_ROW_CLASSES.length) {
+      errors.add(`${rowWhere}: a row holds 1 to ${MEDIA_ROW_CLASSES.length} items`);
+      return;
+    }
+
+    lines.push(`  <div class="media-row ${MEDIA_ROW_CLASSES[items.length - 1]}">`);
+    items.forEach((item, itemIndex) => {
+      lines.push(...indent(renderMediaItem(item, items.length === 1, errors, `${rowWhere}[${itemIndex}]`), 2));
+    });
+    lines.push("  </div>");
+  });
+
+  lines.push("</div>");
+  return lines;
+};
+
+/**
+ * Markup for the page body: core identity, then the data's sections in template order.
+ *
+ * @param {object} data
+ * @param {Map<string, object>} templateSections
+ * @param {object} pageType
+ * @param {PageErrors} errors
+ * @returns {string[]}
+ */
+const renderContent = function (data, templateSections, pageType, errors) {
+  const identity = [{ label: "Title", value: data.title }].concat(Array.isArray(data.identity) ? data.identity : []);
+  const lines = [
+    "<section class=\"content-block\">",
+    "<!-- GRID: Core identity -->",
+    "<div class=\"info-grid\" id=\"core-identity\">"
+  ];
+
+  identity.forEach((item, index) => {
+    const where = `identity[${index - 1}]`;
+    if (index > 0) {
+      errors.checkText(item.label, `${where}.label`);
+      errors.checkText(item.value, `${where}.value`);
+    }
+    lines.push(
+      "  <div class=\"core-identity-item\">",
+      `    <span class="info-label">${escapeHtml(item.label || "")}</span>`,
+      `    <span class="info-value">${escapeHtml(item.value || "")}</span>`,
+      "  </div>"
+    );
+  });
+  lines.push("</div>");
+
+  const sections = Array.isArray(data.sections) ? data.sections : [];
+  const byId = new Map();
+  sections.forEach((section, index) => {
+    if (!section || !templateSections.has(section.id) || section.id === "core-identity") {
+      errors.add(`sections[${index}]: unknown section "${section && section.id}" (expected one of ${Array.from(templateSections.keys()).filter((id) => id !== "core-identity").join(", ")})`);
+      return;
+    }
+    if (byId.has(section.id)) {
+      errors.add(`sections[${index}]: "${section.id}" appears twice`);
+      return;
+    }
+    byId.set(section.id, section);
+  });
+
+  pageType.requiredSections.forEach((id) => {
+    if (!byId.has(id)) {
+      errors.add(`required section "${id}" is missing`);
+    }
+  });
+
+  templateSections.forEach((templateSection, id) => {
+    const section = byId.get(id);
+    if (!section) { return; }
+
+    const where = `sections.${id}`;
+    const heading = section.title || templateSection.heading;
+    const groups = Array.isArray(section.groups) ? section.groups : [];
+    const media = Array.isArray(section.media) ? section.media : [];
+    if (!groups.length && !media.length) {
+      errors.add(`${where}: needs "groups" or "media"`);
+    }
+
+    const groupLines = [].concat(...groups.map((group, index) => renderGroup(group || {}, errors, `${where}.groups[${index}]`)));
+
+    lines.push(
+      "",
+      `<!-- GRID: ${heading} -->`,
+      `<div class="${templateSection.className}" id="${id}">`,
+      `  <h3 class="h3 article-title">${escapeHtml(heading)}</h3>`
+    );
+    if (templateSection.hasColumns && groupLines.length) {
+      lines.push("  <div class=\"info-grid-columns\">", ...indent(groupLines, 2), "  </div>");
+    } else {
+      lines.push(...indent(groupLines, 1));
+    }
+    if (media.length) {
+      lines.push(...indent(renderMediaGrid(media, errors, where), 1));
+    }
+    lines.push("</div>");
+  });
+
+  lines.push("</section>");
+  return lines;
+};
+
+/**
+ * The schema.org block describing this page's work.
+ *
+ * @param {object} data
+ * @param {object} pageType
+ * @param {string} pageUrl
+ * @returns {object}
+ */
+const buildStructuredData = function (data, pageType, pageUrl) {
+  const work = {
+    "@context": "https://schema.org",
+    "@type": pageType.schemaType,
+    "@id": `${pageUrl}#work`,
+    name: data.title,
+    headline: data.title,
+    description: data.description,
+    about: data.tags || [],
+    genre: [pageType.genre, data.category].filter(Boolean),
+    inLanguage: "en",
+    datePublished: data.datePublished,
+    dateModified: data.dateModified || data.datePublished,
+    url: pageUrl,
+    thumbnailUrl: data.image ? toSiteUrl(data.image) : undefined,
+    creator: { "@id": PERSON_ID },
+    author: { "@id": PERSON_ID },
+    publisher: { "@id": PERSON_ID }
+  };
+
+  if (Array.isArray(data.audience) && data.audience.length) {
+    work.audience = { "@type": "Audience", audienceType: data.audience };
+  }
+
+  return work;
+};
+
+/**
+ * Format JSON-LD the way the templates do (two-space steps inside a script tag).
+ *
+ * @param {object} value
+ * @returns {string}
+ */
+const formatJsonLd = function (value) {
+  return JSON.stringify(value, null, 2).split("\n").map((line) => `    ${line}`).join("\n");
+};
+
+/**
+ * Point the head at this page: title, description, sharing tags, canonical
+ * URL and structured data.
+ *
+ * @param {string} html
+ * @param {object} data
+ * @param {object} pageType
+ * @param {string} pageUrl
+ * @returns {string}
+ */
+const renderHead = function (html, data, pageType, pageUrl) {
+  const title = `${data.title} | ${SITE_NAME}`;
+  const image = data.image ? toSiteUrl(data.image) : "";
+  const meta = {
+    "name=\"description\"": data.description,
+    "property=\"og:type\"": "article",
+    "property=\"og:title\"": title,
+    "property=\"og:description\"": data.description,
+    "property=\"og:url\"": pageUrl,
+    "property=\"og:image\"": image,
+    "name=\"twitter:title\"": title,
+    "name=\"twitter:description\"": data.description,
+    "name=\"twitter:url\"": pageUrl,
+    "name=\"twitter:image\"": image
+  };
+
+  let head = html.replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHtml(title)}</title>`);
+  Object.keys(meta).forEach((attribute) => {
+    if (!meta[attribute]) { return; }
+    head = head.replace(new RegExp(`(<meta ${attribute} content=")[^"]*"`), (match, start) => `${start}${escapeHtml(meta[attribute])}"`);
+  });
+  head = head.replace(/(<link rel="canonical" href=")[^"]*"/, (match, start) => `${start}${pageUrl}"`);
+
+  const jsonLdPattern = /<script type="application\/ld\+json">\s*([\s\S]*?)\s*<\/script>/g;
+  const workJson = formatJsonLd(buildStructuredData(data, pageType, pageUrl));
+  let hasWork = false;
+
+  head = head.replace(jsonLdPattern, (block, json) => {
+    const value = JSON.parse(json);
+
+    if (!value["@graph"]) {
+      hasWork = true;
+      return `<script type="application/ld+json">\n${workJson}\n  </script>`;
+    }
+
+    value["@graph"].forEach((node) => {
+      if ([].concat(node["@type"]).includes("WebPage")) {
+        Object.assign(node, { "@id": `${pageUrl}#page`, url: pageUrl, name: title, description: data.description });
+      }
+    });
+    return `<script type="application/ld+json">\n${formatJsonLd(value)}\n  </script>`;
+  });
+
+  if (!hasWork) {
+    head = `${head.replace(/\s*$/, "")}\n  <!-- Structured Data (${pageType.schemaType} for this page) -->\n  <script type="application/ld+json">\n${workJson}\n  </script>\n`;
+  }
+
+  return head;
+};
+
+/**
+ * Render one data file into a page, recording problems instead of throwing.
+ *
+ * @param {string} file - Data file name.
+ * @param {PageErrors} errors
+ * @returns {{outputFile: string, html: string}|null}
+ */
+const renderPage = function (file, errors) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), "utf8"));
+  } catch (error) {
+    errors.add(`invalid JSON (${error.message})`);
+    return null;
+  }
+
+  const pageType = PAGE_TYPES[data.type];
+  if (!pageType) {
+    errors.add(`"type" must be one of ${Object.keys(PAGE_TYPES).join(", ")}`);
+    return null;
+  }
+  if (typeof data.slug !== "string" || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(data.slug)) {
+    errors.add("\"slug\" must be lower-case words joined by hyphens");
+    return null;
+  }
+
+  errors.checkText(data.title, "title");
+  errors.checkText(data.description, "description");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(data.datePublished || "")) {
+    errors.add("datePublished: expected YYYY-MM-DD");
+  }
+  if (data.image !== undefined) {
+    errors.checkAsset(data.image, "image");
+  }
+
+  const template = fs.readFileSync(path.join(TEMPLATE_DIR, pageType.template), "utf8");
+  const lineEnding = template.includes("\r\n") ? "\r\n" : "\n";
+  const source = template.replace(/\r\n/g, "\n");
+  const outputFile = `${pageType.prefix}-${data.slug}.html`;
+  const pageUrl = `${SITE_URL}/${outputFile}`;
+
+  const articleMatch = source.match(/<article\b[^>]*>[\s\S]*?<\/header>([\s\S]*?)<\/article>/);
+  if (!articleMatch) {
+    errors.add(`template ${pageType.template} has no <article> with a <header>`);
+    return null;
+  }
+
+  const content = indent(renderContent(data, readTemplateSections(articleMatch[1]), pageType, errors), 4).join("\n");
+  const article = articleMatch[0]
+    .replace(/ data-post-template/, "")
+    .replace(/(<h2 class="h2 article-title">)[\s\S]*?<\/h2>/, (match, start) => `${start}${escapeHtml(data.title || "")}</h2>`)
+    .replace(articleMatch[1], () => `\n\n${content}\n\n      `);
+
+  const [headPart, bodyPart] = source.split("</head>");
+  const html = `${renderHead(headPart, data, pageType, pageUrl)}</head>${bodyPart.replace(articleMatch[0], () => article)}`
+    .replace(/^<!DOCTYPE html>\n/i, `<!DOCTYPE html>\n${GENERATED_MARKER} from assets/data/pages/${file}. Edit the data file and re-run the script instead of this page. -->\n`);
+
+  return { outputFile, html: html.replace(/\n/g, lineEnding) };
+};
+
+/**
+ * Render every data file, then write the pages only when all of them are valid.
+ */
+const buildPages = function () {
+  const isCheck = process.argv.includes("--check");
+  const files = fs.existsSync(DATA_DIR)
+    ? fs.readdirSync(DATA_DIR).filter((file) => file.endsWith(".json")).sort()
+    : [];
+  const pages = [];
+  const failures = [];
+  const outputs = new Set();
+
+  files.forEach((file) => {
+    const errors = createPageErrors(file);
+    const page = renderPage(file, errors);
+
+    if (page) {
+      const outputPath = path.join(ROOT_DIR, page.outputFile);
+      if (outputs.has(page.outputFile)) {
+        errors.add(`another data file also writes ${page.outputFile}`);
+      } else if (fs.existsSync(outputPath) && !fs.readFileSync(outputPath, "utf8").includes(GENERATED_MARKER)) {
+        errors.add(`${page.outputFile} exists and was not generated by this script; refusing to overwrite it`);
+      }
+      outputs.add(page.outputFile);
+      pages.push(Object.assign({ outputPath }, page));
+    }
+
+    if (errors.messages.length) {
+      failures.push(errors);
+    }
+  });
+
+  if (failures.length) {
+    failures.forEach((errors) => {
+      console.error(`assets/data/pages/${errors.file}:`);
+      errors.messages.forEach((message) => console.error(`  - ${message}`));
+    });
+    console.error(`Page build failed: ${failures.length} of ${files.length} data file(s) have errors. No pages were written.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (isCheck) {
+    const stale = pages.filter((page) => !fs.existsSync(page.outputPath) || fs.readFileSync(page.outputPath, "utf8") !== page.html);
+    stale.forEach((page) => console.error(`${page.outputFile} is out of date. Run node scripts/build-pages.js.`));
+    process.exitCode = stale.length ? 1 : 0;
+    if (!stale.length) {
+      console.log(`All ${pages.length} generated page(s) are up to date.`);
+    }
+    return;
+  }
+
+  pages.forEach((page) => fs.writeFileSync(page.outputPath, page.html));
+  console.log(`Wrote ${pages.length} page(s): ${pages.map((page) => page.outputFile).join(", ") || "none"}`);
+};
+
+buildPages();
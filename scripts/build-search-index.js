@@ -0,0 +1,425 @@
+'use strict';
+
+/* -------------------------------------------------------------------------- */
+/*  Site search index builder                                                 */
+/*                                                                            */
+/*  Usage: node scripts/build-search-index.js                                 */
+/*                                                                            */
+/*  Reads the published HTML pages, assets/data/projects.json and the         */
+/*  Markdown posts listed in assets/data/posts.json, and writes               */
+/*  assets/data/search-index.json, which the search overlay in script.js      */
+/*  loads locally. Re-run after adding cards, posts or case-study sections,   */
+/*  and after scripts/build-pages.js.                                         */
+/* -------------------------------------------------------------------------- */
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const OUTPUT_PATH = path.join(ROOT_DIR, "assets", "data", "search-index.json");
+const PROJECT_MANIFEST_PATH = path.join(ROOT_DIR, "assets", "data", "projects.json");
+const POSTS_INDEX_PATH = path.join(ROOT_DIR, "assets", "data", "posts.json");
+
+// Blog cards come from the Markdown posts; the long-form templates only hold sample copy.
+const CARD_PAGES = ["learning-hub.html"];
+
+/** Template page each post `layout` renders into; mirrors POST_LAYOUT_PAGES in script.js. */
+const POST_LAYOUT_PAGES = {
+  blog: "blogpage.html",
+  article: "articlepage.html"
+};
+
+/** Pages written by scripts/build-pages.js. */
+const GENERATED_PAGE_PATTERN = /^(project|article|blog)-[a-z0-9-]+\.html$/;
+
+const MAX_TEXT_LENGTH = 600;
+
+/**
+ * Decode the handful of HTML entities used across the site.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const decodeEntities = function (value) {
+  return value
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&times;/g, "×")
+    .replace(/&minus;/g, "−");
+};
+
+/**
+ * Strip markup, comments and scripts, collapsing whitespace.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+const toPlainText = function (html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]+>/g, " ");
+
+  return decodeEntities(text).replace(/\s+/g, " ").trim();
+};
+
+/**
+ * Trim long text so the index stays small.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const truncate = function (text) {
+  if (text.length <= MAX_TEXT_LENGTH) { return text; }
+  return `${text.slice(0, MAX_TEXT_LENGTH).replace(/\s+\S*$/, "")}…`;
+};
+
+/**
+ * Read an attribute value from a single opening tag.
+ *
+ * @param {string} tag
+ * @param {string} name
+ * @returns {string}
+ */
+const getAttribute = function (tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeEntities(match[1]) : "";
+};
+
+/**
+ * Return the inner HTML of the first element carrying a marker attribute or class.
+ *
+ * @param {string} html
+ * @param {RegExp} openTagPattern - Matches the opening tag; group 1 is the tag name.
+ * @returns {string}
+ */
+const getInnerHtml = function (html, openTagPattern) {
+  const match = html.match(openTagPattern);
+  if (!match) { return ""; }
+
+  const start = match.index + match[0].length;
+  const end = html.indexOf(`</${match[1]}>`, start);
+  return end === -1 ? "" : html.slice(start, end);
+};
+
+/**
+ * Split markup into the list items that carry a marker attribute.
+ *
+ * @param {string} html
+ * @param {string} marker
+ * @returns {{openTag: string, body: string}[]}
+ */
+const getListItems = function (html, marker) {
+  const items = [];
+  const pattern = new RegExp(`<li\\b[^>]*\\s${marker}\\b[^>]*>`, "g");
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    const start = match.index + match[0].length;
+    const end = html.indexOf("</li>", start);
+    if (end === -1) { break; }
+    items.push({ openTag: match[0], body: html.slice(start, end) });
+  }
+
+  return items;
+};
+
+/**
+ * Id for a heading, matching `slugify` in script.js.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const slugify = function (text) {
+  return String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+};
+
+/**
+ * Read one front matter value: quoted strings, `[a, b]` lists, booleans.
+ *
+ * @param {string} raw
+ * @returns {string|string[]|boolean}
+ */
+const parseFrontMatterValue = function (raw) {
+  const value = raw.trim();
+
+  if (/^\[.*\]$/.test(value)) {
+    return value.slice(1, -1).split(",").map(parseFrontMatterValue).filter((item) => item !== "");
+  }
+  if (value === "true" || value === "false") { return value === "true"; }
+  if (/^(["']).*\1$/.test(value)) { return value.slice(1, -1); }
+  return value;
+};
+
+/**
+ * Split a Markdown file into its front matter and body, like `parseFrontMatter` in script.js.
+ *
+ * @param {string} source
+ * @returns {{data: Object<string, *>, body: string}}
+ */
+const parseFrontMatter = function (source) {
+  const text = String(source || "").replace(/\r\n?/g, "\n");
+  const match = text.match(/^---\n([\s\S]*?)\n---[ \t]*(?:\n|$)/);
+  if (!match) { return { data: {}, body: text }; }
+
+  const data = {};
+  let listKey = null;
+
+  match[1].split("\n").forEach((line) => {
+    if (!line.trim() || line.trim().startsWith("#")) { return; }
+
+    const listItem = line.match(/^\s+-\s+(.*)$/);
+    if (listItem && listKey) {
+      data[listKey].push(parseFrontMatterValue(listItem[1]));
+      return;
+    }
+
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!pair) { return; }
+
+    listKey = null;
+    if (pair[2] === "") {
+      data[pair[1]] = [];
+      listKey = pair[1];
+    } else {
+      data[pair[1]] = parseFrontMatterValue(pair[2]);
+    }
+  });
+
+  return { data, body: text.slice(match[0].length) };
+};
+
+/**
+ * Reduce Markdown to searchable text: drop images, keep link labels and code.
+ *
+ * @param {string} markdown
+ * @returns {string}
+ */
+const markdownToPlainText = function (markdown) {
+  return markdown
+    .replace(/^```.*$/gm, " ")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, " ")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/^\s*(#{1,6}|>|[-*+]|\d+\.)\s+/gm, "")
+    .replace(/^\s*\|?[\s:|-]+\|[\s:|-]*$/gm, " ")
+    .replace(/[|*_`]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+};
+
+/**
+ * Split a post body into its `#`/`##` sections, skipping fenced code.
+ *
+ * @param {string} body
+ * @returns {{title: string, markdown: string}[]}
+ */
+const getPostSections = function (body) {
+  const sections = [];
+  let inFence = false;
+
+  body.split("\n").forEach((line) => {
+    if (/^\s*```/.test(line)) { inFence = !inFence; }
+
+    const heading = inFence ? null : line.match(/^#{1,2}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      sections.push({ title: heading[1], markdown: "" });
+    } else if (sections.length) {
+      sections[sections.length - 1].markdown += `${line}\n`;
+    } else if (line.trim()) {
+      sections.push({ title: "", markdown: `${line}\n` });
+    }
+  });
+
+  return sections;
+};
+
+/**
+ * Collect each published Markdown post as a blog card plus one entry per
+ * section, pointing at the template page the post renders into.
+ *
+ * @returns {object[]}
+ */
+const collectPosts = function () {
+  if (!fs.existsSync(POSTS_INDEX_PATH)) { return []; }
+
+  const index = JSON.parse(fs.readFileSync(POSTS_INDEX_PATH, "utf8"));
+  const entries = Array.isArray(index.posts) ? index.posts : [];
+  const cards = [];
+  const sections = [];
+
+  entries
+    .filter((entry) => entry && typeof entry.slug === "string" && typeof entry.file === "string")
+    .forEach((entry) => {
+      const { data, body } = parseFrontMatter(fs.readFileSync(path.join(ROOT_DIR, entry.file), "utf8"));
+      if (data.draft === true) { return; }
+
+      const title = String(data.title || entry.slug);
+      const layout = Object.prototype.hasOwnProperty.call(POST_LAYOUT_PAGES, data.layout) ? data.layout : "blog";
+      const page = POST_LAYOUT_PAGES[layout];
+      const url = `${page}?post=${encodeURIComponent(entry.slug)}`;
+      // Section ids follow renderMarkdownSections in script.js.
+      const usedIds = new Set(["core-identity"]);
+
+      cards.push({
+        type: "blog",
+        title,
+        category: String(data.category || ""),
+        text: truncate(String(data.excerpt || "")),
+        url,
+        page: "blog.html",
+        date: String(data.date || "")
+      });
+
+      getPostSections(body).forEach((section) => {
+        let id = slugify(section.title) || "section";
+        if (!/^[a-z]/.test(id)) { id = `section-${id}`; }
+        let uniqueId = id;
+        for (let count = 2; usedIds.has(uniqueId); count++) {
+          uniqueId = `${id}-${count}`;
+        }
+        usedIds.add(uniqueId);
+
+        if (!section.title) { return; }
+
+        sections.push({
+          type: "section",
+          title: markdownToPlainText(section.title),
+          category: title,
+          text: truncate(markdownToPlainText(section.markdown)),
+          url: `${url}#${uniqueId}`,
+          page
+        });
+      });
+    });
+
+  // Newest first, like the blog listing.
+  cards.sort((a, b) => b.date.localeCompare(a.date));
+  return cards.map(({ date, ...card }) => card).concat(sections);
+};
+
+/**
+ * Collect learning hub cards from the listing pages.
+ *
+ * @param {string} file
+ * @param {string} html
+ * @returns {object[]}
+ */
+const collectCards = function (file, html) {
+  const learningCards = getListItems(html, "data-learning-filter-item").map((item) => {
+    const linkTag = (item.body.match(/<a\b[^>]*>/) || [""])[0];
+
+    return {
+      type: "learning",
+      title: toPlainText(getInnerHtml(item.body, /<(\w+)\b[^>]*class="[^"]*\bresource-title\b[^"]*"[^>]*>/)),
+      category: toPlainText(getInnerHtml(item.body, /<(\w+)\b[^>]*class="[^"]*\bresource-category\b[^"]*"[^>]*>/))
+        || getAttribute(item.openTag, "data-learning-category"),
+      text: "",
+      url: getAttribute(linkTag, "data-external-url") || getAttribute(linkTag, "href") || file,
+      page: file
+    };
+  });
+
+  return learningCards.filter((entry) => entry.title);
+};
+
+/**
+ * Collect every titled `.info-grid[id]` section from a long-form page.
+ *
+ * @param {string} file
+ * @param {string} html
+ * @returns {object[]}
+ */
+const collectSections = function (file, html) {
+  const pageTitle = toPlainText(getInnerHtml(html, /<(h2)\b[^>]*class="[^"]*\barticle-title\b[^"]*"[^>]*>/));
+  const sections = [];
+  const pattern = /<div\b[^>]*class="[^"]*\binfo-grid\b[^"]*"[^>]*\sid="([^"]+)"[^>]*>/g;
+  const starts = [];
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    starts.push({ id: match[1], index: match.index, bodyStart: match.index + match[0].length });
+  }
+
+  starts.forEach((start, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1].index : html.indexOf("</article>", start.bodyStart);
+    const body = html.slice(start.bodyStart, end === -1 ? undefined : end);
+    const heading = toPlainText(getInnerHtml(body, /<(h3)\b[^>]*class="[^"]*\barticle-title\b[^"]*"[^>]*>/));
+    if (!heading) { return; }
+
+    const text = toPlainText(body.replace(/<h3\b[\s\S]*?<\/h3>/, " "));
+
+    sections.push({
+      type: "section",
+      title: heading,
+      category: pageTitle,
+      text: truncate(text),
+      url: `${file}#${start.id}`,
+      page: file
+    });
+  });
+
+  return sections;
+};
+
+/**
+ * Collect portfolio cards from the project manifest.
+ *
+ * @returns {object[]}
+ */
+const collectProjects = function () {
+  if (!fs.existsSync(PROJECT_MANIFEST_PATH)) { return []; }
+
+  const manifest = JSON.parse(fs.readFileSync(PROJECT_MANIFEST_PATH, "utf8"));
+  const projects = Array.isArray(manifest.projects) ? manifest.projects : [];
+
+  return projects
+    .filter((project) => project && project.title && project.url)
+    .map((project) => ({
+      type: "project",
+      title: project.title,
+      category: project.category || "",
+      text: [project.summary, (project.tags || []).join(" ")].filter(Boolean).join(" "),
+      url: project.url,
+      page: "portfolio.html"
+    }));
+};
+
+/**
+ * Gather every searchable entry and write the index file.
+ */
+const buildSearchIndex = function () {
+  const entries = collectProjects();
+  const posts = collectPosts();
+  entries.push(...posts.filter((entry) => entry.type === "blog"));
+
+  CARD_PAGES.forEach((file) => {
+    const html = fs.readFileSync(path.join(ROOT_DIR, file), "utf8");
+    entries.push(...collectCards(file, html));
+  });
+
+  const generatedPages = fs.readdirSync(ROOT_DIR).filter((file) => GENERATED_PAGE_PATTERN.test(file)).sort();
+
+  generatedPages.forEach((file) => {
+    const html = fs.readFileSync(path.join(ROOT_DIR, file), "utf8");
+    entries.push(...collectSections(file, html));
+  });
+
+  entries.push(...posts.filter((entry) => entry.type === "section"));
+
+  const index = {
+    entries: entries.map((entry, i) => Object.assign({ id: `entry-${i + 1}` }, entry))
+  };
+
+  fs.writeFileSync(OUTPUT_PATH, `${JSON.stringify(index, null, 2)}\n`);
+  console.log(`Wrote ${index.entries.length} search entries to ${path.relative(ROOT_DIR, OUTPUT_PATH)}`);
+};
+
+buildSearchIndex();
@@ -0,0 +1,121 @@
+'use strict';
+
+/* -------------------------------------------------------------------------- */
+/*  Service worker cache version                                              */
+/*                                                                            */
+/*  Usage: node scripts/build-sw-version.js [--check]                         */
+/*                                                                            */
+/*  Hashes every local file in sw.js's PRECACHE_URLS and writes the hash to   */
+/*  CACHE_VERSION, so each deployment that changes a cached file gets a new   */
+/*  cache and update prompt without a manual bump. Run it last, after         */
+/*  scripts/build-pages.js and scripts/build-search-index.js.                 */
+/*  --check only reports whether CACHE_VERSION is out of date.                */
+/* -------------------------------------------------------------------------- */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const SERVICE_WORKER_PATH = path.join(ROOT_DIR, "sw.js");
+
+const VERSION_PATTERN = /^const CACHE_VERSION = "([^"]*)";$/m;
+const PRECACHE_PATTERN = /^const PRECACHE_URLS = \[([\s\S]*?)\];$/m;
+const OFFLINE_URL_PATTERN = /^const OFFLINE_URL = "([^"]+)";$/m;
+const HASH_LENGTH = 10;
+
+/**
+ * Read the precached URLs from the service worker source.
+ *
+ * @param {string} source
+ * @returns {string[]}
+ */
+const getPrecacheUrls = function (source) {
+  const list = source.match(PRECACHE_PATTERN);
+  if (!list) {
+    throw new Error("sw.js has no PRECACHE_URLS array");
+  }
+
+  const offlineUrl = source.match(OFFLINE_URL_PATTERN);
+  const urls = Array.from(list[1].matchAll(/"([^"]+)"/g), (match) => match[1]);
+  if (offlineUrl && /\bOFFLINE_URL\b/.test(list[1])) {
+    urls.push(offlineUrl[1]);
+  }
+  return urls;
+};
+
+/**
+ * Map a precached URL to its file in the repository; `./` is the home page.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+const toFilePath = function (url) {
+  const relative = url.replace(/^\.\//, "").replace(/[?#].*$/, "");
+  return path.join(ROOT_DIR, relative === "" || relative.endsWith("/") ? `${relative}index.html` : relative);
+};
+
+/**
+ * Hash the precached files, in a stable order, together with their URLs.
+ *
+ * @param {string[]} urls
+ * @returns {string}
+ */
+const hashPrecachedFiles = function (urls) {
+  const hash = crypto.createHash("sha256");
+  const missing = [];
+
+  Array.from(new Set(urls)).sort().forEach((url) => {
+    const file = toFilePath(url);
+    if (!fs.existsSync(file)) {
+      missing.push(url);
+      return;
+    }
+    hash.update(`${url}\0`);
+    hash.update(fs.readFileSync(file));
+    hash.update("\0");
+  });
+
+  if (missing.length) {
+    throw new Error(`PRECACHE_URLS lists missing file(s): ${missing.join(", ")}`);
+  }
+  return hash.digest("hex").slice(0, HASH_LENGTH);
+};
+
+/**
+ * Compute the version and write it to sw.js (or only compare with --check).
+ */
+const buildServiceWorkerVersion = function () {
+  const isCheck = process.argv.includes("--check");
+  const source = fs.readFileSync(SERVICE_WORKER_PATH, "utf8");
+  const current = source.match(VERSION_PATTERN);
+  if (!current) {
+    console.error("sw.js has no CACHE_VERSION line.");
+    process.exitCode = 1;
+    return;
+  }
+
+  let version;
+  try {
+    version = hashPrecachedFiles(getPrecacheUrls(source));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (current[1] === version) {
+    console.log(`CACHE_VERSION is up to date (${version}).`);
+    return;
+  }
+
+  if (isCheck) {
+    console.error("CACHE_VERSION is out of date. Run node scripts/build-sw-version.js.");
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.writeFileSync(SERVICE_WORKER_PATH, source.replace(VERSION_PATTERN, `const CACHE_VERSION = "${version}";`));
+  console.log(`Set CACHE_VERSION to ${version}.`);
+};
+
+buildServiceWorkerVersion();
@@ -0,0 +1,114 @@
+'use strict';
+
+/* -------------------------------------------------------------------------- */
+/*  Contact form stub endpoint                                                */
+/*                                                                            */
+/*  Usage: node scripts/contact-stub-server.js [port]                         */
+/*                                                                            */
+/*  Local stand-in for the "json" contact backend. Point the form at it with  */
+/*    data-form-backend="json"                                                */
+/*    data-form-endpoint="http://localhost:8787/contact"                      */
+/*  Every POST is logged. Add ?status=500 (or 422, 429…) to the endpoint URL  */
+/*  to rehearse failures and the offline retry queue.                         */
+/* -------------------------------------------------------------------------- */
+const http = require("http");
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_SIZE = 64 * 1024;
+const REQUIRED_FIELDS = ["fullname", "email", "message"];
+
+/**
+ * Send a JSON response with permissive CORS headers for local testing.
+ *
+ * @param {http.ServerResponse} response
+ * @param {number} status
+ * @param {object} payload
+ */
+const sendJson = function (response, status, payload) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Accept"
+  });
+  response.end(JSON.stringify(payload));
+};
+
+/**
+ * Read the request body, refusing anything unreasonably large.
+ *
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<string>}
+ */
+const readBody = function (request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error("Request body too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+};
+
+/**
+ * Handle one request to the stub.
+ *
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ */
+const handleRequest = async function (request, response) {
+  const url = new URL(request.url, `http://${request.headers.host || "localhost"}`);
+
+  if (request.method === "OPTIONS") {
+    sendJson(response, 204, {});
+    return;
+  }
+
+  if (request.method !== "POST" || url.pathname !== "/contact") {
+    sendJson(response, 404, { error: "Not found" });
+    return;
+  }
+
+  const forcedStatus = Number.parseInt(url.searchParams.get("status") || "", 10);
+  if (Number.isFinite(forcedStatus) && forcedStatus >= 400) {
+    console.log(`[stub] Simulating ${forcedStatus}`);
+    sendJson(response, forcedStatus, { error: `Simulated ${forcedStatus} response from the stub server.` });
+    return;
+  }
+
+  let fields;
+  try {
+    fields = JSON.parse(await readBody(request));
+  } catch (error) {
+    sendJson(response, 400, { error: "Expected a JSON body." });
+    return;
+  }
+
+  const missing = REQUIRED_FIELDS.filter((name) => !fields || typeof fields[name] !== "string" || !fields[name].trim());
+  if (missing.length) {
+    sendJson(response, 422, { error: `Missing ${missing.join(", ")}.` });
+    return;
+  }
+
+  console.log(`[stub] Message from ${fields.fullname} <${fields.email}>:\n${fields.message}\n`);
+  sendJson(response, 200, { ok: true });
+};
+
+const port = Number.parseInt(process.argv[2] || "", 10) || DEFAULT_PORT;
+
+http
+  .createServer((request, response) => {
+    handleRequest(request, response).catch((error) => {
+      console.error("[stub] Request failed.", error);
+      sendJson(response, 500, { error: "Stub server error." });
+    });
+  })
+  .listen(port, () => {
+    console.log(`Contact stub listening on http://localhost:${port}/contact`);
+  });
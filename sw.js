@@ -0,0 +1,198 @@
+'use strict';
+
+/* -------------------------------------------------------------------------- */
+/*  Service worker (offline pages + cached assets)                            */
+/*                                                                            */
+/*  Registered from script.js. CACHE_VERSION is a hash of the precached       */
+/*  files written by scripts/build-sw-version.js; run it before every         */
+/*  deployment. The changed file is how browsers notice the new version, and  */
+/*  script.js then offers the visitor a reload. Keep PRECACHE_URLS in step    */
+/*  with the pages and core assets in the repository.                         */
+/* -------------------------------------------------------------------------- */
+const CACHE_VERSION = "8325fb33c9";
+const CACHE_PREFIX = "iamsaurabhsaini";
+const CACHE_NAME = `${CACHE_PREFIX}-${CACHE_VERSION}`;
+const OFFLINE_URL = "./offline.html";
+
+const PRECACHE_URLS = [
+  "./",
+  "./index.html",
+  "./resume.html",
+  "./portfolio.html",
+  "./blog.html",
+  "./learning-hub.html",
+  "./contact.html",
+  "./project-finance.html",
+  "./articlepage.html",
+  "./blogpage.html",
+  "./404.html",
+  OFFLINE_URL,
+  "./favicon.ico",
+  "./assets/css/style.css",
+  "./assets/js/script.js",
+  "./assets/data/projects.json",
+  "./assets/data/search-index.json",
+  "./assets/data/posts.json",
+  "./assets/posts/testing-blog-entry.md",
+  "./assets/posts/ui-interactions-of-the-week.md",
+  "./assets/images/core/ARTICLE1.png",
+  "./assets/images/core/BLOG1.png",
+  "./assets/images/core/IMAGE_PLACEHOLDER.png",
+  "./assets/images/core/LEARNING1.png",
+  "./assets/images/core/PROJECT1.png",
+  "./assets/images/core/logo.png",
+  "./assets/images/core/myavatar.png",
+  "./assets/docs/core/Resume_Saurabh_Saini.pdf"
+];
+
+/**
+ * The site's own script, styles and data. They must match the network-first
+ * HTML that loads them, so they are not served stale from the cache.
+ */
+const CORE_ASSET_PATTERN = /\/assets\/(js|css|data|posts)\//;
+
+/** Third-party hosts whose files are safe to keep (fonts and icons, never analytics). */
+const RUNTIME_CACHE_ORIGINS = [
+  "https://fonts.googleapis.com",
+  "https://fonts.gstatic.com",
+  "https://unpkg.com"
+];
+
+/**
+ * Whether a request is for a page rather than an asset.
+ *
+ * @param {Request} request
+ * @returns {boolean}
+ */
+const isPageRequest = function (request) {
+  if (request.mode === "navigate") { return true; }
+  return (request.headers.get("Accept") || "").includes("text/html");
+};
+
+/**
+ * Store a good response without letting cache errors break the fetch.
+ *
+ * @param {Request} request
+ * @param {Response} response
+ * @returns {Promise<void>}
+ */
+const putInCache = async function (request, response) {
+  if (!response || (!response.ok && response.type !== "opaque")) { return; }
+
+  try {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response);
+  } catch (error) {
+    console.warn("Unable to update the offline cache.", error);
+  }
+};
+
+/**
+ * Network first for pages so visitors always see the latest deployment, then
+ * the cached copy (ignoring query strings such as filters), then the offline page.
+ *
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+const handlePageRequest = async function (event) {
+  const { request } = event;
+
+  try {
+    const response = await fetch(request);
+    event.waitUntil(putInCache(request, response.clone()));
+    return response;
+  } catch (error) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) { return cached; }
+
+    const offline = await cache.match(OFFLINE_URL);
+    return offline || Response.error();
+  }
+};
+
+/**
+ * Network first for core assets, falling back to the cached copy offline.
+ *
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+const handleCoreAssetRequest = async function (event) {
+  const { request } = event;
+
+  try {
+    const response = await fetch(request);
+    event.waitUntil(putInCache(request, response.clone()));
+    return response;
+  } catch (error) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    return cached || Response.error();
+  }
+};
+
+/**
+ * Serve assets from the cache straight away and refresh them in the background.
+ *
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+const handleAssetRequest = async function (event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+
+  const refresh = fetch(request).then((response) => {
+    event.waitUntil(putInCache(request, response.clone()));
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+
+  return refresh;
+};
+
+self.addEventListener("install", function (event) {
+  // The new worker waits until the visitor accepts the update prompt.
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener("activate", function (event) {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => name.startsWith(`${CACHE_PREFIX}-`) && name !== CACHE_NAME)
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", function (event) {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener("fetch", function (event) {
+  const { request } = event;
+  if (request.method !== "GET") { return; }
+
+  const url = new URL(request.url);
+  const isSameOrigin = url.origin === self.location.origin;
+  if (!isSameOrigin && !RUNTIME_CACHE_ORIGINS.includes(url.origin)) { return; }
+
+  if (isSameOrigin && isPageRequest(request)) {
+    event.respondWith(handlePageRequest(event));
+    return;
+  }
+
+  if (isSameOrigin && CORE_ASSET_PATTERN.test(url.pathname)) {
+    event.respondWith(handleCoreAssetRequest(event));
+    return;
+  }
+
+  event.respondWith(handleAssetRequest(event));
+});